@@ -0,0 +1,237 @@
+// Local mock of the backend services used by the app, for development and tests.
+//
+//   npm run mock-server            (listens on http://localhost:5050)
+//   REACT_APP_ROUTING_URL=http://localhost:5050 REACT_APP_REPORTS_URL=http://localhost:5050 npm start
+//
+// Routes are OSRM-compatible and simply follow a slightly bent line between
+// the requested points, so the UI can be exercised without network access.
+// Pothole reports are kept in memory and forgotten on restart. Repair crews can
+// move potholes through their lifecycle with POST /potholes/:id/status.
+const http = require('http');
+const sampleData = require('../src/data/potholes.json');
+
+const PORT = Number(process.env.MOCK_PORT) || 5050;
+
+function encodeValue(value) {
+  let v = value < 0 ? ~(value << 1) : value << 1;
+  let out = '';
+  while (v >= 0x20) {
+    out += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+    v >>= 5;
+  }
+  return out + String.fromCharCode(v + 63);
+}
+
+function encodePolyline(coordinates, precision) {
+  const factor = Math.pow(10, precision);
+  let lastLat = 0;
+  let lastLng = 0;
+  return coordinates.map(([lat, lng]) => {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    const chunk = encodeValue(latE - lastLat) + encodeValue(lngE - lastLng);
+    lastLat = latE;
+    lastLng = lngE;
+    return chunk;
+  }).join('');
+}
+
+function haversine([lat1, lng1], [lat2, lng2]) {
+  const toRad = (d) => d * Math.PI / 180;
+  const a = Math.sin(toRad(lat2 - lat1) / 2) ** 2 +
+      Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(toRad(lng2 - lng1) / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Two-segment "L" route per leg, like driving along a grid of streets
+function mockLeg(from, to) {
+  return [from, [from[0], to[1]], to];
+}
+
+function osrmRoute(points) {
+  const coordinates = points.slice(1).reduce((line, point, i) => {
+    const leg = mockLeg(points[i], point);
+    return line.concat(i === 0 ? leg : leg.slice(1));
+  }, []);
+  const distance = coordinates.slice(1)
+      .reduce((sum, point, i) => sum + haversine(coordinates[i], point), 0);
+
+  const speed = 25 / 3.6; // 25 km/h in m/s
+  const legs = points.slice(1).map((to, i) => {
+    const [from, corner] = mockLeg(points[i], to);
+    const first = haversine(from, corner);
+    const second = haversine(corner, to);
+    const turnLeft = (to[1] - from[1]) * (to[0] - from[0]) > 0;
+    return {
+      distance: first + second,
+      duration: (first + second) / speed,
+      steps: [
+        { name: 'Mock Street', distance: first, duration: first / speed,
+          maneuver: { type: 'depart', bearing_after: to[1] > from[1] ? 90 : 270, location: [from[1], from[0]] } },
+        { name: 'Mock Avenue', distance: second, duration: second / speed,
+          maneuver: { type: 'turn', modifier: turnLeft ? 'left' : 'right', location: [corner[1], corner[0]] } },
+        { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [to[1], to[0]] } },
+      ],
+    };
+  });
+
+  return {
+    code: 'Ok',
+    routes: [{
+      geometry: encodePolyline(coordinates, 6),
+      distance,
+      duration: distance / speed,
+      legs,
+    }],
+    waypoints: points.map(([lat, lng]) => ({ location: [lng, lat] })),
+  };
+}
+
+const potholes = new Map(sampleData.potholes.map((pothole) => [pothole.id, pothole]));
+// Client ids that have voted on each pothole; each gets one vote
+const voters = new Map();
+let nextId = 1;
+
+const STATUSES = ['reported', 'verified', 'scheduled', 'repaired', 'closed'];
+const FIXED_VOTES = 3;
+
+function transition(pothole, status, by, reason) {
+  const at = new Date().toISOString();
+  pothole.status = status;
+  pothole.statusHistory = [...(pothole.statusHistory || []), { status, at, by, ...(reason ? { reason } : {}) }];
+  pothole.updatedAt = at;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('latin1')));
+    req.on('error', reject);
+  });
+}
+
+// The app sends plain JSON, or multipart with the JSON in a `report` field and a photo
+function parseReport(req, body) {
+  const type = req.headers['content-type'] || '';
+  if (type.startsWith('multipart/form-data')) {
+    const match = body.match(/name="report"\r\n\r\n([\s\S]*?)\r\n--/);
+    return { report: match ? JSON.parse(match[1]) : null, hasPhoto: /name="photo"/.test(body) };
+  }
+  return { report: JSON.parse(body || '{}'), hasPhoto: false };
+}
+
+function createPothole({ coords, severity, description }) {
+  const now = new Date().toISOString();
+  const pothole = {
+    id: `mock-${nextId++}`,
+    coords,
+    severity,
+    description: description || '',
+    reportCount: 1,
+    reportedAt: now,
+    updatedAt: now,
+    status: 'reported',
+    statusHistory: [{ status: 'reported', at: now, by: 'citizen' }],
+  };
+  potholes.set(pothole.id, pothole);
+  return pothole;
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+
+  if (req.method === 'OPTIONS') {
+    return sendJson(res, 204, {});
+  }
+
+  const routeMatch = url.pathname.match(/^\/route\/v1\/[^/]+\/(.+)$/);
+  if (req.method === 'GET' && routeMatch) {
+    const points = routeMatch[1].split(';').map((pair) => {
+      const [lng, lat] = pair.split(',').map(Number);
+      return [lat, lng];
+    });
+    if (points.length < 2 || points.some((p) => p.some(Number.isNaN))) {
+      return sendJson(res, 400, { code: 'InvalidQuery', message: 'Expected lng,lat;lng,lat' });
+    }
+    return sendJson(res, 200, osrmRoute(points));
+  }
+
+  if (req.method === 'POST' && url.pathname === '/reports') {
+    try {
+      const { report, hasPhoto } = parseReport(req, await readBody(req));
+      if (!report || !Array.isArray(report.coords) || !['high', 'medium', 'low'].includes(report.severity)) {
+        return sendJson(res, 422, { message: 'A report needs coords and a severity' });
+      }
+      const pothole = createPothole(report);
+      console.log(`Report ${pothole.id} (${pothole.severity})${hasPhoto ? ' with photo' : ''}`);
+      return sendJson(res, 201, pothole);
+    } catch (e) {
+      return sendJson(res, 400, { message: `Malformed report: ${e.message}` });
+    }
+  }
+
+  const potholeMatch = url.pathname.match(/^\/potholes\/([^/]+)\/(confirm|fixed|status)$/);
+  if (req.method === 'POST' && potholeMatch) {
+    const id = decodeURIComponent(potholeMatch[1]);
+    const pothole = potholes.get(id);
+    if (!pothole) {
+      return sendJson(res, 404, { message: `Unknown pothole ${id}` });
+    }
+    const body = await readBody(req);
+    const resolved = ['repaired', 'closed'].includes(pothole.status);
+
+    if (potholeMatch[2] !== 'status') {
+      let clientId;
+      try {
+        ({ clientId } = JSON.parse(body || '{}'));
+      } catch (e) {
+        return sendJson(res, 400, { message: `Malformed vote: ${e.message}` });
+      }
+      // A repeated vote leaves the pothole as it is
+      const voted = voters.get(id) || new Set();
+      if (clientId && voted.has(clientId)) return sendJson(res, 200, pothole);
+      if (clientId) voters.set(id, voted.add(clientId));
+    }
+
+    if (potholeMatch[2] === 'confirm') {
+      pothole.reportCount += 1;
+      pothole.fixedVotes = 0;
+      pothole.updatedAt = new Date().toISOString();
+      if (resolved) transition(pothole, 'reported', 'community', 'reported again');
+    } else if (potholeMatch[2] === 'fixed') {
+      pothole.fixedVotes = (pothole.fixedVotes || 0) + 1;
+      pothole.updatedAt = new Date().toISOString();
+      if (pothole.fixedVotes >= FIXED_VOTES && !resolved) transition(pothole, 'repaired', 'community', 'reported fixed');
+    } else {
+      // { "status": "scheduled", "by": "Yaoundé roads department", "reason": "..." }
+      let change;
+      try {
+        change = JSON.parse(body || '{}');
+      } catch (e) {
+        return sendJson(res, 400, { message: `Malformed status change: ${e.message}` });
+      }
+      if (!STATUSES.includes(change.status) || !change.by) {
+        return sendJson(res, 422, { message: `A status change needs one of ${STATUSES.join(', ')} and who made it` });
+      }
+      transition(pothole, change.status, change.by, change.reason);
+    }
+    return sendJson(res, 200, pothole);
+  }
+
+  return sendJson(res, 404, { code: 'NotFound', message: `No mock for ${req.method} ${url.pathname}` });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock server listening on http://localhost:${PORT}`);
+});
@@ -1,8 +1,177 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
+import { encodePolyline } from './geo';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The map runs against a fixed location source and no network, so routing falls back to its offline estimate
+function openApp(search) {
+  window.history.replaceState(null, '', `/${search}`);
+  return render(<App />);
+}
+
+// Trips in these tests go from the fixed position to Marché Central
+const from = [3.848, 11.502];
+const to = [3.8667, 11.5167];
+
+// The routing engine finds a direct route and a longer one through the east
+const twoRoutes = [
+  { geometry: encodePolyline([from, to], 6), distance: 2600, duration: 360 },
+  { geometry: encodePolyline([from, [3.85, 11.53], to], 6), distance: 5100, duration: 540 },
+];
+
+// An OSRM engine answering every route request with `routes`; everything else stays offline
+function mockOsrm(routes) {
+  global.fetch = jest.fn((url) => (String(url).includes('/route/v1/')
+      ? Promise.resolve({ ok: true, json: () => Promise.resolve({ code: 'Ok', routes }) })
+      : Promise.reject(new TypeError('Failed to fetch'))));
+}
+
+// The location controller waits a second after the map loads before asking for a position
+const waitFor = { timeout: 3000 };
+
+// jsdom doesn't lay anything out; give the map a phone-sized viewport so markers in view get drawn
+const layout = { clientWidth: 400, clientHeight: 800 };
+
+beforeAll(() => {
+  Object.entries(layout).forEach(([name, value]) => {
+    Object.defineProperty(HTMLElement.prototype, name, { configurable: true, get: () => value });
+  });
+});
+
+afterAll(() => {
+  Object.keys(layout).forEach((name) => delete HTMLElement.prototype[name]);
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn(() => Promise.reject(new TypeError('Failed to fetch')));
+  // IndexedDB and the routing provider are missing here; their fallbacks log as they kick in
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete global.fetch;
+  window.localStorage.clear();
+  window.sessionStorage.clear();
+});
+
+test('follows the position from the location source', async () => {
+  openApp('?location=fixed:3.866,11.518');
+  expect(await screen.findByText(/Location accuracy: ±5m/, {}, waitFor)).toBeInTheDocument();
+});
+
+test('routes to a linked destination from the user position', async () => {
+  openApp('?location=fixed:3.848,11.502&to=3.8667,11.5167,Marché%20Central');
+
+  expect(await screen.findByText(/offline estimate/, {}, waitFor)).toBeInTheDocument();
+  expect(screen.getByText('▶ Start navigation')).toBeInTheDocument();
+});
+
+test('offers alternative routes and switches between them', async () => {
+  mockOsrm(twoRoutes);
+  openApp('?location=fixed:3.848,11.502&to=3.8667,11.5167,Marché%20Central');
+
+  const second = await screen.findByRole('button', { name: /Route 2/ }, waitFor);
+  expect(screen.getByRole('button', { name: /Route 1/ })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText(/🚗 2\.6 km/)).toBeInTheDocument();
+
+  fireEvent.click(second);
+
+  expect(second).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText(/🚗 5\.1 km/)).toBeInTheDocument();
+});
+
+test('re-scores the routes found when the potholes change, keeping the chosen one', async () => {
+  mockOsrm(twoRoutes);
+  openApp('?location=fixed:3.848,11.502&to=3.8667,11.5167,Marché%20Central');
+
+  fireEvent.click(await screen.findByRole('button', { name: /Route 2/ }, waitFor));
+  const routeRequests = () => global.fetch.mock.calls.filter(([url]) => String(url).includes('/route/v1/')).length;
+  const before = routeRequests();
+
+  // Hiding the high-risk potholes changes what the routes are scored against
+  fireEvent.click(screen.getByRole('checkbox', { name: /High Risk/ }));
+  await screen.findByText(/Showing \d+ of \d+/);
+
+  expect(routeRequests()).toBe(before);
+  expect(screen.getByRole('button', { name: /Route 2/ })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('reroutes for the chosen travel mode', async () => {
+  openApp('?location=fixed:3.848,11.502&to=3.8667,11.5167,Marché%20Central');
+  expect(await screen.findByText(/🚗 [\d.]+ km/, {}, waitFor)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByTitle('Walking'));
+
+  expect(await screen.findByText(/🚶 [\d.]+ km/, {}, waitFor)).toBeInTheDocument();
+  expect(window.location.search).toContain('mode=foot');
+});
+
+test('draws the sample potholes and filters them by severity', async () => {
+  openApp('?location=fixed:3.866,11.518');
+  await screen.findByText(/Location accuracy/, {}, waitFor);
+
+  // The first fix zooms in far enough that every pothole has its own ⚠️ marker
+  const before = screen.getAllByText('⚠️').length;
+  expect(before).toBeGreaterThan(0);
+
+  fireEvent.click(screen.getByRole('checkbox', { name: /High Risk/ }));
+
+  expect(await screen.findByText(/Showing \d+ of \d+/)).toBeInTheDocument();
+  expect(screen.queryAllByText('⚠️').length).toBeLessThan(before);
+  expect(window.location.search).toContain('severity=');
+});
+
+test('leaves hidden severities out of the route hazards', async () => {
+  // The only route passes right over the high-risk pothole yde-0004
+  mockOsrm([{ geometry: encodePolyline([from, [3.845, 11.525], to], 6), distance: 6200, duration: 720 }]);
+  openApp('?location=fixed:3.848,11.502&to=3.8667,11.5167,Marché%20Central');
+
+  expect(await screen.findByText(/1 high on route/, {}, waitFor)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('checkbox', { name: /High Risk/ }));
+
+  expect(await screen.findByText(/No reported potholes on route/)).toBeInTheDocument();
+});
+
+test('searches the public geocoder only when the search is submitted', async () => {
+  openApp('?location=fixed:3.866,11.518');
+  await screen.findByText(/Location accuracy/, {}, waitFor);
+  global.fetch.mockClear();
+
+  const input = screen.getByRole('searchbox', { name: 'Search destination' });
+  fireEvent.change(input, { target: { value: 'museum' } });
+  expect(screen.getByText('Press Enter to search')).toBeInTheDocument();
+  await new Promise((resolve) => setTimeout(resolve, 500));
+  expect(global.fetch).not.toHaveBeenCalledWith(expect.stringContaining('/search?'), expect.anything());
+
+  fireEvent.submit(input);
+
+  // The network is down here, so the known places answer
+  expect(await screen.findByText(/showing known places only/)).toBeInTheDocument();
+  expect(global.fetch).toHaveBeenCalledWith(expect.stringContaining('/search?'), expect.anything());
+});
+
+test('counts one vote per pothole from the same browser', async () => {
+  openApp('?location=fixed:3.845,11.525&pothole=yde-0004');
+
+  const fixed = await screen.findByRole('button', { name: /Fixed/ }, waitFor);
+  fireEvent.click(fixed);
+  expect(fixed).toHaveTextContent('Fixed (1)');
+  expect(fixed).toBeDisabled();
+  expect(screen.getByRole('button', { name: /Still there/ })).toBeDisabled();
+
+  // Tapping again changes nothing
+  fireEvent.click(fixed);
+  expect(fixed).toHaveTextContent('Fixed (1)');
+  expect(JSON.parse(window.localStorage.getItem('cvbox.votedPotholes'))).toEqual(['yde-0004']);
+});
+
+test('opens a pothole report from the map', async () => {
+  openApp('?location=fixed:3.866,11.518');
+  await screen.findByText(/Location accuracy/, {}, waitFor);
+
+  fireEvent.click(screen.getByRole('button', { name: /Report pothole/ }));
+  expect(screen.getByRole('heading', { name: /Report pothole/ })).toBeInTheDocument();
 });
@@ -0,0 +1,28 @@
+import { LayersControl, TileLayer, useMapEvents } from 'react-leaflet';
+import { basemaps } from './basemaps';
+
+// Layer control listing every basemap; `onChange(id)` fires when the user switches
+export default function BasemapControl({ selected, onChange, position = 'topleft' }) {
+  useMapEvents({
+    baselayerchange: (e) => {
+      const id = Object.keys(basemaps).find((key) => basemaps[key].name === e.name);
+      if (id && onChange) onChange(id);
+    }
+  });
+
+  return (
+      <LayersControl position={position}>
+        {Object.entries(basemaps).map(([id, basemap]) => (
+            <LayersControl.BaseLayer key={id} name={basemap.name} checked={id === selected}>
+              <TileLayer
+                  url={basemap.url}
+                  subdomains={basemap.subdomains || 'abc'}
+                  attribution={basemap.attribution}
+                  maxZoom={basemap.maxZoom}
+                  crossOrigin
+              />
+            </LayersControl.BaseLayer>
+        ))}
+      </LayersControl>
+  );
+}
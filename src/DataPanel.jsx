@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { exportPotholes } from './potholes';
+import { downloadFile, routeToGeoJson, routeToGpx } from './geoFiles';
+import { isInBounds } from './geo';
+
+const buttonStyle = {
+  padding: '6px 8px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: '#2196f3',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const POTHOLE_FORMATS = [
+  ['geojson', 'GeoJSON', 'application/geo+json'],
+  ['csv', 'CSV', 'text/csv'],
+  ['kml', 'KML', 'application/vnd.google-earth.kml+xml']
+];
+
+// Export the filtered potholes or the current route, and import GPX/GeoJSON tracks to show on the map
+export default function DataPanel({ potholes, viewport, route, stops, tracks, onImport, onRemoveTrack, onClose }) {
+  const [onlyVisibleArea, setOnlyVisibleArea] = useState(true);
+
+  const exported = onlyVisibleArea && viewport
+      ? potholes.filter((pothole) => isInBounds(pothole.coords, viewport.bounds))
+      : potholes;
+  const date = new Date().toISOString().slice(0, 10);
+  const routeName = stops.length > 0 ? `Route to ${stops[stops.length - 1].name}` : 'Route';
+
+  const exportRoute = (format) => {
+    const details = { ...route, stops, name: routeName };
+    if (format === 'gpx') {
+      downloadFile(routeToGpx(details), `route-${date}.gpx`, 'application/gpx+xml');
+    } else {
+      downloadFile(routeToGeoJson(details), `route-${date}.geojson`, 'application/geo+json');
+    }
+  };
+
+  const chooseFile = (e) => {
+    const [file] = e.target.files;
+    // Reset so choosing the same file again still triggers a change
+    e.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>📂 Import / export</h4>
+
+        <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>Potholes shown by the filter ({exported.length})</div>
+        <label style={{ display: 'block', marginBottom: '5px', cursor: 'pointer' }}>
+          <input
+              type="checkbox"
+              checked={onlyVisibleArea}
+              onChange={(e) => setOnlyVisibleArea(e.target.checked)}
+              style={{ marginRight: '5px' }}
+          />
+          Only the visible map area
+        </label>
+        <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+          {POTHOLE_FORMATS.map(([format, label, type]) => (
+              <button
+                  key={format}
+                  onClick={() => downloadFile(exportPotholes(exported, format), `potholes-${date}.${format}`, type)}
+                  disabled={exported.length === 0}
+                  style={{ ...buttonStyle, flex: 1, opacity: exported.length > 0 ? 1 : 0.5 }}
+              >
+                {label}
+              </button>
+          ))}
+        </div>
+
+        <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>Route</div>
+        {route ? (
+            <div style={{ display: 'flex', gap: '5px', marginBottom: '10px' }}>
+              <button onClick={() => exportRoute('gpx')} style={{ ...buttonStyle, flex: 1 }}>GPX</button>
+              <button onClick={() => exportRoute('geojson')} style={{ ...buttonStyle, flex: 1 }}>GeoJSON</button>
+            </div>
+        ) : (
+            <div style={{ marginBottom: '10px', color: '#888' }}>Pick a destination to export its route</div>
+        )}
+
+        <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>Show a GPX or GeoJSON file</div>
+        <input
+            type="file"
+            accept=".gpx,.geojson,.json,application/gpx+xml,application/geo+json,application/json"
+            onChange={chooseFile}
+            style={{ width: '100%', marginBottom: '5px' }}
+        />
+        {tracks.map((track) => (
+            <div key={track.id} style={{ display: 'flex', alignItems: 'center', marginBottom: '3px' }}>
+              <span style={{ flex: 1 }}>
+                {track.name}
+                <span style={{ color: '#888' }}>
+                  {' '}• {track.lines.length} {track.lines.length === 1 ? 'line' : 'lines'}, {track.points.length} points
+                </span>
+              </span>
+              <button
+                  onClick={() => onRemoveTrack(track.id)}
+                  title="Remove from map"
+                  style={{ border: 'none', background: 'none', cursor: 'pointer' }}
+              >
+                ✕
+              </button>
+            </div>
+        ))}
+
+        <button
+            onClick={onClose}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Close
+        </button>
+      </div>
+  );
+}
@@ -0,0 +1,183 @@
+import SearchBox from './SearchBox';
+import { moveItem } from './stops';
+import { TRAVEL_MODES } from './travelModes';
+
+const stopButtonStyle = {
+  marginLeft: '3px',
+  padding: '1px 5px',
+  border: '1px solid #ddd',
+  borderRadius: '3px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+// Trip planner in the top right corner: search or drop a pin for the destination,
+// reorder and add `stops`, and pick the travel mode. Stop changes go through
+// `onChangeStops(stops)`; `canOptimize` says whether there is a position to order them from.
+export default function DestinationPanel({
+  geocoder,
+  bounds,
+  stops,
+  onSelect,
+  onChangeStops,
+  addingStop,
+  onAddingStopChange,
+  pickingDestination,
+  onPickingChange,
+  canOptimize,
+  onOptimize,
+  modeId,
+  onModeChange,
+  avoidPotholes,
+  onAvoidPotholesChange,
+  onClear
+}) {
+  const destination = stops.length > 0 ? stops[stops.length - 1] : null;
+
+  return (
+      <div style={{
+        position: 'absolute',
+        top: '10px',
+        right: '10px',
+        zIndex: 1000,
+        background: 'white',
+        padding: '10px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        maxWidth: '250px'
+      }}>
+        <h4 style={{ margin: '0 0 10px 0', fontSize: '14px' }}>{addingStop ? 'Add a stop:' : 'Select Destination:'}</h4>
+        <SearchBox
+            geocoder={geocoder}
+            bounds={bounds}
+            selected={destination}
+            onSelect={onSelect}
+        />
+        <button
+            onClick={() => onPickingChange(!pickingDestination)}
+            style={{
+              display: 'block',
+              width: '100%',
+              margin: '5px 0',
+              padding: '8px',
+              border: '1px solid #2196f3',
+              borderRadius: '3px',
+              background: pickingDestination ? '#2196f3' : 'white',
+              color: pickingDestination ? 'white' : '#2196f3',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+        >
+          {pickingDestination ? 'Tap the map to set your destination' : '📌 Drop a pin on the map'}
+        </button>
+        {stops.length === 1 && destination.address && (
+            <div style={{ fontSize: '11px', color: '#666', margin: '5px 0' }}>
+              To: {destination.address}
+            </div>
+        )}
+        {stops.length > 1 && (
+            <ol style={{ margin: '5px 0', paddingLeft: '18px', fontSize: '12px' }}>
+              {stops.map((stop, i) => (
+                  <li key={`${stop.coords.join(',')}-${i}`} style={{ marginBottom: '3px' }}>
+                    <div style={{ display: 'flex', alignItems: 'center' }}>
+                      <span style={{ flex: 1 }}>{stop.name}</span>
+                      <button onClick={() => onChangeStops(moveItem(stops, i, i - 1))} disabled={i === 0} style={stopButtonStyle} title="Move up">↑</button>
+                      <button onClick={() => onChangeStops(moveItem(stops, i, i + 1))} disabled={i === stops.length - 1} style={stopButtonStyle} title="Move down">↓</button>
+                      <button onClick={() => onChangeStops(stops.filter((_, k) => k !== i))} style={stopButtonStyle} title="Remove stop">✕</button>
+                    </div>
+                    {stop.address && stop.address !== stop.name && (
+                        <div style={{ fontSize: '10px', color: '#888' }}>{stop.address}</div>
+                    )}
+                  </li>
+              ))}
+            </ol>
+        )}
+        {stops.length > 0 && (
+            <div style={{ display: 'flex', gap: '5px' }}>
+              <button
+                  onClick={() => onAddingStopChange(!addingStop)}
+                  style={{
+                    flex: 1,
+                    padding: '6px',
+                    border: '1px solid #2196f3',
+                    borderRadius: '3px',
+                    background: addingStop ? '#2196f3' : 'white',
+                    color: addingStop ? 'white' : '#2196f3',
+                    cursor: 'pointer',
+                    fontSize: '12px'
+                  }}
+              >
+                {addingStop ? 'Cancel' : '➕ Add stop'}
+              </button>
+              {stops.length > 1 && (
+                  <button
+                      onClick={onOptimize}
+                      disabled={!canOptimize}
+                      style={{
+                        flex: 1,
+                        padding: '6px',
+                        border: '1px solid #2196f3',
+                        borderRadius: '3px',
+                        background: 'white',
+                        color: '#2196f3',
+                        cursor: 'pointer',
+                        fontSize: '12px'
+                      }}
+                  >
+                    🔀 Optimize order
+                  </button>
+              )}
+            </div>
+        )}
+        <div role="group" aria-label="Travel mode" style={{ display: 'flex', gap: '4px', marginTop: '5px' }}>
+          {Object.values(TRAVEL_MODES).map((option) => (
+              <button
+                  key={option.id}
+                  onClick={() => onModeChange(option.id)}
+                  aria-pressed={option.id === modeId}
+                  title={option.label}
+                  style={{
+                    flex: 1,
+                    padding: '4px 0',
+                    border: '1px solid #2196f3',
+                    borderRadius: '3px',
+                    background: option.id === modeId ? '#2196f3' : 'white',
+                    cursor: 'pointer',
+                    fontSize: '16px'
+                  }}
+              >
+                {option.icon}
+              </button>
+          ))}
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', fontSize: '12px', marginTop: '5px' }}>
+          <input
+              type="checkbox"
+              checked={avoidPotholes}
+              onChange={(e) => onAvoidPotholesChange(e.target.checked)}
+              style={{ marginRight: '5px' }}
+          />
+          Avoid potholes
+        </label>
+        {destination && (
+            <button
+                onClick={onClear}
+                style={{
+                  width: '100%',
+                  margin: '10px 0 0 0',
+                  padding: '8px',
+                  border: '1px solid #f44336',
+                  borderRadius: '3px',
+                  background: '#f44336',
+                  color: 'white',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+            >
+              Clear Route
+            </button>
+        )}
+      </div>
+  );
+}
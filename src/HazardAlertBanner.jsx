@@ -0,0 +1,33 @@
+import { severityColors } from './markerIcons';
+import { formatDistance } from './navigation';
+
+// Banner for the closest pothole ahead; `alert` is one of updateAlerts()'s active alerts
+export default function HazardAlertBanner({ alert }) {
+  const { pothole, distance } = alert;
+
+  return (
+      <div style={{
+        position: 'absolute',
+        top: '60px',
+        left: '50%',
+        transform: 'translateX(-50%)',
+        zIndex: 1100,
+        background: severityColors[pothole.severity],
+        color: pothole.severity === 'low' ? '#333' : 'white',
+        padding: '10px 16px',
+        borderRadius: '8px',
+        fontSize: '14px',
+        fontWeight: 'bold',
+        textAlign: 'center',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)',
+        maxWidth: '80%'
+      }}>
+        ⚠️ {pothole.severity.toUpperCase()} pothole ahead • {formatDistance(distance)}
+        {pothole.description && (
+            <div style={{ fontSize: '12px', fontWeight: 'normal', marginTop: '3px' }}>
+              {pothole.description}
+            </div>
+        )}
+      </div>
+  );
+}
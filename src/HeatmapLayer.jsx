@@ -0,0 +1,45 @@
+import { useEffect, useMemo } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { createPalette, drawHeatmap, heatPoints } from './heatmap';
+
+const palette = createPalette();
+
+// Pothole density weighted by severity and report count, drawn on a canvas over the map
+export default function HeatmapLayer({ potholes, radius = 25, blur = 15 }) {
+  const map = useMap();
+  const points = useMemo(() => heatPoints(potholes), [potholes]);
+
+  useEffect(() => {
+    // Hidden during zoom animations and redrawn once the map settles
+    const canvas = L.DomUtil.create('canvas', 'pothole-heatmap leaflet-zoom-hide', map.getPane('overlayPane'));
+    canvas.style.pointerEvents = 'none';
+
+    const redraw = () => {
+      const size = map.getSize();
+      canvas.width = size.x;
+      canvas.height = size.y;
+      L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+      // Spread the heat further when zoomed in on a neighbourhood, less across the whole city
+      const scale = Math.min(2, Math.max(0.6, 2 ** ((map.getZoom() - 14) / 2)));
+      const bounds = map.getBounds().pad(0.2);
+      const projected = points
+          .filter((point) => bounds.contains(point.coords))
+          .map((point) => {
+            const { x, y } = map.latLngToContainerPoint(point.coords);
+            return { x, y, weight: point.weight };
+          });
+      drawHeatmap(canvas, projected, { radius: radius * scale, blur: blur * scale, palette });
+    };
+
+    redraw();
+    map.on('moveend resize', redraw);
+    return () => {
+      map.off('moveend resize', redraw);
+      L.DomUtil.remove(canvas);
+    };
+  }, [map, points, radius, blur]);
+
+  return null;
+}
@@ -0,0 +1,90 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+
+// Follows the user's position from `source` (navigator.geolocation or a stand-in from locationSources.js).
+// `centerOnFix` moves the map to the first position fix; off when a link chose the view.
+export default function LocationController({ source, onLocationFound, onLocationError, centerOnFix = true }) {
+  const map = useMap();
+  // Latest props, so re-renders don't restart tracking
+  const propsRef = useRef({ onLocationFound, onLocationError, centerOnFix });
+  propsRef.current = { onLocationFound, onLocationError, centerOnFix };
+
+  useEffect(() => {
+    if (!source) {
+      propsRef.current.onLocationError('Geolocation is not supported by this browser');
+      return undefined;
+    }
+
+    let mounted = true;
+    let watchId = null;
+
+    const report = (position, label, zoom) => {
+      if (!mounted) return;
+      const { latitude, longitude, accuracy } = position.coords;
+      const coords = [latitude, longitude];
+      console.log(`${label}:`, coords, 'Accuracy:', accuracy, 'meters');
+      propsRef.current.onLocationFound(coords, accuracy, position.coords);
+
+      if (zoom && propsRef.current.centerOnFix) {
+        try {
+          map.setView(coords, zoom, { animate: true });
+        } catch (e) {
+          console.warn('Error setting map view:', e);
+        }
+      }
+    };
+
+    const options = {
+      enableHighAccuracy: true,
+      timeout: 15000,
+      maximumAge: 0
+    };
+
+    const startLocationWatch = () => {
+      source.getCurrentPosition(
+          (position) => report(position, 'Initial location found', 16),
+          (error) => {
+            console.error('Initial geolocation error:', error);
+
+            const fallbackOptions = {
+              enableHighAccuracy: false,
+              timeout: 30000,
+              maximumAge: 300000
+            };
+
+            source.getCurrentPosition(
+                (position) => report(position, 'Fallback location found', 15),
+                (fallbackError) => {
+                  console.error('Fallback geolocation failed:', fallbackError);
+                  if (mounted) propsRef.current.onLocationError(`Location error: ${fallbackError.message}`);
+                },
+                fallbackOptions
+            );
+          },
+          options
+      );
+
+      watchId = source.watchPosition(
+          (position) => report(position, 'Updated location'),
+          (error) => {
+            console.warn('Watch position error:', error.message);
+          },
+          options
+      );
+    };
+
+    // Give the map a moment after it loads before moving it to the user
+    let timer = null;
+    map.whenReady(() => {
+      if (mounted) timer = setTimeout(startLocationWatch, 1000);
+    });
+
+    return () => {
+      mounted = false;
+      clearTimeout(timer);
+      if (watchId !== null) source.clearWatch(watchId);
+    };
+  }, [map, source]);
+
+  return null;
+}
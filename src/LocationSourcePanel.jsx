@@ -0,0 +1,89 @@
+import { useState } from 'react';
+import { describeLocationSpec, PLAYBACK_RATES } from './locationSources';
+
+const buttonStyle = {
+  padding: '6px 8px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: '#2196f3',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Development tool: where the app's position comes from. `source` is the open source, whose
+// playback rate a replay can change without starting over.
+export default function LocationSourcePanel({ spec, source, center, onChange, onClose }) {
+  const [rate, setRate] = useState(spec.rate || 1);
+  // A rate from the link may not be one of the presets
+  const rates = PLAYBACK_RATES.includes(rate) ? PLAYBACK_RATES : [...PLAYBACK_RATES, rate].sort((a, b) => a - b);
+
+  const changeRate = (value) => {
+    setRate(value);
+    if (source && source.setRate) source.setRate(value);
+  };
+
+  const chooseFile = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) onChange({ type: 'replay', file, rate });
+  };
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>🧪 Location source</h4>
+        <div style={{ marginBottom: '8px', color: '#555' }}>{describeLocationSpec(spec)}</div>
+
+        <div style={{ display: 'flex', gap: '5px', marginBottom: '8px' }}>
+          <button
+              onClick={() => onChange({ type: 'browser' })}
+              disabled={spec.type === 'browser'}
+              style={{ ...buttonStyle, flex: 1 }}
+          >
+            Device
+          </button>
+          <button
+              onClick={() => onChange({ type: 'fixed', coords: center })}
+              disabled={!center}
+              style={{ ...buttonStyle, flex: 1 }}
+          >
+            Map centre
+          </button>
+        </div>
+
+        <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>Replay a GPX track or trip trace</div>
+        <input
+            type="file"
+            accept=".gpx,.json,.geojson,application/gpx+xml,application/json,application/geo+json"
+            onChange={chooseFile}
+            style={{ width: '100%', marginBottom: '5px' }}
+        />
+        <label style={{ display: 'block' }}>
+          Speed{' '}
+          <select value={rate} onChange={(e) => changeRate(Number(e.target.value))}>
+            {rates.map((value) => (
+                <option key={value} value={value}>{value}×</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+            onClick={onClose}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Close
+        </button>
+      </div>
+  );
+}
@@ -0,0 +1,55 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useMap, useMapEvents } from 'react-leaflet';
+
+// Small map-side helpers that render nothing and only move the map or listen to it
+
+// Picks the pothole location from a tap on the map while reporting
+export function MapClickPicker({ onPick }) {
+  useMapEvents({
+    click: (e) => onPick([e.latlng.lat, e.latlng.lng])
+  });
+  return null;
+}
+
+// Reports the visible map area and zoom, for search bias, offline downloads and links
+export function ViewportTracker({ onChange }) {
+  const map = useMap();
+  const report = useCallback(() => {
+    const bounds = map.getBounds();
+    const center = map.getCenter();
+    onChange({
+      bounds: [[bounds.getSouth(), bounds.getWest()], [bounds.getNorth(), bounds.getEast()]],
+      center: [center.lat, center.lng],
+      zoom: map.getZoom()
+    });
+  }, [map, onChange]);
+
+  useEffect(report, [report]);
+  useMapEvents({ moveend: report });
+  return null;
+}
+
+// Shows a pothole opened from a link, once it has loaded
+export function PotholeFocus({ pothole }) {
+  const map = useMap();
+  const focusedRef = useRef(false);
+
+  useEffect(() => {
+    if (!pothole || focusedRef.current) return;
+    focusedRef.current = true;
+    map.setView(pothole.coords, Math.max(map.getZoom(), 17));
+  }, [map, pothole]);
+  return null;
+}
+
+// Keeps the map centred on the user while navigating
+export function NavigationFollower({ position }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!position) return;
+    map.setView(position, Math.max(map.getZoom(), 17), { animate: true });
+  }, [map, position]);
+
+  return null;
+}
@@ -1,192 +1,767 @@
-import { useEffect, useState, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet';
+import { useCallback, useEffect, useMemo, useState, useRef } from 'react';
+import { MapContainer, Marker, Popup } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
-import L from 'leaflet';
-import 'leaflet-routing-machine';
-import './index.css';
-
-// Fix for default markers
-delete L.Icon.Default.prototype._getIconUrl;
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-});
-
-const greenIcon = new L.Icon({
-  iconUrl: 'https://maps.google.com/mapfiles/ms/icons/green-dot.png',
-  iconSize: [32, 32],
-  iconAnchor: [16, 32],
-  popupAnchor: [0, -32],
-});
-
-const redIcon = new L.Icon({
-  iconUrl: 'https://maps.google.com/mapfiles/ms/icons/red-dot.png',
-  iconSize: [32, 32],
-  iconAnchor: [16, 32],
-  popupAnchor: [0, -32],
-});
-
-const defaultIcon = new L.Icon({
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon.png',
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-icon-2x.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
-  iconSize: [25, 41],
-  iconAnchor: [12, 41],
-  popupAnchor: [1, -34],
-  shadowSize: [41, 41],
-});
-
-// Component to handle map centering when user position is found
-function MapController({ userPosition, shouldCenter }) {
-  const map = useMap();
+import { boundsContain, calculateDistance, calculateRouteDistance, padBounds } from './geo';
+import { createRoutingProvider } from './routing';
+import { geocodingConfig, potholesConfig, reportsConfig, roadsConfig, routingConfig } from './config';
+import { basemaps, defaultBasemapId, loadBasemapId, saveBasemapId } from './basemaps';
+import { createGeocoder, popularPlaces } from './geocoding';
+import { TRAVEL_MODES, loadTravelModeId, routingProfile, saveTravelModeId, travelMode } from './travelModes';
+import { loadPotholes, samplePotholes } from './potholes';
+import { mergePotholeReports } from './potholeMerge';
+import { applyLifecycle } from './potholeLifecycle';
+import { coordsKey, optimizeStopOrder, remainingStops } from './stops';
+import {
+  confirmLocally,
+  markFixedLocally,
+  createLocalReportClient,
+  createPendingPothole,
+  createReportClient,
+  findNearbyPothole,
+  loadVotedPotholes,
+  saveVotedPotholes
+} from './reports';
+import ReportPanel from './ReportPanel';
+import ToolPanels from './ToolPanels';
+import TrackLayer from './TrackLayer';
+import TripLayer from './TripLayer';
+import { createTripRecorder, startMotionSensor } from './tripRecorder';
+import LocationController from './LocationController';
+import SimpleRouting from './SimpleRouting';
+import RoutePanel from './RoutePanel';
+import DestinationPanel from './DestinationPanel';
+import { MapClickPicker, NavigationFollower, PotholeFocus, ViewportTracker } from './MapBehaviors';
+import { locationSpecFromSearch, openLocationSource } from './locationSources';
+import { importTrack } from './geoFiles';
+import BasemapControl from './BasemapControl';
+import { createOutbox, isNetworkError } from './outbox';
+import { loadCachedPotholes, saveCachedPotholes } from './offlineStore';
+import PotholeLayer from './PotholeLayer';
+import PotholeLegend from './PotholeLegend';
+import HazardAlertBanner from './HazardAlertBanner';
+import { countBySeverity, filterPotholes } from './potholeFilters';
+import { useInitialLink, useLinkSync } from './useDeepLink';
+import HeatmapLayer from './HeatmapLayer';
+import RoadConditionLayer from './RoadConditionLayer';
+import { fetchRoads } from './roadConditions';
+import { getPotholeIcon, markerIcon, stopIcon, userIcon } from './markerIcons';
+import NavigationPanel from './NavigationPanel';
+import { cumulativeDistances, dueAnnouncement, formatDistance, isOffRoute, speak, trackProgress } from './navigation';
+import {
+  createAlertState,
+  loadAlertSettings,
+  loadSessionAlerts,
+  motionBetween,
+  playAlertSound,
+  saveAlertSettings,
+  saveSessionAlerts,
+  updateAlerts,
+  vibrateAlert
+} from './hazardAlerts';
+
+// One provider per travel mode, each asking the engine for that mode's profile
+const routingProviders = Object.fromEntries(Object.values(TRAVEL_MODES).map((mode) => [
+  mode.id,
+  createRoutingProvider({ ...routingConfig, profile: routingProfile(mode, routingConfig.provider) })
+]));
+const reportClient = reportsConfig.url
+    ? createReportClient(reportsConfig)
+    : createLocalReportClient();
+
+const geocoder = createGeocoder(geocodingConfig);
+
+const outbox = createOutbox();
+
+const emptyReportDraft = { coords: null, severity: 'medium', description: '', photo: null, separate: false };
+
+export default function MapView() {
+  // Map view, trip, open pothole and layers from the page URL
+  const initialLink = useInitialLink();
+  // Where positions come from: the device, or a fixed point or replayed track (`?location=`, see locationSources.js)
+  const [locationSpec, setLocationSpec] = useState(() => locationSpecFromSearch(window.location.search));
+  // The open source, and whether its first fix should move the map
+  const [locationSource, setLocationSource] = useState(null);
+  const [showLocationTools] = useState(() => (
+    process.env.NODE_ENV === 'development' || locationSpec.type !== 'browser'
+  ));
+  const [userPosition, setUserPosition] = useState(null);
+  const [locationAccuracy, setLocationAccuracy] = useState(null);
+  // Stops of the trip in visiting order ({ name, address, coords }); the last one is the destination
+  const [stops, setStops] = useState(initialLink.stops);
+  // Whether the next search result or dropped pin is added as a stop instead of replacing the trip
+  const [addingStop, setAddingStop] = useState(false);
+  const [pickingDestination, setPickingDestination] = useState(false);
+  const [viewport, setViewport] = useState(null);
+  const [online, setOnline] = useState(() => navigator.onLine !== false);
+  const [outboxCount, setOutboxCount] = useState(0);
+  // Which of the offline, share, import/export, trip and location source panels is open, if any
+  const [openPanel, setOpenPanel] = useState(null);
+  const [basemapId, setBasemapId] = useState(() => (
+    basemaps[initialLink.basemap] ? initialLink.basemap : loadBasemapId()
+  ));
+  // Overlay drawn over the map alongside (or instead of) the pothole markers: 'none', 'heatmap' or 'roads'
+  const [overlay, setOverlay] = useState(initialLink.overlay);
+  const [showPotholeMarkers, setShowPotholeMarkers] = useState(initialLink.showMarkers);
+  // Which potholes the map, routing and alerts consider; kept in the URL
+  const [potholeFilter, setPotholeFilter] = useState(initialLink.filter);
+  // Pothole whose popup is open
+  const [openPotholeId, setOpenPotholeId] = useState(initialLink.potholeId);
+  // Potholes this user has already voted on, by merged pothole id
+  const [votedPotholeIds, setVotedPotholeIds] = useState(() => new Set(loadVotedPotholes()));
+  // GPX/GeoJSON files imported to show on the map
+  const [tracks, setTracks] = useState([]);
+  // Trip recording (see TripPanel for its shape); the recorder and sensor live in refs
+  const [trip, setTrip] = useState(null);
+  const tripRecorderRef = useRef(null);
+  const stopMotionRef = useRef(null);
+  const [roads, setRoads] = useState([]);
+  const [roadsStatus, setRoadsStatus] = useState('idle');
+  // Area the loaded roads cover, so small pans inside it don't refetch
+  const roadsAreaRef = useRef(null);
+  // Saving potholes waits until the cached copy has been read, so it isn't overwritten by the sample data
+  const [potholesRestored, setPotholesRestored] = useState(false);
+  const potholesLoadedRef = useRef(false);
+  // Street address of the user's position, looked up when its popup opens
+  const [userAddress, setUserAddress] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Routes found for the trip, as the route panel shows them, and which one is followed
+  const [routeOptions, setRouteOptions] = useState(null);
+  const routeInfo = routeOptions ? routeOptions.routes[routeOptions.selected] : null;
+  const [isRoutingLoading, setIsRoutingLoading] = useState(false);
+  const [avoidPotholes, setAvoidPotholes] = useState(true);
+  // Car, moto-taxi, bike or on foot (see travelModes.js); remembered in the browser and kept in links
+  const [travelModeId, setTravelModeId] = useState(() => initialLink.mode || loadTravelModeId());
+  const mode = travelMode(travelModeId);
+  const [potholes, setPotholes] = useState(samplePotholes);
+  const [reportDraft, setReportDraft] = useState(null);
+  // Where the current route starts; only changes on a new destination or a reroute
+  const [routeStart, setRouteStart] = useState(initialLink.stops.length > 0 ? initialLink.start : null);
+  const [navigating, setNavigating] = useState(false);
+  const navigationRef = useRef({ announced: new Set(), offRouteCount: 0, lastReroute: 0 });
+  const lastFixRef = useRef(null);
+  const [motion, setMotion] = useState({ speed: null, heading: null });
+  const [alertSettings, setAlertSettings] = useState(loadAlertSettings);
+  const [activeAlerts, setActiveAlerts] = useState([]);
+  const alertStateRef = useRef(null);
+
+  const yaoundeCenter = [3.848, 11.502];
 
   useEffect(() => {
-    if (userPosition && shouldCenter && map) {
-      // Center the map immediately on user location
-      map.setView(userPosition, 15, {
-        animate: true,
-        duration: 1
-      });
-    }
-  }, [map, userPosition, shouldCenter]);
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
 
-  return null;
-}
+  // Start from the potholes saved on this device, until the network copy arrives
+  useEffect(() => {
+    loadCachedPotholes()
+        .then((cached) => {
+          if (cached.length > 0 && !potholesLoadedRef.current) setPotholes(cached);
+        })
+        .catch((storeError) => console.warn('Could not read saved potholes:', storeError))
+        .finally(() => setPotholesRestored(true));
+  }, []);
 
-// Component to handle routing logic
-function RoutingMachine({ userPosition, destination, routeColor = 'blue' }) {
-  const map = useMap();
-  const routingControlRef = useRef(null);
+  useEffect(() => {
+    if (!potholesRestored) return;
+    saveCachedPotholes(potholes).catch((storeError) => console.warn('Could not save potholes:', storeError));
+  }, [potholes, potholesRestored]);
 
+  // Load the configured pothole dataset; bad records are skipped and reported, not fatal
   useEffect(() => {
-    if (!userPosition || !destination) return;
+    if (!potholesConfig.url) return;
+    let cancelled = false;
 
-    // Remove existing routing control
-    if (routingControlRef.current) {
-      map.removeControl(routingControlRef.current);
-    }
+    loadPotholes(potholesConfig.url)
+        .then(({ potholes: loaded, errors }) => {
+          if (cancelled) return;
+          potholesLoadedRef.current = true;
+          // Keep this device's reports that haven't reached the server yet
+          setPotholes((current) => [...loaded, ...current.filter((p) => p.pending)]);
+          if (errors.length > 0) {
+            console.warn('Skipped invalid pothole records:', errors);
+            const first = errors[0];
+            setError(`Skipped ${errors.length} invalid pothole ${errors.length === 1 ? 'record' : 'records'} ` +
+                `(first: #${first.index}${first.id ? ` "${first.id}"` : ''}: ${first.message})`);
+          }
+        })
+        .catch((loadError) => {
+          if (cancelled) return;
+          console.error('Error loading potholes:', loadError);
+          setError(`${loadError.message} - showing sample data`);
+        });
 
-    // Create new routing control
-    routingControlRef.current = L.Routing.control({
-      waypoints: [
-        L.latLng(userPosition[0], userPosition[1]),
-        L.latLng(destination[0], destination[1]),
-      ],
-      routeWhileDragging: false,
-      addWaypoints: false,
-      draggableWaypoints: false,
-      show: false,
-      createMarker: () => null, // Don't create markers for waypoints
-      lineOptions: {
-        styles: [
-          { color: routeColor, weight: 6, opacity: 0.7 },
-          { color: 'white', weight: 2, opacity: 1 }
-        ]
-      },
-      altLineOptions: {
-        styles: [
-          { color: 'gray', weight: 4, opacity: 0.5, dashArray: '10,10' },
-          { color: 'white', weight: 2, opacity: 0.8, dashArray: '10,10' }
-        ]
-      }
-    }).addTo(map);
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-    // Hide the routing instructions panel
-    const routingContainer = document.querySelector('.leaflet-routing-container');
-    if (routingContainer) {
-      routingContainer.style.display = 'none';
+  // `reported` is the raw GeolocationCoordinates; speed/heading are derived from fixes when it lacks them
+  const handleLocationFound = (coords, accuracy, reported = {}) => {
+    const fix = { coords, time: Date.now() };
+    const derived = motionBetween(lastFixRef.current, fix);
+    lastFixRef.current = fix;
+    const recorder = tripRecorderRef.current;
+    if (recorder) {
+      recorder.addFix({ ...fix, accuracy, speed: reported.speed != null ? reported.speed * 3.6 : null });
+      const track = recorder.trace().fixes.map((recorded) => recorded.coords);
+      setTrip((current) => ({ ...current, distance: calculateRouteDistance(track), jolts: recorder.joltCount() }));
     }
+    setMotion({
+      speed: reported.speed != null ? reported.speed * 3.6 : derived.speed,
+      heading: reported.heading != null && !Number.isNaN(reported.heading) ? reported.heading : derived.heading
+    });
+    setUserPosition(coords);
+    setLocationAccuracy(accuracy);
+    setLoading(false);
+    setError(null);
+  };
 
+  useEffect(() => {
+    let cancelled = false;
+    openLocationSource(locationSpec)
+        .then((source) => {
+          if (cancelled) return;
+          // Speed and heading shouldn't be worked out across two different sources
+          lastFixRef.current = null;
+          setLocationSource((current) => ({
+            source,
+            centerOnFix: current ? true : !initialLink.view && !initialLink.potholeId
+          }));
+        })
+        .catch((sourceError) => {
+          if (cancelled) return;
+          console.error('Location source failed:', sourceError);
+          setError(`Could not start the location replay: ${sourceError.message}`);
+          setLocationSpec({ type: 'browser' });
+        });
     return () => {
-      if (routingControlRef.current) {
-        map.removeControl(routingControlRef.current);
-      }
+      cancelled = true;
     };
-  }, [map, userPosition, destination, routeColor]);
+  }, [locationSpec, initialLink]);
 
-  return null;
-}
+  const handleLocationError = (errorMessage) => {
+    setError(errorMessage);
+    setLoading(false);
+    setUserPosition(yaoundeCenter);
+    setLocationAccuracy(null);
+  };
 
-export default function MapView() {
-  const [userPosition, setUserPosition] = useState(null);
-  const [selectedDestination, setSelectedDestination] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [mapReady, setMapReady] = useState(false);
-  const [shouldCenterOnUser, setShouldCenterOnUser] = useState(false);
-  const mapRef = useRef(null);
+  const destinationPlace = stops.length > 0 ? stops[stops.length - 1] : null;
+  const selectedDestination = destinationPlace ? destinationPlace.coords : null;
 
-  const yaoundeCenter = [3.848, 11.502];
+  // Any change to the stops replans the trip from where the user is now
+  const changeStops = (next) => {
+    setStops(next);
+    setRouteStart(next.length > 0 ? userPosition : null);
+    setRouteOptions(null);
+    if (next.length === 0) setNavigating(false);
+  };
+
+  const handleDestinationSelect = (place) => {
+    changeStops(addingStop ? [...stops, place] : [place]);
+    setAddingStop(false);
+    setPickingDestination(false);
+  };
+
+  // Fill in the street address of a pinned or dragged stop once reverse geocoding answers
+  const lookupStopAddress = (coords) => {
+    geocoder.reverse(coords)
+        .then((place) => {
+          if (!place) return;
+          setStops((current) => current.map((stop) => (
+            stop.coords === coords ? { ...stop, address: place.address } : stop
+          )));
+        })
+        .catch((geocodeError) => console.warn('Reverse geocoding failed:', geocodeError));
+  };
+
+  // A pin dropped on the map routes straight away and gets its address later
+  const handleDestinationPin = (coords) => {
+    handleDestinationSelect({ name: 'Dropped pin', address: '', coords });
+    lookupStopAddress(coords);
+  };
+
+  const moveStopTo = (index, coords) => {
+    changeStops(stops.map((stop, i) => (i === index ? { name: 'Dropped pin', address: '', coords } : stop)));
+    lookupStopAddress(coords);
+  };
+
+  const optimizeStops = () => {
+    const start = userPosition || routeStart;
+    if (start) changeStops(optimizeStopOrder(start, stops));
+  };
+
+  // Only a change of stop positions or order should refetch the route, not an address arriving,
+  // so the stops routed along are only replaced when their key changes
+  const stopKey = stops.map((stop) => coordsKey(stop.coords)).join(';');
+  const [routed, setRouted] = useState({ key: stopKey, stops });
+  if (routed.key !== stopKey) setRouted({ key: stopKey, stops });
+  const routeStops = routed.stops;
+  // Popular places already on the trip are drawn as stops, not twice
+  const stopKeys = new Set(stops.map((stop) => coordsKey(stop.coords)));
+
+  const lookupUserAddress = () => {
+    if (!userPosition) return;
+    if (userAddress && calculateDistance(userAddress.coords, userPosition) < 0.05) return;
+    const coords = userPosition;
+    geocoder.reverse(coords)
+        .then((place) => setUserAddress(place ? { coords, address: place.address } : null))
+        .catch((geocodeError) => console.warn('Reverse geocoding failed:', geocodeError));
+  };
+
+  // A destination picked before the first position fix routes from that fix
+  useEffect(() => {
+    if (selectedDestination && !routeStart && userPosition) {
+      setRouteStart(userPosition);
+    }
+  }, [selectedDestination, routeStart, userPosition]);
+
+  // Stable callbacks so SimpleRouting doesn't refetch the route on every render
+  const handleRoutes = useCallback((routes, selected) => {
+    setRouteOptions({ routes, selected });
+  }, []);
+
+  const selectRoute = useCallback((index) => {
+    setRouteOptions((options) => options && { ...options, selected: index });
+  }, []);
+
+  const handleRoutingState = useCallback((isLoading) => {
+    setIsRoutingLoading(isLoading);
+  }, []);
+
+  const clearRoute = () => {
+    setStops([]);
+    setAddingStop(false);
+    setRouteStart(null);
+    setRouteOptions(null);
+    setIsRoutingLoading(false);
+    setNavigating(false);
+  };
+
+  const routeDistances = useMemo(
+      () => (routeInfo ? cumulativeDistances(routeInfo.coordinates) : null),
+      [routeInfo]
+  );
 
-  const locations = [
-    { name: 'Yaoundé Nsimalen International Airport', coords: [3.723, 11.553] },
-    { name: 'Monument de la Réunification', coords: [3.865, 11.518] },
-    { name: 'Cameroon National Museum', coords: [3.866, 11.518] },
-    { name: 'Central Market (Marché Central)', coords: [3.870, 11.512] },
-    { name: 'Hotel Hilton Yaoundé', coords: [3.873, 11.519] },
-  ];
+  const progress = useMemo(
+      () => (navigating && routeInfo && userPosition
+          ? trackProgress(routeInfo, userPosition, routeDistances)
+          : null),
+      [navigating, routeInfo, userPosition, routeDistances]
+  );
 
-  // Get user location on component mount
+  const startNavigation = () => {
+    navigationRef.current = { announced: new Set(), offRouteCount: 0, lastReroute: 0 };
+    setNavigating(true);
+    if (routeInfo && routeInfo.instructions.length > 0) {
+      speak(routeInfo.instructions[0].text);
+    }
+  };
+
+  // Announce upcoming maneuvers, and reroute only once the user has clearly left the route
   useEffect(() => {
-    const getUserLocation = () => {
-      if (!navigator.geolocation) {
-        setError('Geolocation is not supported by this browser');
-        setLoading(false);
-        return;
+    if (!progress || !routeInfo) return;
+    const nav = navigationRef.current;
+
+    if (progress.arrived) {
+      speak('You have arrived at your destination');
+      setNavigating(false);
+      return;
+    }
+
+    if (isOffRoute(progress, locationAccuracy || 0)) {
+      nav.offRouteCount += 1;
+      // Two fixes in a row and at most one reroute every 10 seconds, so GPS jitter doesn't trigger it
+      if (nav.offRouteCount >= 2 && Date.now() - nav.lastReroute > 10000) {
+        nav.offRouteCount = 0;
+        nav.lastReroute = Date.now();
+        nav.announced = new Set();
+        speak('Rerouting');
+        // Stops already visited are dropped so the new route doesn't send us back to them
+        const visited = routeInfo.legs.length -
+            remainingStops(routeInfo.legs, progress.travelled, routeDistances).length;
+        if (visited > 0) setStops((current) => current.slice(visited));
+        setRouteStart(userPosition);
       }
+      return;
+    }
+    nav.offRouteCount = 0;
 
-      const options = {
-        enableHighAccuracy: true,
-        timeout: 15000,
-        maximumAge: 0 // Always get fresh location
-      };
+    const announcement = dueAnnouncement(progress, routeInfo.instructions, nav.announced);
+    if (announcement) {
+      nav.announced.add(announcement.key);
+      announcement.skipKeys.forEach((key) => nav.announced.add(key));
+      speak(announcement.text);
+    }
+  }, [progress, routeInfo, routeDistances, locationAccuracy, userPosition]);
 
-      navigator.geolocation.getCurrentPosition(
+  const centerOnUser = () => {
+    if (userPosition && locationSource && locationSource.source) {
+      locationSource.source.getCurrentPosition(
           (position) => {
-            const { latitude, longitude } = position.coords;
+            const { latitude, longitude, accuracy } = position.coords;
             const coords = [latitude, longitude];
             setUserPosition(coords);
-            setShouldCenterOnUser(true);
-            setLoading(false);
-            console.log('User location obtained:', coords);
-          },
-          (err) => {
-            console.error('Geolocation error:', err.message);
-            setError(`Location error: ${err.message}`);
-            setLoading(false);
-
-            // Fallback to Yaoundé center if geolocation fails
-            setUserPosition(yaoundeCenter);
-            setShouldCenterOnUser(true);
+            setLocationAccuracy(accuracy);
           },
-          options
+          (error) => console.warn('Refresh location failed:', error),
+          { enableHighAccuracy: true, timeout: 10000, maximumAge: 0 }
       );
-    };
+    }
+  };
 
-    // Small delay to ensure map is ready
-    const timer = setTimeout(() => {
-      getUserLocation();
-    }, 500);
+  const startReport = () => {
+    setPickingDestination(false);
+    setOpenPanel(null);
+    setReportDraft({ ...emptyReportDraft });
+  };
 
-    return () => clearTimeout(timer);
+  const updateReportDraft = (changes) => {
+    setReportDraft((draft) => ({
+      ...draft,
+      ...changes,
+      // A new location means the duplicate check starts over
+      separate: changes.coords ? false : (changes.separate ?? draft.separate)
+    }));
+  };
+
+  const importTrackFile = (file) => {
+    importTrack(file)
+        .then((track) => {
+          setTracks((current) => [...current, { ...track, id: `${Date.now()}-${current.length}` }]);
+          if (track.skipped > 0) {
+            setError(`${track.skipped} ${track.skipped === 1 ? 'feature' : 'features'} in ${file.name} could not be shown`);
+          }
+        })
+        .catch((importError) => {
+          console.error('Import failed:', importError);
+          setError(`Could not import ${file.name}: ${importError.message}`);
+        });
+  };
+
+  // Must run from the click itself: iOS only asks for motion sensor access during a user gesture
+  const startTrip = () => {
+    const recorder = createTripRecorder();
+    startMotionSensor((sample) => recorder.addMotion(sample))
+        .then((stop) => {
+          stopMotionRef.current = stop;
+          tripRecorderRef.current = recorder;
+          setTrip({ recording: true, startedAt: recorder.trace().startedAt, distance: 0, jolts: 0 });
+        })
+        .catch((sensorError) => setError(`Could not start recording: ${sensorError.message}`));
+  };
+
+  const stopTrip = () => {
+    const recorder = tripRecorderRef.current;
+    if (stopMotionRef.current) stopMotionRef.current();
+    stopMotionRef.current = null;
+    tripRecorderRef.current = null;
+    setTrip({ recording: false, summary: recorder.summary(), trace: recorder.trace() });
+  };
+
+  const dismissTripCandidate = (id) => {
+    setTrip((current) => ({
+      ...current,
+      summary: { ...current.summary, candidates: current.summary.candidates.filter((c) => c.id !== id) }
+    }));
+  };
+
+  // The jolt becomes a report draft; it leaves the list whether or not the report is sent
+  const reportTripCandidate = (candidate) => {
+    dismissTripCandidate(candidate.id);
+    setPickingDestination(false);
+    setReportDraft({
+      ...emptyReportDraft,
+      coords: candidate.coords,
+      severity: candidate.severity,
+      description: `Detected by the trip recorder: ${candidate.magnitude.toFixed(1)} g jolt at ${Math.round(candidate.speed)} km/h`
+    });
+  };
+
+  useEffect(() => () => {
+    if (stopMotionRef.current) stopMotionRef.current();
   }, []);
 
-  const handleDestinationSelect = (location) => {
-    setSelectedDestination(location.coords);
+  const replacePothole = (id, record) => {
+    setPotholes((current) => current.map((p) => (p.id === id ? record : p)));
   };
 
-  const clearRoute = () => {
-    setSelectedDestination(null);
+  const selectBasemap = useCallback((id) => {
+    setBasemapId(id);
+    saveBasemapId(id);
+  }, []);
+
+  const selectTravelMode = useCallback((id) => {
+    setTravelModeId(id);
+    saveTravelModeId(id);
+  }, []);
+
+  const refreshOutboxCount = useCallback(() => {
+    outbox.list()
+        .then((entries) => setOutboxCount(entries.length))
+        .catch((outboxError) => console.warn('Could not read the report outbox:', outboxError));
+  }, []);
+
+  const queueOffline = (entry) => {
+    outbox.add(entry)
+        .then(refreshOutboxCount)
+        .catch((outboxError) => {
+          console.error('Could not queue report:', outboxError);
+          setError('You are offline and this report could not be saved for later');
+        });
+  };
+
+  // Send queued reports whenever the connection comes back, once saved potholes are restored
+  useEffect(() => {
+    refreshOutboxCount();
+    if (!online || !potholesRestored) return;
+
+    const replace = (id, record) => setPotholes((current) => current.map((p) => (p.id === id ? record : p)));
+    outbox.flush(reportClient, {
+      onSent: (entry, record) => {
+        if (entry.type === 'report') replace(entry.id, record);
+        else if (record) replace(entry.potholeId, record);
+      },
+      onFailed: (entry, sendError) => {
+        console.error('Queued report was rejected:', sendError);
+        setError(`A report made offline was rejected: ${sendError.message}`);
+        if (entry.type === 'report') {
+          setPotholes((current) => current.map((p) => (
+            p.id === entry.id ? { ...p, queued: false, failed: true } : p
+          )));
+        }
+      }
+    })
+        .then(refreshOutboxCount)
+        .catch((flushError) => console.warn('Could not send queued reports:', flushError));
+  }, [online, potholesRestored, refreshOutboxCount]);
+
+  const submitReport = () => {
+    const pending = createPendingPothole(reportDraft);
+    setPotholes((current) => [...current, pending]);
+    setReportDraft(null);
+
+    const report = reportDraft;
+    reportClient.submitReport(report)
+        .then((record) => replacePothole(pending.id, record))
+        .catch((submitError) => {
+          if (isNetworkError(submitError)) {
+            queueOffline({ id: pending.id, type: 'report', report });
+            replacePothole(pending.id, { ...pending, queued: true });
+            return;
+          }
+          console.error('Error submitting report:', submitError);
+          setError(`Your report could not be sent: ${submitError.message}`);
+          replacePothole(pending.id, { ...pending, failed: true });
+        });
+  };
+
+  // One vote per pothole from this browser; returns false if this user already voted on it
+  const rememberVote = (pothole) => {
+    if (votedPotholeIds.has(pothole.id)) return false;
+    const voted = new Set(votedPotholeIds).add(pothole.id);
+    setVotedPotholeIds(voted);
+    saveVotedPotholes(voted);
+    return true;
   };
 
-  const handleMapReady = (mapInstance) => {
-    mapRef.current = mapInstance;
-    setMapReady(true);
+  // Confirmations count against the merged pothole's original report
+  const confirmPothole = (pothole) => {
+    setReportDraft(null);
+    if (!rememberVote(pothole)) return;
+    const original = potholes.find((p) => p.id === pothole.id);
+    if (original) replacePothole(original.id, confirmLocally(original));
+
+    reportClient.confirmPothole(pothole.id)
+        .then((record) => {
+          if (record) replacePothole(pothole.id, record);
+        })
+        .catch((confirmError) => {
+          if (isNetworkError(confirmError)) {
+            queueOffline({ id: `confirm-${pothole.id}-${Date.now()}`, type: 'confirm', potholeId: pothole.id });
+            return;
+          }
+          console.error('Error confirming pothole:', confirmError);
+          setError(`Your confirmation could not be sent: ${confirmError.message}`);
+        });
+  };
+
+  // "Fixed" votes count against the merged pothole's original report, like confirmations,
+  // but the threshold applies to the votes on all of its reports
+  const reportFixed = (pothole) => {
+    if (!rememberVote(pothole)) return;
+    const original = potholes.find((p) => p.id === pothole.id);
+    if (original) {
+      replacePothole(original.id, markFixedLocally(original, {
+        fixedVotes: potholesConfig.fixedVotes,
+        votesSoFar: pothole.fixedVotes || 0
+      }));
+    }
+
+    reportClient.reportFixed(pothole.id)
+        .then((record) => {
+          if (record) replacePothole(pothole.id, record);
+        })
+        .catch((fixedError) => {
+          if (isNetworkError(fixedError)) {
+            queueOffline({ id: `fixed-${pothole.id}-${Date.now()}`, type: 'fixed', potholeId: pothole.id });
+            return;
+          }
+          console.error('Error reporting pothole fixed:', fixedError);
+          setError(`Your vote could not be sent: ${fixedError.message}`);
+        });
+  };
+
+  const votePothole = (pothole, vote) => {
+    if (vote === 'fixed') reportFixed(pothole);
+    else confirmPothole(pothole);
   };
 
+  // Raw reports merged into one entity per physical pothole, with verification and
+  // expiry applied; this is what the map and routing see
+  const mergedPotholes = useMemo(() => applyLifecycle(
+      mergePotholeReports(potholes, {
+        radius: potholesConfig.mergeRadius / 1000,
+        strategy: potholesConfig.severityMerge
+      }),
+      potholesConfig
+  ), [potholes]);
+
+  const visiblePotholes = useMemo(
+      () => filterPotholes(mergedPotholes, potholeFilter),
+      [mergedPotholes, potholeFilter]
+  );
+  const severityCounts = useMemo(
+      () => countBySeverity(mergedPotholes, potholeFilter),
+      [mergedPotholes, potholeFilter]
+  );
+  // The one list every hazard check uses (routing, alerts, the overlays and export): the
+  // potholes the filter lets through, leaving out reports still being sent
+  const hazardPotholes = useMemo(() => visiblePotholes.filter((p) => !p.pending), [visiblePotholes]);
+
+  // Everything a link can restore; the address bar follows it so a reload keeps the same map
+  const linkState = {
+    view: viewport && { center: viewport.center, zoom: viewport.zoom },
+    start: routeStart,
+    stops,
+    potholeId: openPotholeId,
+    basemap: basemapId !== defaultBasemapId() ? basemapId : null,
+    overlay,
+    showMarkers: showPotholeMarkers,
+    mode: travelModeId,
+    filter: potholeFilter
+  };
+  useLinkSync(linkState);
+
+  const linkedPothole = !initialLink.view && initialLink.potholeId
+      ? mergedPotholes.find((p) => p.id === initialLink.potholeId)
+      : null;
+
+  // What the geo: URI in the share panel points at
+  const sharePlace = destinationPlace
+      ? { coords: destinationPlace.coords, label: destinationPlace.name }
+      : (viewport && { coords: viewport.center, label: '' });
+
+  const roadsZoomedOut = overlay === 'roads' && viewport && viewport.zoom < roadsConfig.minZoom;
+
+  // Road geometry for the condition overlay, loaded for a little more than the visible area
+  useEffect(() => {
+    if (overlay !== 'roads' || !viewport || viewport.zoom < roadsConfig.minZoom) return;
+    if (roadsAreaRef.current && boundsContain(roadsAreaRef.current, viewport.bounds)) return;
+
+    const controller = new AbortController();
+    // Wait for the map to settle so panning around doesn't fire a request per move
+    const timer = setTimeout(() => {
+      const area = padBounds(viewport.bounds, 0.25);
+      setRoadsStatus('loading');
+      fetchRoads(area, { url: roadsConfig.overpassUrl, signal: controller.signal })
+          .then((result) => {
+            roadsAreaRef.current = area;
+            setRoads(result);
+            setRoadsStatus('idle');
+          })
+          .catch((roadsError) => {
+            if (controller.signal.aborted) {
+              setRoadsStatus('idle');
+              return;
+            }
+            console.warn('Could not load roads:', roadsError);
+            setRoadsStatus('error');
+          });
+    }, 500);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [overlay, viewport]);
+
+  const nearbyPothole = reportDraft && reportDraft.coords && !reportDraft.separate
+      ? findNearbyPothole(
+          reportDraft.coords,
+          mergedPotholes.filter((p) => !p.pending),
+          potholesConfig.mergeRadius / 1000
+      )
+      : null;
+
+  const updateAlertSettings = (changes) => {
+    setAlertSettings((current) => {
+      const next = { ...current, ...changes };
+      saveAlertSettings(next);
+      return next;
+    });
+  };
+
+  // Warn about potholes ahead; each one alerts once per session and clears once passed
+  useEffect(() => {
+    if (!alertSettings.enabled || !userPosition) {
+      setActiveAlerts([]);
+      return;
+    }
+    if (!alertStateRef.current) {
+      alertStateRef.current = createAlertState(loadSessionAlerts());
+    }
+
+    const { state, triggered } = updateAlerts(alertStateRef.current, {
+      position: userPosition,
+      speed: motion.speed,
+      heading: motion.heading,
+      potholes: hazardPotholes,
+      navigating
+    });
+    alertStateRef.current = state;
+    setActiveAlerts(state.active);
+    if (triggered.length === 0) return;
+
+    saveSessionAlerts(state.alerted);
+    const [worst] = triggered.slice().sort((a, b) => a.distance - b.distance);
+    if (alertSettings.sound) playAlertSound(worst.pothole.severity);
+    if (alertSettings.vibrate) vibrateAlert(worst.pothole.severity);
+    if (alertSettings.voice) {
+      speak(`${worst.pothole.severity} pothole ahead in ${formatDistance(worst.distance)}`);
+    }
+  }, [userPosition, motion, hazardPotholes, alertSettings, navigating]);
+
   return (
       <div style={{ position: 'relative', height: '100vh', width: '100%' }}>
+        {/* Custom CSS for pothole animations */}
+        <style>{`
+          @keyframes pulse {
+            0% { transform: scale(1); opacity: 1; }
+            50% { transform: scale(1.1); opacity: 0.8; }
+            100% { transform: scale(1); opacity: 1; }
+          }
+          .pothole-marker {
+            animation: pulse 2s infinite;
+          }
+        `}</style>
+
         {/* Loading indicator */}
         {loading && (
             <div style={{
@@ -200,7 +775,35 @@ export default function MapView() {
               borderRadius: '10px',
               boxShadow: '0 2px 10px rgba(0,0,0,0.1)'
             }}>
-              <div>Getting your location...</div>
+              <div style={{ textAlign: 'center' }}>
+                <div>📍 Getting your precise location...</div>
+                <small style={{ color: '#666', marginTop: '5px', display: 'block' }}>
+                  This may take a few seconds for accuracy
+                </small>
+              </div>
+            </div>
+        )}
+
+        {/* Routing loading indicator */}
+        {isRoutingLoading && (
+            <div style={{
+              position: 'absolute',
+              top: '50%',
+              left: '50%',
+              transform: 'translate(-50%, -50%)',
+              zIndex: 1000,
+              background: 'rgba(33, 150, 243, 0.9)',
+              color: 'white',
+              padding: '15px 20px',
+              borderRadius: '10px',
+              boxShadow: '0 2px 10px rgba(0,0,0,0.3)'
+            }}>
+              <div style={{ textAlign: 'center' }}>
+                <div>🗺️ Calculating route...</div>
+                <small style={{ marginTop: '5px', display: 'block', opacity: 0.8 }}>
+                  Checking for road hazards
+                </small>
+              </div>
             </div>
         )}
 
@@ -222,82 +825,187 @@ export default function MapView() {
             </div>
         )}
 
-        {/* Destination selector */}
-        <div style={{
-          position: 'absolute',
-          top: '10px',
-          right: '10px',
-          zIndex: 1000,
-          background: 'white',
-          padding: '10px',
-          borderRadius: '5px',
-          boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
-          maxWidth: '250px'
-        }}>
-          <h4 style={{ margin: '0 0 10px 0', fontSize: '14px' }}>Select Destination:</h4>
-          {locations.map((loc, i) => (
-              <button
-                  key={i}
-                  onClick={() => handleDestinationSelect(loc)}
-                  style={{
-                    display: 'block',
-                    width: '100%',
-                    margin: '5px 0',
-                    padding: '8px',
-                    border: '1px solid #ddd',
-                    borderRadius: '3px',
-                    background: selectedDestination === loc.coords ? '#e3f2fd' : 'white',
-                    cursor: 'pointer',
-                    fontSize: '12px',
-                    textAlign: 'left'
-                  }}
-              >
-                {loc.name}
-              </button>
-          ))}
-          {selectedDestination && (
+        {/* Proximity alert for the closest pothole ahead */}
+        {activeAlerts.length > 0 && <HazardAlertBanner alert={activeAlerts[0]} />}
+
+        {/* Pothole legend */}
+        <PotholeLegend
+            filter={potholeFilter}
+            counts={severityCounts}
+            shown={visiblePotholes.length}
+            total={mergedPotholes.length}
+            onFilterChange={setPotholeFilter}
+            showMarkers={showPotholeMarkers}
+            onShowMarkersChange={setShowPotholeMarkers}
+            overlay={overlay}
+            onOverlayChange={setOverlay}
+            roadsZoomedOut={roadsZoomedOut}
+            roadsStatus={roadsStatus}
+            alertSettings={alertSettings}
+            onAlertSettingsChange={updateAlertSettings}
+        />
+
+        {/* Location accuracy info */}
+        {userPosition && locationAccuracy && (
+            <div style={{
+              position: 'absolute',
+              bottom: '80px',
+              left: '10px',
+              zIndex: 1000,
+              background: 'rgba(255,255,255,0.9)',
+              padding: '8px 12px',
+              borderRadius: '5px',
+              fontSize: '12px',
+              boxShadow: '0 2px 5px rgba(0,0,0,0.2)'
+            }}>
+              📍 Location accuracy: ±{Math.round(locationAccuracy)}m
               <button
-                  onClick={clearRoute}
+                  onClick={centerOnUser}
                   style={{
-                    width: '100%',
-                    margin: '10px 0 0 0',
-                    padding: '8px',
-                    border: '1px solid #f44336',
+                    marginLeft: '10px',
+                    padding: '4px 8px',
+                    fontSize: '11px',
+                    border: '1px solid #2196f3',
                     borderRadius: '3px',
-                    background: '#f44336',
+                    background: '#2196f3',
                     color: 'white',
-                    cursor: 'pointer',
-                    fontSize: '12px'
+                    cursor: 'pointer'
                   }}
               >
-                Clear Route
+                Refresh
               </button>
-          )}
-        </div>
+            </div>
+        )}
+
+        {/* Turn-by-turn navigation */}
+        {routeInfo && navigating && (
+            <NavigationPanel
+                instructions={routeInfo.instructions}
+                progress={progress}
+                onStop={() => setNavigating(false)}
+            />
+        )}
+
+        {/* Route info */}
+        {routeInfo && !navigating && (
+            <RoutePanel
+                routes={routeOptions.routes}
+                selected={routeOptions.selected}
+                stops={stops}
+                onSelect={selectRoute}
+                onStartNavigation={startNavigation}
+            />
+        )}
+
+        {/* Pothole reporting, and the panels that share the bottom right corner with it */}
+        {reportDraft ? (
+            <ReportPanel
+                draft={reportDraft}
+                nearbyPothole={nearbyPothole}
+                userPosition={userPosition}
+                onChange={updateReportDraft}
+                onUseMyLocation={() => updateReportDraft({ coords: userPosition })}
+                onSubmit={submitReport}
+                onConfirm={confirmPothole}
+                confirmed={Boolean(nearbyPothole) && votedPotholeIds.has(nearbyPothole.id)}
+                onCancel={() => setReportDraft(null)}
+            />
+        ) : (
+            <ToolPanels
+                open={openPanel}
+                onOpen={setOpenPanel}
+                onReport={startReport}
+                viewport={viewport}
+                basemap={basemaps[basemapId]}
+                online={online}
+                outboxCount={outboxCount}
+                linkState={linkState}
+                sharePlace={sharePlace}
+                potholes={hazardPotholes}
+                route={routeInfo}
+                stops={stops}
+                tracks={tracks}
+                onImportTrack={importTrackFile}
+                onRemoveTrack={(id) => setTracks((current) => current.filter((track) => track.id !== id))}
+                showLocationTools={showLocationTools}
+                locationSpec={locationSpec}
+                locationSource={locationSource && locationSource.source}
+                onLocationSpecChange={setLocationSpec}
+                trip={trip}
+                onStartTrip={startTrip}
+                onStopTrip={stopTrip}
+                onReportCandidate={reportTripCandidate}
+                onDismissCandidate={dismissTripCandidate}
+                onDiscardTrip={() => setTrip(null)}
+            />
+        )}
+
+        {/* Connection status */}
+        {!online && (
+            <div style={{
+              position: 'absolute',
+              bottom: '10px',
+              left: '50%',
+              transform: 'translateX(-50%)',
+              zIndex: 1000,
+              background: 'rgba(66,66,66,0.9)',
+              color: 'white',
+              padding: '6px 12px',
+              borderRadius: '15px',
+              fontSize: '12px'
+            }}>
+              📴 Offline - using saved map areas and potholes
+            </div>
+        )}
+
+        {/* Destination selector */}
+        <DestinationPanel
+            geocoder={geocoder}
+            bounds={viewport && viewport.bounds}
+            stops={stops}
+            onSelect={handleDestinationSelect}
+            onChangeStops={changeStops}
+            addingStop={addingStop}
+            onAddingStopChange={setAddingStop}
+            pickingDestination={pickingDestination}
+            onPickingChange={(picking) => {
+              setReportDraft(null);
+              setPickingDestination(picking);
+            }}
+            canOptimize={Boolean(userPosition || routeStart)}
+            onOptimize={optimizeStops}
+            modeId={travelModeId}
+            onModeChange={selectTravelMode}
+            avoidPotholes={avoidPotholes}
+            onAvoidPotholesChange={setAvoidPotholes}
+            onClear={clearRoute}
+        />
 
         <MapContainer
-            center={yaoundeCenter}
-            zoom={12}
-            whenCreated={handleMapReady}
+            center={initialLink.view ? initialLink.view.center : yaoundeCenter}
+            zoom={initialLink.view ? initialLink.view.zoom : 12}
             style={{ height: '100vh', width: '100%' }}
         >
-          <TileLayer
-              attribution='&copy; OpenStreetMap contributors & CartoDB'
-              url='https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png'
-          />
+          <BasemapControl selected={basemapId} onChange={selectBasemap} />
+
+          {/* Location controller */}
+          {locationSource && (
+              <LocationController
+                  source={locationSource.source}
+                  onLocationFound={handleLocationFound}
+                  onLocationError={handleLocationError}
+                  centerOnFix={locationSource.centerOnFix}
+              />
+          )}
 
-          {/* Map controller for centering */}
-          <MapController
-              userPosition={userPosition}
-              shouldCenter={shouldCenterOnUser}
-          />
+          <ViewportTracker onChange={setViewport} />
 
           {/* Location markers */}
-          {locations.map((loc, i) => (
+          {popularPlaces.filter((place) => !stopKeys.has(coordsKey(place.coords))).map((loc, i) => (
               <Marker
                   key={i}
                   position={loc.coords}
-                  icon={selectedDestination === loc.coords ? redIcon : defaultIcon}
+                  icon={markerIcon('place')}
               >
                 <Popup>
                   <div>
@@ -323,42 +1031,112 @@ export default function MapView() {
               </Marker>
           ))}
 
-          {/* User location marker - only show when position is available */}
-          {userPosition && (
+          {/* Trip stops; drag one to move it */}
+          {stops.map((stop, i) => (
               <Marker
-                  position={userPosition}
-                  icon={greenIcon}
-                  zIndexOffset={1000} // Ensure user marker is on top
+                  key={`${stop.coords.join(',')}-${i}`}
+                  position={stop.coords}
+                  icon={stops.length > 1 ? stopIcon(i + 1) : markerIcon('destination')}
+                  draggable={!navigating}
                   eventHandlers={{
-                    add: (e) => {
-                      const markerEl = e.target._icon;
-                      if (markerEl) {
-                        markerEl.classList.add('bouncing');
-                        // Reset the centering flag after marker is added
-                        setTimeout(() => setShouldCenterOnUser(false), 1000);
-                      }
-                    },
+                    dragend: (e) => {
+                      const { lat, lng } = e.target.getLatLng();
+                      moveStopTo(i, [lat, lng]);
+                    }
                   }}
+              >
+                <Popup>
+                  <strong>{stops.length > 1 ? `${i + 1}. ` : ''}{stop.name}</strong>
+                  {stop.address && stop.address !== stop.name && (
+                      <>
+                        <br /><small>{stop.address}</small>
+                      </>
+                  )}
+                </Popup>
+              </Marker>
+          ))}
+          {pickingDestination && <MapClickPicker onPick={handleDestinationPin} />}
+
+          {/* Report location picking */}
+          {reportDraft && (
+              <MapClickPicker onPick={(coords) => updateReportDraft({ coords })} />
+          )}
+          {reportDraft && reportDraft.coords && (
+              <Marker
+                  position={reportDraft.coords}
+                  icon={getPotholeIcon(reportDraft.severity, true)}
+                  zIndexOffset={900}
+              />
+          )}
+
+          {overlay === 'heatmap' && <HeatmapLayer potholes={hazardPotholes} />}
+          {overlay === 'roads' && !roadsZoomedOut && <RoadConditionLayer roads={roads} potholes={hazardPotholes} />}
+
+          {/* Pothole markers */}
+          {showPotholeMarkers && (
+              <PotholeLayer
+                  potholes={visiblePotholes}
+                  selectedId={openPotholeId}
+                  onSelect={setOpenPotholeId}
+                  onVote={votePothole}
+                  votedIds={votedPotholeIds}
+              />
+          )}
+          <PotholeFocus pothole={linkedPothole} />
+
+          {tracks.map((track) => <TrackLayer key={track.id} track={track} />)}
+          {trip && !trip.recording && <TripLayer summary={trip.summary} onSelect={reportTripCandidate} />}
+
+          {/* User location marker */}
+          {userPosition && (
+              <Marker
+                  position={userPosition}
+                  icon={userIcon(mode.icon)}
+                  zIndexOffset={1000}
+                  eventHandlers={{ popupopen: lookupUserAddress }}
               >
                 <Popup>
                   <div>
-                    <strong>You are here</strong>
+                    <strong>📍 You are here</strong>
                     <br />
                     <small>
-                      Lat: {userPosition[0].toFixed(6)}<br />
-                      Lng: {userPosition[1].toFixed(6)}
+                      {userAddress && userAddress.address ? (
+                          userAddress.address
+                      ) : (
+                          <>
+                            Lat: {userPosition[0].toFixed(6)}<br />
+                            Lng: {userPosition[1].toFixed(6)}
+                          </>
+                      )}
+                      {locationAccuracy && (
+                          <>
+                            <br />Accuracy: ±{Math.round(locationAccuracy)}m
+                          </>
+                      )}
                     </small>
                   </div>
                 </Popup>
               </Marker>
           )}
 
-          {/* Routing component */}
-          {userPosition && selectedDestination && mapReady && (
-              <RoutingMachine
-                  userPosition={userPosition}
-                  destination={selectedDestination}
-                  routeColor="#2196f3"
+          {navigating && <NavigationFollower position={userPosition} />}
+
+          {/* Simplified routing component */}
+          {routeStart && routeStops.length > 0 && (
+              <SimpleRouting
+                  start={routeStart}
+                  stops={routeStops}
+                  provider={routingProviders[travelModeId]}
+                  mode={mode}
+                  potholes={hazardPotholes}
+                  avoidHazards={avoidPotholes}
+                  roads={roads}
+                  fitToRoute={!navigating}
+                  selected={routeOptions ? routeOptions.selected : 0}
+                  showAlternatives={!navigating}
+                  onRoutes={handleRoutes}
+                  onSelect={selectRoute}
+                  onRoutingState={handleRoutingState}
               />
           )}
         </MapContainer>
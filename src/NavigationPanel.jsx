@@ -0,0 +1,116 @@
+import { formatDistance } from './navigation';
+
+const maneuverIcons = {
+  left: '⬅️',
+  right: '➡️',
+  'slight left': '↖️',
+  'slight right': '↗️',
+  'sharp left': '↙️',
+  'sharp right': '↘️',
+  uturn: '↩️',
+  roundabout: '🔄',
+  arrive: '🏁',
+  waypoint: '📍',
+  straight: '⬆️'
+};
+
+export function maneuverIcon(modifier) {
+  return maneuverIcons[modifier] || maneuverIcons.straight;
+}
+
+// Step-by-step directions; the current step is highlighted while navigating
+export function InstructionList({ instructions, currentIndex = -1 }) {
+  return (
+      <ol style={{ listStyle: 'none', margin: 0, padding: 0, maxHeight: '180px', overflowY: 'auto' }}>
+        {instructions.map((instruction, i) => (
+            <li
+                key={i}
+                style={{
+                  display: 'flex',
+                  alignItems: 'center',
+                  padding: '4px 0',
+                  borderBottom: '1px solid rgba(255,255,255,0.2)',
+                  fontWeight: i === currentIndex ? 'bold' : 'normal',
+                  opacity: currentIndex >= 0 && i < currentIndex ? 0.5 : 1
+                }}
+            >
+              <span style={{ width: '24px', flexShrink: 0 }}>{maneuverIcon(instruction.modifier)}</span>
+              <span style={{ flex: 1 }}>{instruction.text}</span>
+              {instruction.distance > 0 && (
+                  <span style={{ marginLeft: '8px', whiteSpace: 'nowrap' }}>{formatDistance(instruction.distance)}</span>
+              )}
+            </li>
+        ))}
+      </ol>
+  );
+}
+
+// Driving view: next maneuver, remaining distance/ETA and the full instruction list
+export default function NavigationPanel({ instructions, progress, onStop }) {
+  const next = progress && progress.nextInstructionIndex >= 0
+      ? instructions[progress.nextInstructionIndex]
+      : null;
+  const eta = progress ? new Date(Date.now() + progress.timeRemaining * 60000) : null;
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        left: '10px',
+        zIndex: 1000,
+        background: 'rgba(33, 150, 243, 0.95)',
+        color: 'white',
+        padding: '10px',
+        borderRadius: '5px',
+        fontSize: '12px',
+        width: '300px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.3)'
+      }}>
+        {next ? (
+            <div style={{ display: 'flex', alignItems: 'center', marginBottom: '8px' }}>
+              <span style={{ fontSize: '28px', marginRight: '10px' }}>{maneuverIcon(next.modifier)}</span>
+              <div>
+                <div style={{ fontSize: '18px', fontWeight: 'bold' }}>{formatDistance(progress.distanceToNext)}</div>
+                <div>{next.text}</div>
+              </div>
+            </div>
+        ) : (
+            <div style={{ fontSize: '14px', marginBottom: '8px' }}>
+              {progress && progress.arrived ? '🏁 You have arrived' : 'Waiting for your position...'}
+            </div>
+        )}
+
+        {progress && (
+            <div style={{ marginBottom: '8px', opacity: 0.9 }}>
+              {formatDistance(progress.distanceRemaining)} • {Math.round(progress.timeRemaining)} min
+              • arrive {eta.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </div>
+        )}
+
+        <details>
+          <summary style={{ cursor: 'pointer', marginBottom: '5px' }}>All directions</summary>
+          <InstructionList
+              instructions={instructions}
+              currentIndex={progress ? progress.nextInstructionIndex : -1}
+          />
+        </details>
+
+        <button
+            onClick={onStop}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '8px',
+              border: '1px solid white',
+              borderRadius: '3px',
+              background: 'transparent',
+              color: 'white',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+        >
+          Stop navigation
+        </button>
+      </div>
+  );
+}
@@ -0,0 +1,193 @@
+import { useEffect, useRef, useState } from 'react';
+import { tilesConfig } from './config';
+import { deleteRegion, downloadRegion, estimateRegion, formatBytes, listRegions } from './offlineTiles';
+
+// Zoom levels beyond the ones the user is looking at that are worth saving
+const EXTRA_ZOOM_LEVELS = 3;
+const MAX_TILE_ZOOM = 18;
+
+const buttonStyle = {
+  padding: '6px 8px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: '#2196f3',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Save the visible map area for offline use and manage saved areas
+export default function OfflinePanel({ viewport, basemap, online, outboxCount, onClose }) {
+  const [regions, setRegions] = useState([]);
+  const [maxZoom, setMaxZoom] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [message, setMessage] = useState(null);
+  const downloadRef = useRef(null);
+
+  const refreshRegions = () => {
+    listRegions()
+        .then(setRegions)
+        .catch((error) => console.warn('Could not read saved areas:', error));
+  };
+
+  useEffect(() => {
+    refreshRegions();
+    // Stop a running download when the panel closes
+    return () => {
+      if (downloadRef.current) downloadRef.current.abort();
+    };
+  }, []);
+
+  const minZoom = viewport ? viewport.zoom : 0;
+  const zoomLimit = Math.min(MAX_TILE_ZOOM, basemap.maxZoom);
+  const topZoom = Math.min(zoomLimit, maxZoom ?? minZoom + EXTRA_ZOOM_LEVELS);
+  const estimate = viewport ? estimateRegion(viewport.bounds, minZoom, topZoom) : null;
+  const tooBig = estimate && estimate.tiles > tilesConfig.maxDownloadTiles;
+  const canDownload = online && estimate && !tooBig && !progress && typeof caches !== 'undefined';
+
+  const download = () => {
+    const controller = new AbortController();
+    downloadRef.current = controller;
+    setMessage(null);
+    setProgress({ done: 0, total: estimate.tiles });
+
+    downloadRegion({
+      name: `${basemap.name} map, ${new Date().toLocaleDateString()}`,
+      bounds: viewport.bounds,
+      minZoom,
+      maxZoom: topZoom,
+      urlTemplate: basemap.url,
+      subdomains: basemap.subdomains,
+      // Leaflet asks for @2x tiles on high-density screens where the source has them
+      retina: window.devicePixelRatio > 1,
+      signal: controller.signal,
+      onProgress: (done, total) => setProgress({ done, total })
+    })
+        .then((region) => {
+          setMessage(region.failed > 0
+              ? `Saved, but ${region.failed} tiles could not be downloaded`
+              : 'Area saved for offline use');
+          refreshRegions();
+        })
+        .catch((error) => {
+          if (!controller.signal.aborted) {
+            console.error('Offline download failed:', error);
+            setMessage(`Download failed: ${error.message}`);
+          }
+        })
+        .finally(() => {
+          downloadRef.current = null;
+          setProgress(null);
+        });
+  };
+
+  const removeRegion = (region) => {
+    deleteRegion(region)
+        .then(refreshRegions)
+        .catch((error) => console.warn('Could not delete saved area:', error));
+  };
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>📥 Offline maps</h4>
+
+        {!online && (
+            <div style={{ marginBottom: '8px', color: '#ff9800' }}>
+              You're offline. Saved areas and potholes are still available.
+            </div>
+        )}
+        {outboxCount > 0 && (
+            <div style={{ marginBottom: '8px', color: '#555' }}>
+              📤 {outboxCount} {outboxCount === 1 ? 'report is' : 'reports are'} waiting to be sent
+            </div>
+        )}
+
+        {!basemap.offlineDownload ? (
+            <div style={{ marginBottom: '8px', color: '#555' }}>
+              The {basemap.name.toLowerCase()} map comes from a public tile server that doesn't allow saving
+              areas in bulk. Maps you have looked at are still kept for offline use. To save whole areas,
+              set up your own tile server (REACT_APP_TILE_URL) and switch to it.
+            </div>
+        ) : (
+            <>
+              <div style={{ marginBottom: '5px' }}>Save the visible {basemap.name.toLowerCase()} map down to</div>
+              <select
+                  value={topZoom}
+                  onChange={(e) => setMaxZoom(Number(e.target.value))}
+                  disabled={!!progress}
+                  style={{ width: '100%', padding: '4px', marginBottom: '5px' }}
+              >
+                {Array.from({ length: Math.max(0, zoomLimit - minZoom + 1) }, (_, i) => minZoom + i).map((zoom) => (
+                    <option key={zoom} value={zoom}>
+                      Zoom {zoom}{zoom >= 17 ? ' (street detail)' : ''}
+                    </option>
+                ))}
+              </select>
+              {estimate && (
+                  <div style={{ marginBottom: '8px', color: tooBig ? '#c62828' : '#555' }}>
+                    ≈ {estimate.tiles.toLocaleString()} tiles, {formatBytes(estimate.bytes)}
+                    {tooBig && ` - zoom in or pick less detail (limit ${tilesConfig.maxDownloadTiles.toLocaleString()} tiles)`}
+                  </div>
+              )}
+
+              {progress ? (
+                  <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+                    <progress value={progress.done} max={progress.total} style={{ flex: 1 }} />
+                    <button onClick={() => downloadRef.current.abort()} style={{ ...buttonStyle, background: 'white', color: '#2196f3' }}>
+                      Cancel
+                    </button>
+                  </div>
+              ) : (
+                  <button
+                      onClick={download}
+                      disabled={!canDownload}
+                      style={{ ...buttonStyle, width: '100%', marginBottom: '8px', opacity: canDownload ? 1 : 0.5 }}
+                  >
+                    Download this area
+                  </button>
+              )}
+            </>
+        )}
+        {message && <div style={{ marginBottom: '8px', color: '#555' }}>{message}</div>}
+
+        {regions.length > 0 && (
+            <>
+              <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>Saved areas</div>
+              {regions.map((region) => (
+                  <div key={region.id} style={{ display: 'flex', alignItems: 'center', marginBottom: '3px' }}>
+                    <span style={{ flex: 1 }}>
+                      {region.name}
+                      <span style={{ color: '#888' }}> • zoom {region.minZoom}-{region.maxZoom} • {formatBytes(region.bytes)}</span>
+                    </span>
+                    <button
+                        onClick={() => removeRegion(region)}
+                        title="Delete saved area"
+                        style={{ border: 'none', background: 'none', cursor: 'pointer' }}
+                    >
+                      🗑
+                    </button>
+                  </div>
+              ))}
+            </>
+        )}
+
+        <button
+            onClick={onClose}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Close
+        </button>
+      </div>
+  );
+}
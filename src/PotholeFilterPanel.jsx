@@ -0,0 +1,99 @@
+import { SEVERITIES } from './potholes';
+import { AGE_WINDOWS, defaultFilter, isDefaultFilter, MIN_REPORT_OPTIONS, STATUS_GROUPS } from './potholeFilters';
+import { severityColors } from './markerIcons';
+
+const severityLabels = {
+  high: 'High Risk',
+  medium: 'Medium Risk',
+  low: 'Low Risk'
+};
+
+function toggle(list, value, on) {
+  return on ? [...list, value] : list.filter((item) => item !== value);
+}
+
+// Legend rows that double as severity toggles, plus the less used filters folded away
+export default function PotholeFilterPanel({ filter, counts, shown, total, onChange }) {
+  const update = (changes) => onChange({ ...filter, ...changes });
+
+  return (
+      <>
+        {SEVERITIES.map((severity) => (
+            <label
+                key={severity}
+                style={{ display: 'flex', alignItems: 'center', marginBottom: '3px', cursor: 'pointer' }}
+            >
+              <input
+                  type="checkbox"
+                  checked={filter.severities.includes(severity)}
+                  onChange={(e) => update({ severities: toggle(filter.severities, severity, e.target.checked) })}
+                  style={{ margin: '0 5px 0 0' }}
+              />
+              <div style={{
+                width: '12px',
+                height: '12px',
+                backgroundColor: severityColors[severity],
+                borderRadius: '50%',
+                marginRight: '5px'
+              }}></div>
+              <span style={{ flex: 1 }}>{severityLabels[severity]}</span>
+              <span style={{ color: '#888', marginLeft: '5px' }}>{counts[severity]}</span>
+            </label>
+        ))}
+
+        <details style={{ marginTop: '6px' }} open={!isDefaultFilter({ ...filter, severities: SEVERITIES })}>
+          <summary style={{ cursor: 'pointer' }}>More filters</summary>
+          <label style={{ display: 'block', marginTop: '4px' }}>
+            Last updated
+            <select
+                value={filter.maxAgeDays ?? ''}
+                onChange={(e) => update({ maxAgeDays: e.target.value ? Number(e.target.value) : null })}
+                style={{ display: 'block', width: '100%', fontSize: '11px' }}
+            >
+              {AGE_WINDOWS.map((window) => (
+                  <option key={window.label} value={window.days ?? ''}>{window.label}</option>
+              ))}
+            </select>
+          </label>
+          <label style={{ display: 'block', marginTop: '4px' }}>
+            Confirmed by
+            <select
+                value={filter.minReports}
+                onChange={(e) => update({ minReports: Number(e.target.value) })}
+                style={{ display: 'block', width: '100%', fontSize: '11px' }}
+            >
+              {MIN_REPORT_OPTIONS.map((count) => (
+                  <option key={count} value={count}>{count === 1 ? 'Anyone' : `${count}+ users`}</option>
+              ))}
+            </select>
+          </label>
+          <div style={{ marginTop: '4px' }}>Status</div>
+          {Object.entries(STATUS_GROUPS).map(([group, { label }]) => (
+              <label key={group} style={{ display: 'block', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={filter.statuses.includes(group)}
+                    onChange={(e) => update({ statuses: toggle(filter.statuses, group, e.target.checked) })}
+                    style={{ marginRight: '5px' }}
+                />
+                {label}
+              </label>
+          ))}
+        </details>
+
+        {shown < total && (
+            <div style={{ marginTop: '5px', color: '#666' }}>
+              Showing {shown} of {total}
+              {!isDefaultFilter(filter) && (
+                  <button
+                      onClick={() => onChange(defaultFilter)}
+                      style={{ marginLeft: '5px', border: 'none', background: 'none', color: '#2196f3', cursor: 'pointer', fontSize: '11px', padding: 0 }}
+                  >
+                    Reset
+                  </button>
+              )}
+            </div>
+        )}
+      </>
+  );
+}
@@ -0,0 +1,195 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { Marker, Popup, useMap, useMapEvents } from 'react-leaflet';
+import { formatAge, potholeStatus, statusLabels } from './potholes';
+import { clusterMarkers } from './markerClusters';
+import { getClusterIcon, getPotholeIcon } from './markerIcons';
+
+const voteButtonStyle = {
+  flex: 1,
+  padding: '4px 6px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: 'white',
+  color: '#2196f3',
+  cursor: 'pointer',
+  fontSize: '11px'
+};
+
+const votedButtonStyle = { borderColor: '#ccc', color: '#999', cursor: 'default' };
+
+function PotholePopup({ pothole, voted, onVote }) {
+  const status = potholeStatus(pothole);
+  const history = pothole.statusHistory || [];
+  const buttonStyle = voted ? { ...voteButtonStyle, ...votedButtonStyle } : voteButtonStyle;
+
+  return (
+      <Popup>
+        <div style={{ minWidth: '200px' }}>
+          <div style={{ fontWeight: 'bold', color: '#ff4444', marginBottom: '5px' }}>
+            ⚠️ Pothole Warning
+          </div>
+          <div style={{ marginBottom: '5px' }}>
+            <strong>Severity:</strong> {pothole.severity.toUpperCase()}
+          </div>
+          <div style={{ marginBottom: '5px' }}>
+            <strong>Status:</strong> {statusLabels[status]}
+            {status === 'reported' && !pothole.pending && pothole.freshness < 1 && (
+                <span style={{ color: '#888' }}> • unconfirmed, fading</span>
+            )}
+          </div>
+          <div style={{ marginBottom: '5px' }}>
+            <strong>Description:</strong> {pothole.description}
+          </div>
+
+          <div style={{ fontSize: '11px', color: '#888' }}>
+            Reported by {pothole.reportCount} {pothole.reportCount === 1 ? 'user' : 'users'}
+            <br />Last updated: {formatAge(pothole.updatedAt)}
+          </div>
+          {pothole.reports.length > 1 && (
+              <details style={{ marginTop: '5px', fontSize: '11px' }}>
+                <summary style={{ cursor: 'pointer' }}>
+                  Merged from {pothole.reports.length} reports
+                </summary>
+                <ul style={{ margin: '3px 0 0 0', paddingLeft: '15px', maxHeight: '100px', overflowY: 'auto' }}>
+                  {pothole.reports.map((report) => (
+                      <li key={report.id}>
+                        {formatAge(report.reportedAt)}: {report.severity}
+                        {report.reportCount > 1 && ` (×${report.reportCount})`}
+                        {report.description && ` - ${report.description}`}
+                      </li>
+                  ))}
+                </ul>
+              </details>
+          )}
+          {history.length > 0 && (
+              <details style={{ marginTop: '5px', fontSize: '11px' }}>
+                <summary style={{ cursor: 'pointer' }}>Status history</summary>
+                <ul style={{ margin: '3px 0 0 0', paddingLeft: '15px' }}>
+                  {history.map((entry) => (
+                      <li key={`${entry.status}-${entry.at}`}>
+                        {statusLabels[entry.status]} by {entry.by}, {formatAge(entry.at)}
+                        {entry.reason && ` (${entry.reason})`}
+                      </li>
+                  ))}
+                </ul>
+              </details>
+          )}
+          {(pothole.pending || pothole.failed) && (
+              <div style={{ marginTop: '5px', fontSize: '11px', color: pothole.failed ? '#c62828' : '#ff9800' }}>
+                {pothole.failed && '❌ Report not sent'}
+                {!pothole.failed && pothole.queued && "📤 Saved offline, will be sent when you're back online"}
+                {!pothole.failed && !pothole.queued && '⏳ Your report is being sent...'}
+              </div>
+          )}
+          {!pothole.pending && onVote && (
+              <div style={{ display: 'flex', gap: '5px', marginTop: '8px' }}>
+                <button onClick={() => onVote(pothole, 'present')} disabled={voted} style={buttonStyle}>
+                  👍 Still there
+                </button>
+                <button onClick={() => onVote(pothole, 'fixed')} disabled={voted} style={buttonStyle}>
+                  ✅ Fixed{pothole.fixedVotes > 0 ? ` (${pothole.fixedVotes})` : ''}
+                </button>
+              </div>
+          )}
+          {!pothole.pending && onVote && voted && (
+              <div style={{ marginTop: '3px', fontSize: '11px', color: '#888' }}>Thanks, your vote is counted</div>
+          )}
+          <div style={{ marginTop: '8px', fontSize: '11px', color: '#2196f3' }}>
+            💡 Drive carefully in this area
+          </div>
+        </div>
+      </Popup>
+  );
+}
+
+function PotholeMarker({ pothole, selected, voted, onSelect, onVote }) {
+  const markerRef = useRef(null);
+
+  // A pothole selected from outside (a shared link) opens its popup once its marker is on the map
+  useEffect(() => {
+    if (selected && markerRef.current && !markerRef.current.isPopupOpen()) {
+      markerRef.current.openPopup();
+    }
+  }, [selected]);
+
+  // Unconfirmed reports fade out as they get close to expiring
+  const opacity = 0.4 + 0.6 * (pothole.freshness ?? 1);
+
+  return (
+      <Marker
+          ref={markerRef}
+          position={pothole.coords}
+          icon={getPotholeIcon(pothole.severity, pothole.pending)}
+          opacity={opacity}
+          zIndexOffset={500}
+          eventHandlers={onSelect && {
+            popupopen: () => onSelect(pothole.id),
+            popupclose: () => onSelect(null)
+          }}
+      >
+        <PotholePopup pothole={pothole} voted={voted} onVote={onVote} />
+      </Marker>
+  );
+}
+
+function readViewport(map) {
+  // Render a margin around the visible area so markers don't pop in while panning
+  const bounds = map.getBounds().pad(0.2);
+  return {
+    zoom: map.getZoom(),
+    bounds: [
+      [bounds.getSouth(), bounds.getWest()],
+      [bounds.getNorth(), bounds.getEast()]
+    ]
+  };
+}
+
+// Pothole markers for the current viewport, clustered at low zoom levels. Potholes in
+// `votedIds` already have this user's vote, so their vote buttons are disabled.
+export default function PotholeLayer({ potholes, selectedId, votedIds, onSelect, onVote }) {
+  const map = useMap();
+  const [viewport, setViewport] = useState(() => readViewport(map));
+
+  useMapEvents({
+    moveend: () => setViewport(readViewport(map)),
+    zoomend: () => setViewport(readViewport(map))
+  });
+
+  const clusters = useMemo(() => clusterMarkers(potholes, {
+    bounds: viewport.bounds,
+    zoom: viewport.zoom,
+    project: (coords) => {
+      const point = map.project(coords, viewport.zoom);
+      return [point.x, point.y];
+    }
+  }), [map, potholes, viewport]);
+
+  return clusters.map((cluster) => {
+    if (cluster.potholes.length === 1) {
+      const pothole = cluster.potholes[0];
+      return (
+          <PotholeMarker
+              key={cluster.key}
+              pothole={pothole}
+              selected={pothole.id === selectedId}
+              voted={Boolean(votedIds && votedIds.has(pothole.id))}
+              onSelect={onSelect}
+              onVote={onVote}
+          />
+      );
+    }
+
+    return (
+        <Marker
+            key={cluster.key}
+            position={cluster.coords}
+            icon={getClusterIcon(cluster.severity, cluster.potholes.length)}
+            zIndexOffset={500}
+            title={`${cluster.potholes.length} potholes`}
+            eventHandlers={{
+              click: () => map.fitBounds(cluster.bounds, { padding: [40, 40], maxZoom: 17 })
+            }}
+        />
+    );
+  });
+}
@@ -0,0 +1,122 @@
+import PotholeFilterPanel from './PotholeFilterPanel';
+import { CONDITION_LEVELS } from './roadConditions';
+import { HEAT_GRADIENT } from './heatmap';
+
+// Legend in the bottom right corner: the pothole filter with its counts, which
+// layers are drawn with a key for the chosen overlay, and the driving alert settings.
+// `shown` and `total` count the potholes passing the filter and all of them.
+export default function PotholeLegend({
+  filter,
+  counts,
+  shown,
+  total,
+  onFilterChange,
+  showMarkers,
+  onShowMarkersChange,
+  overlay,
+  onOverlayChange,
+  roadsZoomedOut,
+  roadsStatus,
+  alertSettings,
+  onAlertSettingsChange
+}) {
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '120px',
+        right: '10px',
+        zIndex: 1000,
+        background: 'rgba(255,255,255,0.95)',
+        padding: '10px',
+        borderRadius: '5px',
+        fontSize: '11px',
+        boxShadow: '0 2px 5px rgba(0,0,0,0.2)',
+        minWidth: '140px'
+      }}>
+        <div style={{ fontWeight: 'bold', marginBottom: '5px' }}>⚠️ Pothole Alert</div>
+        <PotholeFilterPanel
+            filter={filter}
+            counts={counts}
+            shown={shown}
+            total={total}
+            onChange={onFilterChange}
+        />
+        <div style={{ marginTop: '6px', paddingTop: '6px', borderTop: '1px solid #eee' }}>
+          <label style={{ display: 'block', cursor: 'pointer' }}>
+            <input
+                type="checkbox"
+                checked={showMarkers}
+                onChange={(e) => onShowMarkersChange(e.target.checked)}
+                style={{ marginRight: '5px' }}
+            />
+            Markers
+          </label>
+          {[
+            ['heatmap', 'Heatmap'],
+            ['roads', 'Road condition']
+          ].map(([value, label]) => (
+              <label key={value} style={{ display: 'block', marginTop: '3px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={overlay === value}
+                    onChange={(e) => onOverlayChange(e.target.checked ? value : 'none')}
+                    style={{ marginRight: '5px' }}
+                />
+                {label}
+              </label>
+          ))}
+          {overlay === 'heatmap' && (
+              <div style={{ marginTop: '4px' }}>
+                <div style={{
+                  height: '8px',
+                  borderRadius: '4px',
+                  background: `linear-gradient(to right, ${HEAT_GRADIENT.map(([offset, [r, g, b]]) => `rgb(${r},${g},${b}) ${offset * 100}%`).join(', ')})`
+                }}></div>
+                <div style={{ display: 'flex', justifyContent: 'space-between', color: '#666' }}>
+                  <span>Few, minor</span>
+                  <span>Many, severe</span>
+                </div>
+              </div>
+          )}
+          {overlay === 'roads' && (
+              <div style={{ marginTop: '4px' }}>
+                {roadsZoomedOut ? (
+                    <div style={{ color: '#666' }}>Zoom in to see road conditions</div>
+                ) : (
+                    <>
+                      {CONDITION_LEVELS.slice().reverse().map((level) => (
+                          <div key={level.label} style={{ display: 'flex', alignItems: 'center', marginBottom: '2px' }}>
+                            <div style={{ width: '16px', height: '4px', backgroundColor: level.color, marginRight: '5px' }}></div>
+                            <span>{level.label}</span>
+                          </div>
+                      ))}
+                      {roadsStatus === 'loading' && <div style={{ color: '#666' }}>Loading roads…</div>}
+                      {roadsStatus === 'error' && <div style={{ color: '#c62828' }}>Could not load roads</div>}
+                    </>
+                )}
+              </div>
+          )}
+        </div>
+        <details style={{ marginTop: '6px' }}>
+          <summary style={{ cursor: 'pointer' }}>Alerts while driving</summary>
+          {[
+            ['enabled', 'Warn me'],
+            ['sound', 'Sound'],
+            ['vibrate', 'Vibrate'],
+            ['voice', 'Voice']
+          ].map(([key, label]) => (
+              <label key={key} style={{ display: 'block', marginTop: '3px', cursor: 'pointer' }}>
+                <input
+                    type="checkbox"
+                    checked={alertSettings[key]}
+                    disabled={key !== 'enabled' && !alertSettings.enabled}
+                    onChange={(e) => onAlertSettingsChange({ [key]: e.target.checked })}
+                    style={{ marginRight: '5px' }}
+                />
+                {label}
+              </label>
+          ))}
+        </details>
+      </div>
+  );
+}
@@ -0,0 +1,138 @@
+import { SEVERITIES } from './potholes';
+
+const severityLabels = {
+  high: 'High - dangerous, swerve or stop',
+  medium: 'Medium - slow down',
+  low: 'Low - minor damage',
+};
+
+// Form for reporting a pothole at the picked location, or confirming one already reported there
+export default function ReportPanel({
+  draft,
+  nearbyPothole,
+  userPosition,
+  onChange,
+  onUseMyLocation,
+  onSubmit,
+  onConfirm,
+  confirmed = false,
+  onCancel,
+}) {
+  const buttonStyle = {
+    padding: '8px',
+    border: '1px solid #2196f3',
+    borderRadius: '3px',
+    background: '#2196f3',
+    color: 'white',
+    cursor: 'pointer',
+    fontSize: '12px'
+  };
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>⚠️ Report pothole</h4>
+
+        {draft.coords ? (
+            <div style={{ marginBottom: '8px', color: '#555' }}>
+              📍 {draft.coords[0].toFixed(5)}, {draft.coords[1].toFixed(5)}
+            </div>
+        ) : (
+            <div style={{ marginBottom: '8px', color: '#555' }}>
+              Tap the map where the pothole is, or use your current location.
+            </div>
+        )}
+        <button
+            onClick={onUseMyLocation}
+            disabled={!userPosition}
+            style={{ ...buttonStyle, width: '100%', marginBottom: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Use my location
+        </button>
+
+        {nearbyPothole ? (
+            <div style={{ background: '#fff8e1', border: '1px solid #ffcc80', borderRadius: '3px', padding: '8px', marginBottom: '8px' }}>
+              <div style={{ marginBottom: '5px' }}>
+                A {nearbyPothole.severity} pothole is already reported here
+                ({nearbyPothole.reportCount} {nearbyPothole.reportCount === 1 ? 'report' : 'reports'}).
+              </div>
+              <button
+                  onClick={() => onConfirm(nearbyPothole)}
+                  disabled={confirmed}
+                  style={{ ...buttonStyle, width: '100%' }}
+              >
+                {confirmed ? "👍 You've already voted on this pothole" : "👍 Confirm it's still there"}
+              </button>
+              <button
+                  onClick={() => onChange({ separate: true })}
+                  style={{ ...buttonStyle, width: '100%', marginTop: '5px', background: 'white', color: '#2196f3' }}
+              >
+                It's a different pothole
+              </button>
+            </div>
+        ) : (
+            <>
+              <label style={{ display: 'block', marginBottom: '8px' }}>
+                Severity
+                <select
+                    value={draft.severity}
+                    onChange={(e) => onChange({ severity: e.target.value })}
+                    style={{ display: 'block', width: '100%', marginTop: '3px', padding: '4px' }}
+                >
+                  {SEVERITIES.map((severity) => (
+                      <option key={severity} value={severity}>{severityLabels[severity]}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label style={{ display: 'block', marginBottom: '8px' }}>
+                Description
+                <textarea
+                    value={draft.description}
+                    onChange={(e) => onChange({ description: e.target.value })}
+                    rows={2}
+                    placeholder="e.g. Deep pothole in the right lane"
+                    style={{ display: 'block', width: '100%', marginTop: '3px', boxSizing: 'border-box' }}
+                />
+              </label>
+
+              <label style={{ display: 'block', marginBottom: '8px' }}>
+                Photo (optional)
+                <input
+                    type="file"
+                    accept="image/*"
+                    capture="environment"
+                    onChange={(e) => onChange({ photo: e.target.files[0] || null })}
+                    style={{ display: 'block', marginTop: '3px' }}
+                />
+              </label>
+
+              <button
+                  onClick={onSubmit}
+                  disabled={!draft.coords}
+                  style={{ ...buttonStyle, width: '100%', opacity: draft.coords ? 1 : 0.6 }}
+              >
+                Submit report
+              </button>
+            </>
+        )}
+
+        <button
+            onClick={onCancel}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#666', borderColor: '#ddd' }}
+        >
+          Cancel
+        </button>
+      </div>
+  );
+}
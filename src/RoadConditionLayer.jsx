@@ -0,0 +1,25 @@
+import { useMemo } from 'react';
+import { Polyline, Tooltip } from 'react-leaflet';
+import { conditionLevel, scoreRoadSegments } from './roadConditions';
+
+// Road segments coloured by condition score
+export default function RoadConditionLayer({ roads, potholes }) {
+  const segments = useMemo(() => scoreRoadSegments(roads, potholes), [roads, potholes]);
+
+  return segments.map((segment) => {
+    const level = conditionLevel(segment.score);
+    return (
+        <Polyline
+            key={segment.id}
+            positions={segment.coordinates}
+            pathOptions={{ color: level.color, weight: segment.potholes > 0 ? 6 : 4, opacity: 0.85 }}
+        >
+          <Tooltip sticky>
+            {segment.name && <strong>{segment.name}<br /></strong>}
+            {level.label} ({segment.score}/100)
+            {segment.potholes > 0 && ` • ${segment.potholes} ${segment.potholes === 1 ? 'pothole' : 'potholes'}`}
+          </Tooltip>
+        </Polyline>
+    );
+  });
+}
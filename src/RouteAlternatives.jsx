@@ -0,0 +1,46 @@
+import { formatEtaRange } from './eta';
+
+// Index of the route with the lowest `value`, or -1 if several share it
+function uniqueBest(routes, value) {
+  const values = routes.map(value);
+  const best = Math.min(...values);
+  return values.filter((v) => v === best).length === 1 ? values.indexOf(best) : -1;
+}
+
+// Cards comparing the routes found, for the route panel; tapping one selects it
+export default function RouteAlternatives({ routes, selected, onSelect }) {
+  const fastest = uniqueBest(routes, (route) => route.eta.minutes);
+  const safest = uniqueBest(routes, (route) => route.hazards.score);
+
+  return (
+      <div style={{ display: 'flex', gap: '4px', marginTop: '5px' }}>
+        {routes.map((route, i) => {
+          const tags = [i === fastest && 'Fastest', i === safest && 'Fewest potholes'].filter(Boolean);
+          return (
+              <button
+                  key={i}
+                  onClick={() => onSelect(i)}
+                  aria-pressed={i === selected}
+                  style={{
+                    flex: 1,
+                    padding: '5px',
+                    border: '1px solid white',
+                    borderRadius: '3px',
+                    background: i === selected ? 'white' : 'transparent',
+                    color: i === selected ? '#1976d2' : 'white',
+                    cursor: 'pointer',
+                    fontSize: '11px',
+                    textAlign: 'left'
+                  }}
+              >
+                <div style={{ fontWeight: 'bold' }}>Route {i + 1}</div>
+                <div>{route.distance} km</div>
+                <div>{formatEtaRange(route.eta)}</div>
+                <div>{route.hazards.total > 0 ? `⚠️ ${route.hazards.total}` : '✅ 0'} potholes</div>
+                {tags.length > 0 && <div style={{ fontStyle: 'italic' }}>{tags.join(', ')}</div>}
+              </button>
+          );
+        })}
+      </div>
+  );
+}
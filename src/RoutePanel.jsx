@@ -0,0 +1,79 @@
+import RouteAlternatives from './RouteAlternatives';
+import { InstructionList } from './NavigationPanel';
+import { summarizeHazards } from './hazards';
+import { formatEtaRange, summarizeEta } from './eta';
+import { formatDistance } from './navigation';
+import { travelMode } from './travelModes';
+
+// The route panel before navigation starts: the selected route's distance, time,
+// hazards, legs and directions, with cards to switch between `routes`
+export default function RoutePanel({ routes, selected, stops, onSelect, onStartNavigation }) {
+  const route = routes[selected];
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        left: '10px',
+        zIndex: 1000,
+        background: 'rgba(33, 150, 243, 0.9)',
+        color: 'white',
+        padding: '10px',
+        borderRadius: '5px',
+        fontSize: '12px',
+        maxWidth: '300px'
+      }}>
+        <div>
+          {travelMode(route.mode).icon} {route.distance} km • {formatEtaRange(route.eta)}
+          {route.type === 'road-route' && ` (via ${route.provider})`}
+          {route.type === 'simulated-offline' && ' (offline estimate)'}
+          {route.type === 'straight-line' && ' (direct distance)'}
+        </div>
+        {summarizeEta(route.eta) && (
+            <div style={{ marginTop: '3px', opacity: 0.85 }}>Includes {summarizeEta(route.eta)}</div>
+        )}
+        {routes.length > 1 && (
+            <RouteAlternatives routes={routes} selected={selected} onSelect={onSelect} />
+        )}
+        {route.hazards && (
+            <div style={{ marginTop: '5px' }}>
+              {route.hazards.total > 0 ? '⚠️' : '✅'} {summarizeHazards(route.hazards)}
+              {route.avoidance === 'alternative' && ' • safer alternative chosen'}
+              {route.avoidance === 'waypoint' && ' • detour around pothole'}
+            </div>
+        )}
+        {route.legs.length > 1 && (
+            <ol style={{ margin: '5px 0 0 0', paddingLeft: '18px' }}>
+              {route.legs.map((leg, i) => (
+                  <li key={i}>
+                    {(stops[i] || leg.stop).name}: {formatDistance(leg.distance)} • {Math.round(leg.time)} min
+                  </li>
+              ))}
+            </ol>
+        )}
+        {route.instructions.length > 0 && (
+            <details style={{ marginTop: '5px' }}>
+              <summary style={{ cursor: 'pointer' }}>Directions ({route.instructions.length} steps)</summary>
+              <InstructionList instructions={route.instructions} />
+            </details>
+        )}
+        <button
+            onClick={onStartNavigation}
+            style={{
+              width: '100%',
+              marginTop: '8px',
+              padding: '8px',
+              border: '1px solid white',
+              borderRadius: '3px',
+              background: 'white',
+              color: '#2196f3',
+              cursor: 'pointer',
+              fontSize: '12px',
+              fontWeight: 'bold'
+            }}
+        >
+          ▶ Start navigation
+        </button>
+      </div>
+  );
+}
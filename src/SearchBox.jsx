@@ -0,0 +1,142 @@
+import { useEffect, useRef, useState } from 'react';
+import { createLocalGeocoder, popularPlaces } from './geocoding';
+import { coordsKey } from './stops';
+
+const offlineGeocoder = createLocalGeocoder();
+
+// Wait this long after the last keystroke before asking the geocoder (ms)
+const SEARCH_DELAY = 350;
+
+const resultStyle = {
+  display: 'block',
+  width: '100%',
+  margin: '5px 0',
+  padding: '8px',
+  border: '1px solid #ddd',
+  borderRadius: '3px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '12px',
+  textAlign: 'left'
+};
+
+// Destination search; popular places are listed until the user types. Geocoders that
+// allow it are asked as the user types, others only when the search is submitted.
+export default function SearchBox({ geocoder, bounds, selected, onSelect }) {
+  const [query, setQuery] = useState('');
+  // Text of the last submitted search, for geocoders without autocomplete
+  const [submitted, setSubmitted] = useState('');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const [offline, setOffline] = useState(false);
+  // Name of the place just picked, so filling it into the box doesn't search again
+  const [chosen, setChosen] = useState(null);
+  // Read when a search starts: panning the map shouldn't re-run a search the user already sees
+  const boundsRef = useRef(bounds);
+  boundsRef.current = bounds;
+
+  const text = (geocoder.autocomplete ? query : submitted).trim();
+  // Typed but not yet submitted
+  const pending = !geocoder.autocomplete && query.trim() !== submitted.trim();
+
+  useEffect(() => {
+    if (text.length < 3 || text === chosen) {
+      setResults([]);
+      setSearching(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    setSearching(true);
+    const timer = setTimeout(() => {
+      geocoder.search(text, { bounds: boundsRef.current, signal: controller.signal })
+          .then((found) => {
+            setOffline(false);
+            return found;
+          })
+          .catch((searchError) => {
+            if (controller.signal.aborted) throw searchError;
+            console.warn('Geocoding failed, searching known places only:', searchError);
+            setOffline(true);
+            return offlineGeocoder.search(text);
+          })
+          .then((found) => {
+            setResults(found);
+            setSearching(false);
+          })
+          .catch(() => {});
+    }, geocoder.autocomplete ? SEARCH_DELAY : 0);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [geocoder, text, chosen]);
+
+  const submit = (e) => {
+    e.preventDefault();
+    setSubmitted(query);
+  };
+
+  const choose = (place) => {
+    setChosen(place.name);
+    setQuery(place.name);
+    setResults([]);
+    onSelect(place);
+  };
+
+  const showPopular = query.trim().length < 3;
+  const settled = query.trim() === chosen;
+  const places = showPopular ? popularPlaces : pending ? [] : results;
+
+  return (
+      <form onSubmit={submit}>
+        <input
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search for a place or address"
+            aria-label="Search destination"
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '8px',
+              border: '1px solid #ccc',
+              borderRadius: '3px',
+              fontSize: '12px'
+            }}
+        />
+        {!showPopular && pending && !settled && (
+            <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>Press Enter to search</div>
+        )}
+        {showPopular && <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>Popular places</div>}
+        {searching && <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>Searching...</div>}
+        {!showPopular && !pending && !settled && !searching && results.length === 0 && (
+            <div style={{ fontSize: '11px', color: '#666', marginTop: '5px' }}>No places found</div>
+        )}
+        {offline && !showPopular && !pending && !settled && (
+            <div style={{ fontSize: '11px', color: '#ff9800', marginTop: '5px' }}>
+              Search is offline - showing known places only
+            </div>
+        )}
+        <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+          {places.map((place, i) => (
+              <button
+                  key={`${place.coords.join(',')}-${i}`}
+                  type="button"
+                  onClick={() => choose(place)}
+                  style={{
+                    ...resultStyle,
+                    background: selected && coordsKey(selected.coords) === coordsKey(place.coords) ? '#e3f2fd' : 'white'
+                  }}
+              >
+                {place.name}
+                {place.address && place.address !== place.name && (
+                    <div style={{ fontSize: '10px', color: '#888' }}>{place.address}</div>
+                )}
+              </button>
+          ))}
+        </div>
+      </form>
+  );
+}
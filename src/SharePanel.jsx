@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import QRCode from 'qrcode';
+import { deepLinkSearch, geoUri } from './deepLinks';
+
+const buttonStyle = {
+  padding: '6px 8px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: '#2196f3',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Link to what's on the map now, with a geo: URI and a QR code for phones.
+// `place` ({ coords, label }) is what the geo: URI points at.
+export default function SharePanel({ linkState, place, onClose }) {
+  // Where the route starts is usually the user's own position, so it's left out unless asked for
+  const [includeStart, setIncludeStart] = useState(false);
+  const [qrCode, setQrCode] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const hasRoute = linkState.stops.length > 0 && !!linkState.start;
+  const search = deepLinkSearch(includeStart ? linkState : { ...linkState, start: null });
+  const link = `${window.location.origin}${window.location.pathname}${search}`;
+  const geo = place ? geoUri(place.coords, place.label) : null;
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(link, { margin: 1, width: 180 })
+        .then((url) => {
+          if (!cancelled) setQrCode(url);
+        })
+        .catch((qrError) => console.warn('Could not draw QR code:', qrError));
+    return () => {
+      cancelled = true;
+    };
+  }, [link]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(link)
+        .then(() => setMessage('Link copied'))
+        .catch(() => setMessage('Copying is blocked here; select the link and copy it'));
+  };
+
+  const shareLink = () => {
+    navigator.share({ title: 'CV Box map', url: link })
+        .catch((shareError) => {
+          if (shareError.name !== 'AbortError') console.warn('Sharing failed:', shareError);
+        });
+  };
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>🔗 Share</h4>
+
+        <input
+            readOnly
+            value={link}
+            onFocus={(e) => e.target.select()}
+            style={{ width: '100%', boxSizing: 'border-box', padding: '4px', marginBottom: '5px', fontSize: '11px' }}
+        />
+        {hasRoute && (
+            <label style={{ display: 'block', marginBottom: '5px', cursor: 'pointer' }}>
+              <input
+                  type="checkbox"
+                  checked={includeStart}
+                  onChange={(e) => setIncludeStart(e.target.checked)}
+                  style={{ marginRight: '5px' }}
+              />
+              Include where the route starts
+            </label>
+        )}
+        <div style={{ display: 'flex', gap: '5px', marginBottom: '8px' }}>
+          {navigator.clipboard && (
+              <button onClick={copyLink} style={{ ...buttonStyle, flex: 1 }}>Copy link</button>
+          )}
+          {navigator.share && (
+              <button onClick={shareLink} style={{ ...buttonStyle, flex: 1 }}>Share…</button>
+          )}
+        </div>
+        {message && <div style={{ marginBottom: '8px', color: '#555' }}>{message}</div>}
+
+        {qrCode && (
+            <div style={{ textAlign: 'center', marginBottom: '5px' }}>
+              <img src={qrCode} alt="QR code of the link" width="180" height="180" />
+            </div>
+        )}
+        {geo && (
+            <div style={{ marginBottom: '5px' }}>
+              <a href={geo}>📱 Open {place.label || 'this place'} in a maps app</a>
+            </div>
+        )}
+
+        <button
+            onClick={onClose}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Close
+        </button>
+      </div>
+  );
+}
@@ -0,0 +1,230 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { calculateRouteDistance } from './geo';
+import { createSimulatedProvider } from './routing';
+import { planRoute, scoreRouteHazards } from './hazards';
+import { routeLegs, withStopInstructions } from './stops';
+import { estimateEta, roadClassMinutes } from './eta';
+import { TRAVEL_MODES } from './travelModes';
+
+const offlineRoutingProvider = createSimulatedProvider();
+
+// Routes that aren't selected are drawn greyed out underneath the selected one
+const DIMMED_STYLE = { color: '#78909c', opacity: 0.5 };
+
+// Show `selected` in its own style and the other alternatives dimmed, or hidden
+// unless `showAlternatives`. `layers` are [{ layer, style }].
+function showSelection(map, layers, selected, showAlternatives) {
+  layers.forEach(({ layer, style }, i) => {
+    if (i !== selected && !showAlternatives) {
+      layer.remove();
+      return;
+    }
+    if (!map.hasLayer(layer)) layer.addTo(map);
+    layer.setStyle(i === selected ? style : { ...style, ...DIMMED_STYLE });
+  });
+  if (layers[selected]) layers[selected].layer.bringToFront();
+}
+
+// The route as the route panel and navigation use it, for the `stops` and `mode` it was planned for
+function describeRoute(route, hazardScore, avoidance, { stops, mode, roads }) {
+  const eta = estimateEta(route, { hazards: hazardScore, roads, mode });
+  const legs = routeLegs({ ...route, time: eta.minutes }, stops);
+  return {
+    distance: route.distance.toFixed(1),
+    time: Math.round(eta.minutes),
+    eta,
+    mode: mode.id,
+    type: route.type,
+    provider: route.provider,
+    coordinates: route.coordinates,
+    instructions: withStopInstructions(route.instructions || [], legs),
+    legs,
+    hazards: hazardScore,
+    avoidance
+  };
+}
+
+// Routing component: asks the configured routing provider for a road route from
+// `start` through every stop in order, with up to two alternatives where the
+// engine has them. It only reroutes when `start` or `stops` change, not on every
+// position update. `roads` (with their OSM class, when the road overlay has loaded
+// them) sharpen the time estimate for offline routes. `mode` is the travel mode,
+// which weighs the potholes and sets the speeds; `provider` should already route
+// for it. Changes to `potholes` only re-score the routes already found.
+//
+// Every route found is passed to `onRoutes(routes, chosen)` as the route panel
+// shows it, with the index of the one picked for the user, or of the one still
+// selected when only the scores changed. The parent keeps the `selected` index;
+// tapping a line calls `onSelect(index)`. While navigating, `showAlternatives` is
+// false and only the selected route is drawn.
+export default function SimpleRouting({
+  start,
+  stops,
+  provider,
+  mode = TRAVEL_MODES.car,
+  potholes,
+  avoidHazards,
+  roads = [],
+  fitToRoute = true,
+  selected = 0,
+  showAlternatives = true,
+  onRoutes,
+  onSelect,
+  onRoutingState
+}) {
+  const map = useMap();
+  // One { layer, style } per alternative
+  const routeLayersRef = useRef([]);
+  // The routes last found: { alternatives, chosen, avoidance, stops, mode }
+  const [planned, setPlanned] = useState(null);
+  const selectedRef = useRef(selected);
+  selectedRef.current = selected;
+  // Potholes only steer the choice between routes when they are planned
+  const potholesRef = useRef(potholes);
+  potholesRef.current = potholes;
+  // Read at draw time so toggling navigation doesn't recompute the route
+  const fitToRouteRef = useRef(fitToRoute);
+  fitToRouteRef.current = fitToRoute;
+  const showAlternativesRef = useRef(showAlternatives);
+  showAlternativesRef.current = showAlternatives;
+  const onSelectRef = useRef(onSelect);
+  onSelectRef.current = onSelect;
+  // Likewise for roads, which load as the map pans
+  const roadsRef = useRef(roads);
+  roadsRef.current = roads;
+
+  useEffect(() => {
+    if (!start || stops.length === 0 || !map || !map._container) return;
+    const points = [start, ...stops.map((stop) => stop.coords)];
+
+    const removeRoutes = () => {
+      routeLayersRef.current.forEach(({ layer }) => {
+        try {
+          map.removeLayer(layer);
+        } catch (e) {
+          console.warn('Error removing route layer:', e);
+        }
+      });
+      routeLayersRef.current = [];
+    };
+
+    removeRoutes();
+
+    const controller = new AbortController();
+
+    const drawRoutes = ({ route, avoidance, alternatives }, style) => {
+      const chosen = alternatives.findIndex((option) => option.route === route);
+
+      routeLayersRef.current = alternatives.map((option, i) => {
+        // Taps on a line pick it rather than reaching the map underneath
+        const layer = L.polyline(option.route.coordinates, { ...style, bubblingMouseEvents: false });
+        layer.on('click', () => {
+          if (onSelectRef.current) onSelectRef.current(i);
+        });
+        return { layer, style };
+      });
+      showSelection(map, routeLayersRef.current, chosen, showAlternativesRef.current);
+
+      // Fit map to show every route
+      if (fitToRouteRef.current) {
+        const bounds = L.latLngBounds(alternatives.flatMap((option) => option.route.coordinates));
+        map.fitBounds(bounds, { padding: [20, 20] });
+      }
+
+      setPlanned({ alternatives: alternatives.map((option) => option.route), chosen, avoidance, stops, mode });
+    };
+
+    const routeStyle = {
+      color: '#2196f3',
+      weight: 5,
+      opacity: 0.8,
+      lineCap: 'round',
+      lineJoin: 'round'
+    };
+
+    const createRoute = async () => {
+      if (onRoutingState) onRoutingState(true);
+
+      try {
+        let plan;
+        try {
+          plan = await planRoute(provider, points, potholesRef.current, { avoidHazards, weights: mode.severityWeights, signal: controller.signal });
+        } catch (providerError) {
+          if (controller.signal.aborted) return;
+          console.warn(`Routing via ${provider.name} failed, using offline estimate:`, providerError);
+          plan = await planRoute(offlineRoutingProvider, points, potholesRef.current, { weights: mode.severityWeights });
+        }
+
+        if (controller.signal.aborted) return;
+        drawRoutes(plan, plan.route.type === 'simulated-offline'
+            ? { ...routeStyle, dashArray: '8,6' }
+            : routeStyle);
+
+      } catch (error) {
+        console.error('Error creating route:', error);
+
+        // Fallback to straight line
+        try {
+          const coordinates = points;
+          const distance = calculateRouteDistance(coordinates);
+          const time = roadClassMinutes(coordinates, roadsRef.current, mode);
+          const straight = {
+            route: {
+              coordinates,
+              distance,
+              time,
+              type: 'straight-line',
+              instructions: [
+                { text: 'Head straight towards your destination', distance, time, modifier: 'straight', pointIndex: 0 },
+                { text: 'Arrive at your destination', distance: 0, time: 0, modifier: 'arrive', pointIndex: coordinates.length - 1 }
+              ]
+            }
+          };
+          drawRoutes({ ...straight, avoidance: null, alternatives: [straight] }, {
+            color: '#ff9800',
+            weight: 4,
+            opacity: 0.7,
+            dashArray: '10,5'
+          });
+        } catch (fallbackError) {
+          console.error('Fallback route creation failed:', fallbackError);
+        }
+      } finally {
+        if (onRoutingState && !controller.signal.aborted) onRoutingState(false);
+      }
+    };
+
+    createRoute();
+
+    return () => {
+      controller.abort();
+      if (map) removeRoutes();
+    };
+  }, [map, start, stops, provider, mode, avoidHazards, onRoutingState]);
+
+  // Score the routes against the current potholes, without asking the engine again
+  const routes = useMemo(() => planned && planned.alternatives.map((route, i) => describeRoute(
+      route,
+      scoreRouteHazards(route.coordinates, potholes, { weights: planned.mode.severityWeights }),
+      i === planned.chosen ? planned.avoidance : null,
+      { stops: planned.stops, mode: planned.mode, roads: roadsRef.current }
+  )), [planned, potholes]);
+
+  // New routes come with the pick for the user; re-scored ones keep the user's choice
+  const reportedRef = useRef(null);
+  useEffect(() => {
+    if (!routes || !onRoutes) return;
+    const fresh = reportedRef.current !== planned;
+    reportedRef.current = planned;
+    onRoutes(routes, fresh ? planned.chosen : selectedRef.current);
+  }, [planned, routes, onRoutes]);
+
+  // Restyle when another route is picked, or navigation starts or ends
+  useEffect(() => {
+    showSelection(map, routeLayersRef.current, selected, showAlternatives);
+  }, [map, selected, showAlternatives]);
+
+  return null;
+}
@@ -0,0 +1,133 @@
+import OfflinePanel from './OfflinePanel';
+import SharePanel from './SharePanel';
+import DataPanel from './DataPanel';
+import LocationSourcePanel from './LocationSourcePanel';
+import TripPanel from './TripPanel';
+
+const panelButtonStyle = {
+  padding: '8px 12px',
+  border: '1px solid #2196f3',
+  borderRadius: '5px',
+  background: 'white',
+  color: '#2196f3',
+  cursor: 'pointer',
+  fontSize: '12px',
+  boxShadow: '0 2px 5px rgba(0,0,0,0.2)'
+};
+
+// The buttons in the bottom right corner and the panel they open there: offline
+// maps, share, import/export, trip recording and the location source. `open` is
+// the open panel's name or null; `onOpen(name)` opens one and `onOpen(null)` closes it.
+export default function ToolPanels({
+  open,
+  onOpen,
+  onReport,
+  viewport,
+  basemap,
+  online,
+  outboxCount,
+  linkState,
+  sharePlace,
+  potholes,
+  route,
+  stops,
+  tracks,
+  onImportTrack,
+  onRemoveTrack,
+  showLocationTools,
+  locationSpec,
+  locationSource,
+  onLocationSpecChange,
+  trip,
+  onStartTrip,
+  onStopTrip,
+  onReportCandidate,
+  onDismissCandidate,
+  onDiscardTrip
+}) {
+  const close = () => onOpen(null);
+
+  if (open === 'offline') {
+    return <OfflinePanel viewport={viewport} basemap={basemap} online={online} outboxCount={outboxCount} onClose={close} />;
+  }
+  if (open === 'share') {
+    return <SharePanel linkState={linkState} place={sharePlace} onClose={close} />;
+  }
+  if (open === 'data') {
+    return (
+        <DataPanel
+            potholes={potholes}
+            viewport={viewport}
+            route={route}
+            stops={stops}
+            tracks={tracks}
+            onImport={onImportTrack}
+            onRemoveTrack={onRemoveTrack}
+            onClose={close}
+        />
+    );
+  }
+  if (open === 'location') {
+    return (
+        <LocationSourcePanel
+            spec={locationSpec}
+            source={locationSource}
+            center={viewport && viewport.center}
+            onChange={onLocationSpecChange}
+            onClose={close}
+        />
+    );
+  }
+  if (open === 'trip') {
+    return (
+        <TripPanel
+            trip={trip}
+            onStart={onStartTrip}
+            onStop={onStopTrip}
+            onReport={onReportCandidate}
+            onDismiss={onDismissCandidate}
+            onDiscard={onDiscardTrip}
+            onClose={close}
+        />
+    );
+  }
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '215px',
+        right: '10px',
+        zIndex: 1000,
+        display: 'flex',
+        flexDirection: 'column-reverse',
+        alignItems: 'flex-end',
+        gap: '8px'
+      }}>
+        <button
+            onClick={onReport}
+            style={{ ...panelButtonStyle, border: '1px solid #ff4444', background: '#ff4444', color: 'white' }}
+        >
+          ⚠️ Report pothole
+        </button>
+        {/* Offline maps and queued reports */}
+        <button onClick={() => onOpen('offline')} style={panelButtonStyle}>
+          📥 Offline maps{outboxCount > 0 && ` (${outboxCount} to send)`}
+        </button>
+        {/* Link to the current map */}
+        <button onClick={() => onOpen('share')} style={panelButtonStyle}>
+          🔗 Share
+        </button>
+        <button onClick={() => onOpen('data')} style={panelButtonStyle}>
+          📂 Import / export{tracks.length > 0 && ` (${tracks.length} shown)`}
+        </button>
+        <button onClick={() => onOpen('trip')} style={panelButtonStyle}>
+          {trip && trip.recording ? '🔴 Recording trip' : '🚗 Record trip'}
+        </button>
+        {showLocationTools && (
+            <button onClick={() => onOpen('location')} style={panelButtonStyle}>
+              🧪 Location source
+            </button>
+        )}
+      </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useEffect, useMemo } from 'react';
+import { CircleMarker, Polyline, Tooltip, useMap } from 'react-leaflet';
+import { boundsOf, simplifyPolyline } from './geo';
+
+const TRACK_COLOR = '#7b1fa2';
+
+// Detail finer than this (km) doesn't show on the map but slows it down on long GPS logs
+export const DRAW_TOLERANCE = 0.002;
+
+// An imported GPX/GeoJSON track; the map zooms to it when it is added
+export default function TrackLayer({ track }) {
+  const map = useMap();
+
+  const lines = useMemo(() => track.lines.map((line) => simplifyPolyline(line, DRAW_TOLERANCE)), [track]);
+
+  useEffect(() => {
+    const coords = [...track.lines.flat(), ...track.points.map((point) => point.coords)];
+    map.fitBounds(boundsOf(coords), { padding: [40, 40], maxZoom: 17 });
+  }, [map, track]);
+
+  return (
+      <>
+        {lines.map((line, i) => (
+            <Polyline
+                key={`line-${i}`}
+                positions={line}
+                pathOptions={{ color: TRACK_COLOR, weight: 4, opacity: 0.8, dashArray: '8 6' }}
+            >
+              <Tooltip sticky>{track.name}</Tooltip>
+            </Polyline>
+        ))}
+        {track.points.map((point, i) => (
+            <CircleMarker
+                key={`point-${i}`}
+                center={point.coords}
+                radius={6}
+                pathOptions={{ color: 'white', weight: 2, fillColor: TRACK_COLOR, fillOpacity: 1 }}
+            >
+              <Tooltip>{point.name || track.name}</Tooltip>
+            </CircleMarker>
+        ))}
+      </>
+  );
+}
@@ -0,0 +1,29 @@
+import { useMemo } from 'react';
+import { CircleMarker, Polyline, Tooltip } from 'react-leaflet';
+import { severityColors } from './markerIcons';
+import { simplifyPolyline } from './geo';
+import { DRAW_TOLERANCE } from './TrackLayer';
+
+// A recorded trip's track and the jolts found on it; clicking a jolt starts a report there
+export default function TripLayer({ summary, onSelect }) {
+  const track = useMemo(() => simplifyPolyline(summary.track, DRAW_TOLERANCE), [summary.track]);
+
+  return (
+      <>
+        {track.length >= 2 && (
+            <Polyline positions={track} pathOptions={{ color: '#455a64', weight: 4, opacity: 0.7 }} />
+        )}
+        {summary.candidates.map((candidate) => (
+            <CircleMarker
+                key={candidate.id}
+                center={candidate.coords}
+                radius={7}
+                pathOptions={{ color: 'white', weight: 2, fillColor: severityColors[candidate.severity], fillOpacity: 0.9 }}
+                eventHandlers={{ click: () => onSelect(candidate) }}
+            >
+              <Tooltip>Jolt of {candidate.magnitude.toFixed(1)} g • click to report</Tooltip>
+            </CircleMarker>
+        ))}
+      </>
+  );
+}
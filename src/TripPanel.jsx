@@ -0,0 +1,137 @@
+import { severityColors } from './markerIcons';
+import { formatDistance } from './navigation';
+import { downloadFile, routeToGpx } from './geoFiles';
+
+const buttonStyle = {
+  padding: '6px 8px',
+  border: '1px solid #2196f3',
+  borderRadius: '3px',
+  background: '#2196f3',
+  color: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const linkButtonStyle = { border: 'none', background: 'none', color: '#2196f3', cursor: 'pointer', padding: 0, fontSize: '12px' };
+
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  return minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+}
+
+// Start/stop trip recording and go through the jolts it found afterwards.
+// `trip` is null before recording, { recording: true, startedAt, distance, jolts } while
+// recording and { recording: false, summary, trace } once stopped.
+export default function TripPanel({ trip, onStart, onStop, onReport, onDismiss, onDiscard, onClose }) {
+  const date = new Date(trip && !trip.recording ? trip.summary.startedAt : Date.now()).toISOString().slice(0, 10);
+
+  const saveTrack = () => {
+    const gpx = routeToGpx({ coordinates: trip.summary.track, name: `Trip ${date}`, now: new Date(trip.summary.startedAt) });
+    downloadFile(gpx, `trip-${date}.gpx`, 'application/gpx+xml');
+  };
+
+  const saveTrace = () => {
+    downloadFile(JSON.stringify(trip.trace), `trip-${date}.trace.json`, 'application/json');
+  };
+
+  let body;
+  if (!trip) {
+    body = (
+        <>
+          <p style={{ margin: '0 0 8px 0', color: '#555' }}>
+            Records your route while you drive and uses the phone's motion sensor to spot jolts
+            that may be potholes. Mount the phone so it doesn't slide around; nothing is sent until
+            you choose to report a jolt.
+          </p>
+          <button onClick={onStart} style={{ ...buttonStyle, width: '100%', background: '#d32f2f', borderColor: '#d32f2f' }}>
+            ⏺ Start recording
+          </button>
+        </>
+    );
+  } else if (trip.recording) {
+    body = (
+        <>
+          <div style={{ marginBottom: '8px' }}>
+            <span style={{ color: '#d32f2f' }}>●</span> Recording for {formatDuration(Date.now() - trip.startedAt)}
+            {' '}• {formatDistance(trip.distance)} • {trip.jolts} {trip.jolts === 1 ? 'jolt' : 'jolts'}
+          </div>
+          <button onClick={onStop} style={{ ...buttonStyle, width: '100%' }}>⏹ Stop recording</button>
+        </>
+    );
+  } else {
+    const { summary } = trip;
+    body = (
+        <>
+          <div style={{ marginBottom: '8px', color: '#555' }}>
+            {formatDistance(summary.distance)} in {formatDuration(summary.duration)}
+          </div>
+          <div style={{ fontWeight: 'bold', marginBottom: '3px' }}>
+            Possible potholes ({summary.candidates.length})
+          </div>
+          {summary.candidates.length === 0 && (
+              <div style={{ marginBottom: '8px', color: '#888' }}>No sharp jolts while moving</div>
+          )}
+          <div style={{ maxHeight: '180px', overflowY: 'auto', marginBottom: '8px' }}>
+            {summary.candidates.map((candidate) => (
+                <div key={candidate.id} style={{ display: 'flex', alignItems: 'center', gap: '5px', marginBottom: '4px' }}>
+                  <span style={{
+                    width: '10px',
+                    height: '10px',
+                    borderRadius: '50%',
+                    backgroundColor: severityColors[candidate.severity],
+                    flexShrink: 0
+                  }} />
+                  <span style={{ flex: 1 }}>
+                    {candidate.magnitude.toFixed(1)} g at {Math.round(candidate.speed)} km/h
+                    {candidate.hits > 1 && <span style={{ color: '#888' }}> • {candidate.hits} jolts</span>}
+                  </span>
+                  <button onClick={() => onReport(candidate)} style={linkButtonStyle}>Report</button>
+                  <button
+                      onClick={() => onDismiss(candidate.id)}
+                      title="Not a pothole"
+                      style={{ ...linkButtonStyle, color: '#888' }}
+                  >
+                    ✕
+                  </button>
+                </div>
+            ))}
+          </div>
+          <div style={{ display: 'flex', gap: '5px', marginBottom: '5px' }}>
+            <button onClick={saveTrack} disabled={summary.track.length < 2} style={{ ...buttonStyle, flex: 1 }}>
+              Track (GPX)
+            </button>
+            <button onClick={saveTrace} style={{ ...buttonStyle, flex: 1 }} title="GPS and motion readings, for replaying">
+              Sensor trace
+            </button>
+          </div>
+          <button onClick={onDiscard} style={{ ...buttonStyle, width: '100%', background: 'white', color: '#d32f2f', borderColor: '#d32f2f' }}>
+            Discard trip
+          </button>
+        </>
+    );
+  }
+
+  return (
+      <div style={{
+        position: 'absolute',
+        bottom: '10px',
+        right: '10px',
+        zIndex: 1100,
+        background: 'white',
+        padding: '12px',
+        borderRadius: '5px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.2)',
+        width: '260px',
+        fontSize: '12px'
+      }}>
+        <h4 style={{ margin: '0 0 8px 0', fontSize: '14px' }}>🚗 Trip recorder</h4>
+        {body}
+        <button
+            onClick={onClose}
+            style={{ ...buttonStyle, width: '100%', marginTop: '8px', background: 'white', color: '#2196f3' }}
+        >
+          Close
+        </button>
+      </div>
+  );
+}
@@ -0,0 +1,84 @@
+// Basemap registry: the tile sources the user can switch between, each with
+// its own attribution and zoom range. A self-hosted server from the config is
+// added as "custom".
+import { tilesConfig } from './config';
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+
+export const builtInBasemaps = {
+  street: {
+    name: 'Street',
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: OSM_ATTRIBUTION,
+    maxZoom: 19,
+  },
+  light: {
+    name: 'Light',
+    url: 'https://{s}.basemaps.cartocdn.com/light_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    attribution: CARTO_ATTRIBUTION,
+    maxZoom: 20,
+  },
+  dark: {
+    name: 'Dark',
+    url: 'https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png',
+    subdomains: 'abcd',
+    attribution: CARTO_ATTRIBUTION,
+    maxZoom: 20,
+  },
+  satellite: {
+    name: 'Satellite',
+    url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+    subdomains: '',
+    attribution: 'Tiles &copy; Esri &mdash; Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community',
+    maxZoom: 19,
+  },
+};
+
+// Registry for a tiles config; `custom` only exists when a tile server URL is configured.
+// Only that server may be bulk downloaded for offline use (`offlineDownload`): the public
+// servers' usage policies forbid it.
+export function createBasemaps(config = tilesConfig) {
+  if (!config.url) return builtInBasemaps;
+  return {
+    ...builtInBasemaps,
+    custom: {
+      name: config.name,
+      url: config.url,
+      subdomains: config.subdomains,
+      attribution: config.attribution,
+      maxZoom: config.maxZoom,
+      offlineDownload: true,
+    },
+  };
+}
+
+export const basemaps = createBasemaps();
+
+const STORAGE_KEY = 'cvbox.basemap';
+
+// The configured default if it exists, else the street map
+export function defaultBasemapId(registry = basemaps, fallback = tilesConfig.defaultBasemap) {
+  return registry[fallback] ? fallback : 'street';
+}
+
+// The user's last choice if it still exists, else the default
+export function loadBasemapId(registry = basemaps, fallback = tilesConfig.defaultBasemap) {
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked (private mode); the default will do
+  }
+  if (saved && registry[saved]) return saved;
+  return defaultBasemapId(registry, fallback);
+}
+
+export function saveBasemapId(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not save basemap choice:', e);
+  }
+}
@@ -0,0 +1,40 @@
+import { builtInBasemaps, createBasemaps, loadBasemapId, saveBasemapId } from './basemaps';
+
+const customConfig = {
+  url: 'http://tiles.local/{z}/{x}/{y}.png',
+  name: 'City server',
+  subdomains: '',
+  attribution: 'City of Yaoundé',
+  maxZoom: 18,
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('a configured tile server is added as the custom basemap', () => {
+  expect(createBasemaps({ url: '' })).toBe(builtInBasemaps);
+
+  const registry = createBasemaps(customConfig);
+  expect(Object.keys(registry)).toEqual(['street', 'light', 'dark', 'satellite', 'custom']);
+  expect(registry.custom).toMatchObject({ name: 'City server', attribution: 'City of Yaoundé' });
+  // Only your own server may be downloaded in bulk
+  expect(registry.custom.offlineDownload).toBe(true);
+  Object.values(builtInBasemaps).forEach((basemap) => expect(basemap.offlineDownload).toBeFalsy());
+});
+
+test('every built-in basemap credits its source', () => {
+  Object.values(builtInBasemaps).forEach((basemap) => {
+    expect(basemap.attribution).toBeTruthy();
+    expect(basemap.url).toMatch(/\{z\}/);
+  });
+});
+
+test('remembers the user choice and falls back to the configured default', () => {
+  const registry = createBasemaps(customConfig);
+  expect(loadBasemapId(registry, 'custom')).toBe('custom');
+  expect(loadBasemapId(builtInBasemaps, 'custom')).toBe('street');
+
+  saveBasemapId('dark');
+  expect(loadBasemapId(registry, 'custom')).toBe('dark');
+});
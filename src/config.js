@@ -0,0 +1,67 @@
+// Runtime configuration. Values come from REACT_APP_* environment variables
+// (see .env.example) so deployments can point at their own services.
+const env = process.env;
+
+export const routingConfig = {
+  // One of 'osrm', 'graphhopper', 'valhalla' or 'simulated'
+  provider: env.REACT_APP_ROUTING_PROVIDER || 'osrm',
+  // Base URL of the routing engine, e.g. http://localhost:5050 for the mock server
+  url: env.REACT_APP_ROUTING_URL || '',
+  apiKey: env.REACT_APP_ROUTING_API_KEY || '',
+  timeout: Number(env.REACT_APP_ROUTING_TIMEOUT) || 15000,
+};
+
+export const potholesConfig = {
+  // JSON or GeoJSON dataset to load on startup; the bundled sample data is used until it arrives
+  url: env.REACT_APP_POTHOLES_URL || '',
+  // Reports closer than this many metres are merged into one pothole
+  mergeRadius: Number(env.REACT_APP_POTHOLE_MERGE_RADIUS) || 25,
+  // How merged reports decide severity: 'max' (worst report wins) or 'vote'
+  severityMerge: env.REACT_APP_POTHOLE_SEVERITY_MERGE || 'max',
+  // Reports (including confirmations) after which a pothole counts as verified
+  verifyReports: Number(env.REACT_APP_POTHOLE_VERIFY_REPORTS) || 3,
+  // "Fixed" votes after which a pothole counts as repaired
+  fixedVotes: Number(env.REACT_APP_POTHOLE_FIXED_VOTES) || 3,
+  // Days without confirmation after which an unverified report expires
+  expiryDays: Number(env.REACT_APP_POTHOLE_EXPIRY_DAYS) || 30,
+};
+
+export const reportsConfig = {
+  // REST endpoint for citizen reports, e.g. http://localhost:5050 for the mock server.
+  // When empty, reports are only kept in this browser.
+  url: env.REACT_APP_REPORTS_URL || '',
+};
+
+export const geocodingConfig = {
+  // 'nominatim' (default) or 'local' (only the built-in popular places)
+  provider: env.REACT_APP_GEOCODING_PROVIDER || 'nominatim',
+  // Nominatim-compatible server; empty for the public OpenStreetMap instance
+  url: env.REACT_APP_GEOCODING_URL || '',
+  // Contact address sent to Nominatim, as its usage policy asks for heavy use
+  email: env.REACT_APP_GEOCODING_EMAIL || '',
+  countryCodes: env.REACT_APP_GEOCODING_COUNTRIES || 'cm',
+  timeout: Number(env.REACT_APP_GEOCODING_TIMEOUT) || 8000,
+};
+
+export const tilesConfig = {
+  // Your own raster tile server ({z}/{x}/{y} template). When set it is offered as the
+  // "Custom" basemap and becomes the default.
+  url: env.REACT_APP_TILE_URL || '',
+  name: env.REACT_APP_TILE_NAME || 'Custom',
+  subdomains: env.REACT_APP_TILE_SUBDOMAINS || 'abc',
+  attribution: env.REACT_APP_TILE_ATTRIBUTION || '&copy; OpenStreetMap contributors',
+  maxZoom: Number(env.REACT_APP_TILE_MAX_ZOOM) || 19,
+  // Basemap shown until the user picks one: street, light, dark, satellite or custom
+  defaultBasemap: env.REACT_APP_BASEMAP || (env.REACT_APP_TILE_URL ? 'custom' : 'street'),
+  // Largest area (in tiles) that can be saved for offline use in one go. Areas can only
+  // be saved from the custom tile server above; public servers such as OpenStreetMap's
+  // forbid bulk downloads.
+  maxDownloadTiles: Number(env.REACT_APP_MAX_OFFLINE_TILES) || 2500,
+};
+
+export const roadsConfig = {
+  // Overpass API server for road geometry in the road-condition overlay; empty for overpass-api.de
+  overpassUrl: env.REACT_APP_OVERPASS_URL || '',
+  // Road conditions are only shown from this zoom level in, to keep requests small
+  minZoom: Number(env.REACT_APP_ROAD_CONDITION_MIN_ZOOM) || 14,
+};
@@ -0,0 +1,105 @@
+// Deep links: the map view, trip, open pothole and layers encoded in the page
+// URL, so a reload restores them and a link can be shared. For example
+//
+//   ?map=16/3.86601/11.51655&from=3.848,11.502&to=3.8667,11.5167,Poste%20Centrale
+//     &pothole=yde-0004&base=satellite&overlay=heatmap&markers=0&severity=high
+//
+//   map       zoom/lat/lng of the view
+//   from      where the route starts (otherwise the user's position)
+//   to        a stop as lat,lng[,name]; repeated for every stop in order
+//   pothole   id of the pothole whose details are open
+//   base      basemap id; overlay 'heatmap' or 'roads'; markers=0 hides pothole markers
+//   mode      travel mode other than the default car: moto, bike or foot
+//   ...plus the pothole filter parameters (see potholeFilters.js)
+import { defaultFilter, filterFromParams, filterToParams } from './potholeFilters';
+import { DEFAULT_TRAVEL_MODE, TRAVEL_MODES } from './travelModes';
+
+const LINK_PARAMS = ['map', 'from', 'to', 'pothole', 'base', 'overlay', 'markers', 'mode', 'severity', 'updated', 'reports', 'status'];
+const OVERLAYS = ['heatmap', 'roads'];
+
+// ~1 m is plenty for a shared location and keeps links short
+function formatCoord(value) {
+  return String(Number(value.toFixed(5)));
+}
+
+function formatCoords([lat, lng]) {
+  return `${formatCoord(lat)},${formatCoord(lng)}`;
+}
+
+function parseCoords(lat, lng) {
+  const coords = [Number(lat), Number(lng)];
+  const valid = coords.every(Number.isFinite) && Math.abs(coords[0]) <= 90 && Math.abs(coords[1]) <= 180;
+  return valid ? coords : null;
+}
+
+function parseView(value) {
+  const [zoom, lat, lng] = (value || '').split('/');
+  const center = parseCoords(lat, lng);
+  const level = Number(zoom);
+  return center && Number.isInteger(level) && level >= 0 && level <= 22 ? { center, zoom: level } : null;
+}
+
+function parseStop(value) {
+  const [lat, lng, ...name] = value.split(',');
+  const coords = parseCoords(lat, lng);
+  return coords && { name: name.join(',') || 'Shared location', address: '', coords };
+}
+
+// Read the link state out of a location.search string. Anything missing or invalid comes back as null/default.
+export function parseDeepLink(search) {
+  const params = new URLSearchParams(search);
+  const from = (params.get('from') || '').split(',');
+  return {
+    view: parseView(params.get('map')),
+    start: from.length === 2 ? parseCoords(from[0], from[1]) : null,
+    stops: params.getAll('to').map(parseStop).filter(Boolean),
+    potholeId: params.get('pothole') || null,
+    basemap: params.get('base') || null,
+    overlay: OVERLAYS.includes(params.get('overlay')) ? params.get('overlay') : 'none',
+    showMarkers: params.get('markers') !== '0',
+    mode: TRAVEL_MODES[params.get('mode')] ? params.get('mode') : null,
+    filter: filterFromParams(params),
+  };
+}
+
+// Encode link state as a query string: '' or '?...'
+export function deepLinkSearch(state) {
+  const params = new URLSearchParams();
+
+  if (state.view) {
+    const [lat, lng] = state.view.center;
+    params.set('map', `${state.view.zoom}/${formatCoord(lat)}/${formatCoord(lng)}`);
+  }
+  if (state.start && state.stops && state.stops.length > 0) {
+    params.set('from', formatCoords(state.start));
+  }
+  (state.stops || []).forEach((stop) => {
+    params.append('to', stop.name ? `${formatCoords(stop.coords)},${stop.name}` : formatCoords(stop.coords));
+  });
+  if (state.potholeId) params.set('pothole', state.potholeId);
+  if (state.basemap) params.set('base', state.basemap);
+  if (state.overlay && state.overlay !== 'none') params.set('overlay', state.overlay);
+  if (state.showMarkers === false) params.set('markers', '0');
+  if (state.mode && state.mode !== DEFAULT_TRAVEL_MODE) params.set('mode', state.mode);
+  filterToParams(state.filter || defaultFilter).forEach((value, name) => params.set(name, value));
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Swap the link parameters in `search` (a location.search string) for those in `linkSearch`, keeping any others
+export function withLinkParams(search, linkSearch) {
+  const params = new URLSearchParams(search);
+  LINK_PARAMS.forEach((name) => params.delete(name));
+  new URLSearchParams(linkSearch).forEach((value, name) => params.append(name, value));
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// geo: URI (RFC 5870) that phones open in their maps app, with an optional label
+export function geoUri(coords, label) {
+  const position = formatCoords(coords);
+  return label
+      ? `geo:${position}?q=${position}(${encodeURIComponent(label)})`
+      : `geo:${position}`;
+}
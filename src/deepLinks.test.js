@@ -0,0 +1,76 @@
+import { deepLinkSearch, geoUri, parseDeepLink, withLinkParams } from './deepLinks';
+import { defaultFilter } from './potholeFilters';
+
+const state = {
+  view: { center: [3.866012345, 11.516549876], zoom: 16 },
+  start: [3.848, 11.502],
+  stops: [
+    { name: 'Marché Central', address: '', coords: [3.8667, 11.5167] },
+    { name: 'Dropped pin, near the river', address: 'Rue 1.750', coords: [3.87, 11.52] },
+  ],
+  potholeId: 'yde-0004',
+  basemap: 'satellite',
+  overlay: 'heatmap',
+  showMarkers: false,
+  mode: 'moto',
+  filter: { ...defaultFilter, severities: ['high'] },
+};
+
+test('encodes the map state compactly', () => {
+  const params = new URLSearchParams(deepLinkSearch(state));
+
+  expect(params.get('map')).toBe('16/3.86601/11.51655');
+  expect(params.get('from')).toBe('3.848,11.502');
+  expect(params.getAll('to')).toEqual(['3.8667,11.5167,Marché Central', '3.87,11.52,Dropped pin, near the river']);
+  expect(params.get('pothole')).toBe('yde-0004');
+  expect(params.get('base')).toBe('satellite');
+  expect(params.get('overlay')).toBe('heatmap');
+  expect(params.get('markers')).toBe('0');
+  expect(params.get('mode')).toBe('moto');
+  expect(params.get('severity')).toBe('high');
+  expect(deepLinkSearch({ stops: [], filter: defaultFilter })).toBe('');
+  expect(deepLinkSearch({ stops: [], mode: 'car', filter: defaultFilter })).toBe('');
+});
+
+test('round-trips through the URL', () => {
+  const link = parseDeepLink(deepLinkSearch(state));
+
+  expect(link.view).toEqual({ center: [3.86601, 11.51655], zoom: 16 });
+  expect(link.start).toEqual([3.848, 11.502]);
+  expect(link.stops).toEqual([
+    { name: 'Marché Central', address: '', coords: [3.8667, 11.5167] },
+    { name: 'Dropped pin, near the river', address: '', coords: [3.87, 11.52] },
+  ]);
+  expect(link).toMatchObject({ potholeId: 'yde-0004', basemap: 'satellite', overlay: 'heatmap', showMarkers: false, mode: 'moto' });
+  expect(link.filter).toEqual(state.filter);
+});
+
+test('ignores malformed values and falls back to defaults', () => {
+  const link = parseDeepLink('?map=99/3.8/11.5&from=north&to=3.86,11.51&to=95,11&to=abc&overlay=traffic&mode=horse');
+
+  expect(link).toMatchObject({
+    view: null,
+    start: null,
+    stops: [{ name: 'Shared location', address: '', coords: [3.86, 11.51] }],
+    potholeId: null,
+    basemap: null,
+    overlay: 'none',
+    showMarkers: true,
+    mode: null,
+    filter: defaultFilter,
+  });
+});
+
+test('only shares the route start together with a route', () => {
+  expect(deepLinkSearch({ start: [3.848, 11.502], stops: [] })).toBe('');
+});
+
+test('swaps link parameters and keeps unrelated ones', () => {
+  expect(withLinkParams('?lang=fr&map=12/3.8/11.5&to=1,2', '?map=14/3.9/11.6')).toBe('?lang=fr&map=14%2F3.9%2F11.6');
+  expect(withLinkParams('?severity=low', '')).toBe('');
+});
+
+test('builds geo: URIs with an optional label', () => {
+  expect(geoUri([3.866012345, 11.5165])).toBe('geo:3.86601,11.5165');
+  expect(geoUri([3.8667, 11.5167], 'Marché Central')).toBe('geo:3.8667,11.5167?q=3.8667,11.5167(March%C3%A9%20Central)');
+});
@@ -0,0 +1,137 @@
+// Travel time estimates. Routing engines give free-flow durations; where there are none
+// (offline estimates, straight lines) the time comes from typical speeds per road class,
+// or the travel mode's own speed. Either is then scaled for Yaoundé's traffic at that
+// time of day, as far as it slows the mode down, and for each pothole on the way.
+// City traffic rarely matches one number, so the result is a range:
+//   { minutes, low, high, potholeDelay, traffic, source }
+// with times in minutes, `traffic` a label such as 'rush hour' (or null) and `source`
+// 'provider' or 'typical-speed'.
+import { calculateDistance, pointToPolylineDistance } from './geo';
+import { TRAVEL_MODES } from './travelModes';
+
+// Typical free-flow speeds (km/h) in and around Yaoundé, by OpenStreetMap highway class
+export const ROAD_CLASS_SPEEDS = {
+  motorway: 70,
+  trunk: 50,
+  primary: 35,
+  secondary: 30,
+  tertiary: 25,
+  unclassified: 22,
+  residential: 18,
+  service: 12,
+  living_street: 10,
+};
+
+// Roads we know nothing about; about the city-wide average
+export const DEFAULT_SPEED = 25;
+
+// A route segment picks up the class of a known road this close to its middle (km)
+const ROAD_MATCH_DISTANCE = 0.025;
+
+// Traffic multipliers [low, high] on free-flow time for each hour of the day
+const WEEKDAY_TRAFFIC = [
+  [0.9, 1], [0.9, 1], [0.9, 1], [0.9, 1], [0.9, 1], [1, 1.1], // 00-05
+  [1.1, 1.3], [1.4, 2], [1.4, 2], [1.2, 1.5], [1.1, 1.3], [1.1, 1.3], // 06-11
+  [1.2, 1.5], [1.2, 1.5], [1.1, 1.3], [1.1, 1.3], [1.3, 1.7], [1.5, 2.2], // 12-17
+  [1.5, 2.2], [1.3, 1.6], [1.1, 1.3], [1, 1.1], [1, 1.1], [0.9, 1], // 18-23
+];
+const WEEKEND_TRAFFIC = [
+  [0.9, 1], [0.9, 1], [0.9, 1], [0.9, 1], [0.9, 1], [0.9, 1], // 00-05
+  [0.9, 1], [0.9, 1.1], [1, 1.2], [1, 1.2], [1.1, 1.4], [1.1, 1.4], // 06-11
+  [1.1, 1.4], [1.1, 1.4], [1.1, 1.4], [1.1, 1.4], [1.1, 1.4], [1.1, 1.4], // 12-17
+  [1.1, 1.3], [1, 1.2], [1, 1.2], [1, 1.1], [0.9, 1], [0.9, 1], // 18-23
+];
+
+// How far off an estimate from typical speeds can be, compared with a routing engine's own duration
+const ROAD_CLASS_UNCERTAINTY = [0.85, 1.3];
+
+// Traffic multipliers at `date`, scaled by how much traffic slows `mode` down
+export function trafficAt(date, mode = TRAVEL_MODES.car) {
+  const weekend = date.getDay() === 0 || date.getDay() === 6;
+  const [peakLow, peakHigh] = (weekend ? WEEKEND_TRAFFIC : WEEKDAY_TRAFFIC)[date.getHours()];
+  const low = 1 + (peakLow - 1) * mode.traffic;
+  const high = 1 + (peakHigh - 1) * mode.traffic;
+  // Only worth mentioning where it slows this mode down noticeably
+  let label = null;
+  if (high >= 1.3) label = peakHigh >= 1.7 ? 'rush hour' : 'busy traffic';
+  return { low, high, label };
+}
+
+// Class of the known road nearest to `point`, if one is close enough. `roads` are
+// [{ highway, coordinates }] as loaded for the road-condition overlay.
+function roadClassAt(point, roads) {
+  let best = null;
+  let bestDistance = ROAD_MATCH_DISTANCE;
+  roads.forEach((road) => {
+    if (!road.highway) return;
+    const { distance } = pointToPolylineDistance(point, road.coordinates);
+    if (distance <= bestDistance) {
+      best = road.highway;
+      bestDistance = distance;
+    }
+  });
+  return best;
+}
+
+// Free-flow minutes along `coordinates` at `mode`'s speed, or road-class speeds if it has none
+export function roadClassMinutes(coordinates, roads = [], mode = TRAVEL_MODES.car) {
+  let minutes = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const a = coordinates[i - 1];
+    const b = coordinates[i];
+    let speed = mode.speed;
+    if (!speed) {
+      const roadClass = roads.length > 0 ? roadClassAt([(a[0] + b[0]) / 2, (a[1] + b[1]) / 2], roads) : null;
+      speed = ROAD_CLASS_SPEEDS[roadClass] || DEFAULT_SPEED;
+    }
+    minutes += (calculateDistance(a, b) / speed) * 60;
+  }
+  return minutes;
+}
+
+// Estimate for a route ({ coordinates, distance, time, type }) travelled by `mode`;
+// `hazards` is the route's scoreRouteHazards() result
+export function estimateEta(route, { hazards = null, roads = [], now = new Date(), mode = TRAVEL_MODES.car } = {}) {
+  const fromProvider = route.type === 'road-route' && route.time > 0;
+  let base = fromProvider ? route.time : roadClassMinutes(route.coordinates, roads, mode);
+  // An engine without a profile for this mode answers with car times
+  if (fromProvider && mode.maxSpeed) base = Math.max(base, (route.distance / mode.maxSpeed) * 60);
+  const [uncertainLow, uncertainHigh] = fromProvider ? [1, 1] : ROAD_CLASS_UNCERTAINTY;
+  const traffic = trafficAt(now, mode);
+
+  const counts = (hazards && hazards.counts) || {};
+  const potholeDelay = Object.entries(mode.potholeDelay)
+      .reduce((sum, [severity, seconds]) => sum + (counts[severity] || 0) * seconds, 0) / 60;
+
+  return {
+    minutes: base * ((traffic.low + traffic.high) / 2) + potholeDelay,
+    low: base * uncertainLow * traffic.low + potholeDelay * 0.5,
+    high: base * uncertainHigh * traffic.high + potholeDelay * 1.5,
+    potholeDelay,
+    traffic: traffic.label,
+    source: fromProvider ? 'provider' : 'typical-speed',
+  };
+}
+
+function formatMinutes(minutes) {
+  if (minutes < 60) return `${minutes} min`;
+  const rest = minutes % 60;
+  return rest ? `${Math.floor(minutes / 60)} h ${String(rest).padStart(2, '0')}` : `${minutes / 60} h`;
+}
+
+// "12–18 min", "50 min – 1 h 10", or "9 min" when the range rounds to one number
+export function formatEtaRange({ low, high }) {
+  const from = Math.max(1, Math.round(low));
+  const to = Math.max(1, Math.round(high));
+  if (from === to) return formatMinutes(from);
+  if (to < 60) return `${from}–${to} min`;
+  return `${formatMinutes(from)} – ${formatMinutes(to)}`;
+}
+
+// What went into the range, for the route panel: "rush hour • about 2 min for potholes"
+export function summarizeEta({ traffic, potholeDelay }) {
+  const notes = [];
+  if (traffic) notes.push(traffic);
+  if (potholeDelay >= 0.5) notes.push(`about ${Math.round(potholeDelay)} min for potholes`);
+  return notes.join(' • ');
+}
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_SPEED,
+  ROAD_CLASS_SPEEDS,
+  estimateEta,
+  formatEtaRange,
+  roadClassMinutes,
+  summarizeEta,
+  trafficAt,
+} from './eta';
+import { calculateRouteDistance, destinationPoint } from './geo';
+
+const start = [3.848, 11.502];
+// 3 km due east in three 1 km segments
+const line = [0, 1, 2, 3].map((km) => destinationPoint(start, 90, km));
+
+// Local times; 2026-10-19 is a Monday
+const mondayRushHour = new Date(2026, 9, 19, 17, 30);
+const mondayNight = new Date(2026, 9, 19, 2, 0);
+const sundayMorning = new Date(2026, 9, 25, 8, 0);
+
+test('times routes from road-class speeds', () => {
+  expect(roadClassMinutes(line)).toBeCloseTo((3 / DEFAULT_SPEED) * 60);
+
+  // The middle kilometre runs along a primary road, the rest is unknown
+  const roads = [{ highway: 'primary', coordinates: [line[1], line[2]] }];
+  const expected = (2 / DEFAULT_SPEED) * 60 + (1 / ROAD_CLASS_SPEEDS.primary) * 60;
+  expect(roadClassMinutes(line, roads)).toBeCloseTo(expected);
+
+  // A road 200 m away is a different road
+  const nearby = [{ highway: 'primary', coordinates: [line[1], line[2]].map((p) => destinationPoint(p, 0, 0.2)) }];
+  expect(roadClassMinutes(line, nearby)).toBeCloseTo((3 / DEFAULT_SPEED) * 60);
+});
+
+test('follows the time-of-day traffic profile', () => {
+  expect(trafficAt(mondayRushHour)).toEqual({ low: 1.5, high: 2.2, label: 'rush hour' });
+  expect(trafficAt(mondayNight).label).toBeNull();
+  expect(trafficAt(sundayMorning).high).toBeLessThan(trafficAt(new Date(2026, 9, 19, 8, 0)).high);
+});
+
+test('uses the routing engine duration when there is one', () => {
+  const route = { coordinates: line, distance: 3, time: 6, type: 'road-route' };
+  const eta = estimateEta(route, { now: mondayNight });
+
+  expect(eta.source).toBe('provider');
+  expect(eta.low).toBeCloseTo(6 * 0.9);
+  expect(eta.high).toBeCloseTo(6);
+  expect(eta.traffic).toBeNull();
+
+  const rush = estimateEta(route, { now: mondayRushHour });
+  expect(rush.low).toBeCloseTo(9);
+  expect(rush.high).toBeCloseTo(13.2);
+  expect(rush.minutes).toBeGreaterThan(rush.low);
+  expect(rush.minutes).toBeLessThan(rush.high);
+});
+
+test('falls back to road classes for offline routes, with a wider range', () => {
+  const route = { coordinates: line, distance: calculateRouteDistance(line), time: 99, type: 'simulated-offline' };
+  const eta = estimateEta(route, { now: mondayNight });
+
+  expect(eta.source).toBe('typical-speed');
+  const base = (3 / DEFAULT_SPEED) * 60;
+  expect(eta.low).toBeCloseTo(base * 0.85 * 0.9);
+  expect(eta.high).toBeCloseTo(base * 1.3);
+});
+
+test('adds a slowdown for each pothole by severity', () => {
+  const route = { coordinates: line, distance: 3, time: 6, type: 'road-route' };
+  const hazards = { counts: { high: 2, medium: 1, low: 3 }, total: 6 };
+  const clear = estimateEta(route, { now: mondayNight });
+  const bumpy = estimateEta(route, { hazards, now: mondayNight });
+
+  // 2 × 25 s + 12 s + 3 × 5 s
+  expect(bumpy.potholeDelay).toBeCloseTo(77 / 60);
+  expect(bumpy.minutes - clear.minutes).toBeCloseTo(77 / 60);
+  expect(bumpy.high - clear.high).toBeGreaterThan(bumpy.low - clear.low);
+});
+
+test('formats and explains the range', () => {
+  expect(formatEtaRange({ low: 8.2, high: 12.6 })).toBe('8–13 min');
+  expect(formatEtaRange({ low: 4.6, high: 5.4 })).toBe('5 min');
+  expect(formatEtaRange({ low: 0.1, high: 0.3 })).toBe('1 min');
+  expect(formatEtaRange({ low: 55, high: 75 })).toBe('55 min – 1 h 15');
+  expect(formatEtaRange({ low: 60, high: 120 })).toBe('1 h – 2 h');
+
+  expect(summarizeEta({ traffic: 'rush hour', potholeDelay: 2.2 })).toBe('rush hour • about 2 min for potholes');
+  expect(summarizeEta({ traffic: null, potholeDelay: 0.2 })).toBe('');
+});
@@ -0,0 +1,213 @@
+// Geographic helpers shared by the map components.
+// All coordinates are [lat, lng] arrays and distances are in kilometres.
+
+// Helper function to calculate distance between two points
+export function calculateDistance(pos1, pos2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (pos2[0] - pos1[0]) * Math.PI / 180;
+  const dLon = (pos2[1] - pos1[1]) * Math.PI / 180;
+  const a =
+      Math.sin(dLat/2) * Math.sin(dLat/2) +
+      Math.cos(pos1[0] * Math.PI / 180) * Math.cos(pos2[0] * Math.PI / 180) *
+      Math.sin(dLon/2) * Math.sin(dLon/2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
+  return R * c;
+}
+
+// Calculate total distance of a route
+export function calculateRouteDistance(coordinates) {
+  let totalDistance = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    totalDistance += calculateDistance(coordinates[i-1], coordinates[i]);
+  }
+  return totalDistance;
+}
+
+// Decode a Google encoded polyline (precision 5 for GraphHopper/OSRM, 6 for Valhalla/polyline6)
+export function decodePolyline(encoded, precision = 5) {
+  const factor = Math.pow(10, precision);
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const readValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    lat += readValue();
+    lng += readValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+
+  return coordinates;
+}
+
+// Encode coordinates as a Google encoded polyline; the inverse of decodePolyline
+export function encodePolyline(coordinates, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let lastLat = 0;
+  let lastLng = 0;
+
+  const writeValue = (value) => {
+    let remaining = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (remaining >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (remaining & 0x1f)) + 63);
+      remaining >>= 5;
+    }
+    return chunk + String.fromCharCode(remaining + 63);
+  };
+
+  return coordinates.map(([lat, lng]) => {
+    const latE = Math.round(lat * factor);
+    const lngE = Math.round(lng * factor);
+    const chunk = writeValue(latE - lastLat) + writeValue(lngE - lastLng);
+    lastLat = latE;
+    lastLng = lngE;
+    return chunk;
+  }).join('');
+}
+
+// Project a point onto a local flat plane (km) around a reference latitude.
+// Accurate enough for the short distances used in hazard checks.
+function toLocalXY(pos, refLat) {
+  const kmPerDegree = 6371 * Math.PI / 180;
+  return [
+    pos[1] * kmPerDegree * Math.cos(refLat * Math.PI / 180),
+    pos[0] * kmPerDegree,
+  ];
+}
+
+// Distance from a point to the segment a-b, plus how far along the segment (0..1) the closest point is
+export function pointToSegmentDistance(point, a, b) {
+  const refLat = point[0];
+  const [px, py] = toLocalXY(point, refLat);
+  const [ax, ay] = toLocalXY(a, refLat);
+  const [bx, by] = toLocalXY(b, refLat);
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return {
+    distance: Math.hypot(px - (ax + t * dx), py - (ay + t * dy)),
+    t,
+  };
+}
+
+// Shortest distance from a point to a polyline, with the index of the closest segment
+export function pointToPolylineDistance(point, coordinates) {
+  if (coordinates.length === 1) {
+    return { distance: calculateDistance(point, coordinates[0]), segmentIndex: 0, t: 0 };
+  }
+
+  let best = { distance: Infinity, segmentIndex: -1, t: 0 };
+  for (let i = 1; i < coordinates.length; i++) {
+    const { distance, t } = pointToSegmentDistance(point, coordinates[i-1], coordinates[i]);
+    if (distance < best.distance) {
+      best = { distance, segmentIndex: i - 1, t };
+    }
+  }
+  return best;
+}
+
+// Initial bearing (degrees clockwise from north) from one point towards another
+export function calculateBearing(from, to) {
+  const lat1 = from[0] * Math.PI / 180;
+  const lat2 = to[0] * Math.PI / 180;
+  const dLon = (to[1] - from[1]) * Math.PI / 180;
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Point reached by travelling `distance` km from `start` on the given bearing
+export function destinationPoint(start, bearing, distance) {
+  const R = 6371;
+  const delta = distance / R;
+  const theta = bearing * Math.PI / 180;
+  const lat1 = start[0] * Math.PI / 180;
+  const lon1 = start[1] * Math.PI / 180;
+  const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(delta) + Math.cos(lat1) * Math.sin(delta) * Math.cos(theta)
+  );
+  const lon2 = lon1 + Math.atan2(
+      Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+      Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2)
+  );
+  return [lat2 * 180 / Math.PI, ((lon2 * 180 / Math.PI) + 540) % 360 - 180];
+}
+
+// Point a fraction `t` (0..1) of the way from a to b; straight-line, fine for points close together
+export function interpolatePoint(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+}
+
+// Drop points that stray less than `tolerance` km from the simplified line (Douglas-Peucker).
+// The first and last points are always kept.
+export function simplifyPolyline(coordinates, tolerance) {
+  if (coordinates.length <= 2) return coordinates;
+
+  const keep = new Array(coordinates.length).fill(false);
+  keep[0] = true;
+  keep[coordinates.length - 1] = true;
+  // Ranges still to check, as a stack rather than recursion so long GPS tracks can't overflow it
+  const ranges = [[0, coordinates.length - 1]];
+  while (ranges.length > 0) {
+    const [first, last] = ranges.pop();
+    let farthest = -1;
+    let maxDistance = tolerance;
+    for (let i = first + 1; i < last; i++) {
+      const { distance } = pointToSegmentDistance(coordinates[i], coordinates[first], coordinates[last]);
+      if (distance > maxDistance) {
+        farthest = i;
+        maxDistance = distance;
+      }
+    }
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      ranges.push([first, farthest], [farthest, last]);
+    }
+  }
+  return coordinates.filter((_, i) => keep[i]);
+}
+
+// Bounding boxes are [[south, west], [north, east]], the shape Leaflet accepts for bounds.
+// Boxes crossing the antimeridian aren't handled; nothing in the app is near it.
+
+// Smallest box around the points, or null for none
+export function boundsOf(coordinates) {
+  if (coordinates.length === 0) return null;
+  const [lat, lng] = coordinates[0];
+  return coordinates.reduce(([[south, west], [north, east]], coords) => [
+    [Math.min(south, coords[0]), Math.min(west, coords[1])],
+    [Math.max(north, coords[0]), Math.max(east, coords[1])],
+  ], [[lat, lng], [lat, lng]]);
+}
+
+export function isInBounds([lat, lng], [[south, west], [north, east]]) {
+  return lat >= south && lat <= north && lng >= west && lng <= east;
+}
+
+// Grow the box by `ratio` of its size on every side
+export function padBounds([[south, west], [north, east]], ratio) {
+  const dLat = (north - south) * ratio;
+  const dLng = (east - west) * ratio;
+  return [[south - dLat, west - dLng], [north + dLat, east + dLng]];
+}
+
+// Whether `inner` lies entirely inside `outer`
+export function boundsContain([[south, west], [north, east]], [[innerSouth, innerWest], [innerNorth, innerEast]]) {
+  return innerSouth >= south && innerWest >= west && innerNorth <= north && innerEast <= east;
+}
@@ -0,0 +1,133 @@
+import {
+  boundsContain,
+  boundsOf,
+  calculateBearing,
+  calculateDistance,
+  calculateRouteDistance,
+  decodePolyline,
+  destinationPoint,
+  encodePolyline,
+  interpolatePoint,
+  isInBounds,
+  padBounds,
+  pointToPolylineDistance,
+  pointToSegmentDistance,
+  simplifyPolyline,
+} from './geo';
+
+const yaounde = [3.848, 11.502];
+const douala = [4.0511, 9.7679];
+
+test('measures great-circle distances', () => {
+  // Yaoundé to Douala is about 194 km as the crow flies
+  expect(calculateDistance(yaounde, douala)).toBeCloseTo(194, 0);
+  expect(calculateDistance(yaounde, yaounde)).toBe(0);
+  // One degree of latitude is about 111.2 km
+  expect(calculateDistance([0, 0], [1, 0])).toBeCloseTo(111.19, 1);
+});
+
+test('adds up route distances', () => {
+  const route = [yaounde, destinationPoint(yaounde, 0, 1), destinationPoint(yaounde, 0, 3)];
+  expect(calculateRouteDistance(route)).toBeCloseTo(3, 6);
+  expect(calculateRouteDistance([yaounde])).toBe(0);
+  expect(calculateRouteDistance([])).toBe(0);
+});
+
+test('bearings and destination points agree', () => {
+  expect(calculateBearing([0, 0], [1, 0])).toBeCloseTo(0);
+  expect(calculateBearing([0, 0], [0, 1])).toBeCloseTo(90);
+  expect(calculateBearing([0, 0], [-1, 0])).toBeCloseTo(180);
+  expect(calculateBearing([0, 0], [0, -1])).toBeCloseTo(270);
+
+  [45, 135, 200, 290].forEach((bearing) => {
+    const end = destinationPoint(yaounde, bearing, 2.5);
+    expect(calculateDistance(yaounde, end)).toBeCloseTo(2.5, 6);
+    expect(calculateBearing(yaounde, end)).toBeCloseTo(bearing, 3);
+  });
+  // Longitudes wrap round at the antimeridian
+  expect(destinationPoint([0, 179.99], 90, 5)[1]).toBeLessThan(-179.9);
+});
+
+test('measures the distance from a point to a segment', () => {
+  const a = yaounde;
+  const b = destinationPoint(yaounde, 90, 1);
+  const beside = destinationPoint(destinationPoint(yaounde, 90, 0.4), 0, 0.05);
+
+  const { distance, t } = pointToSegmentDistance(beside, a, b);
+  expect(distance).toBeCloseTo(0.05, 4);
+  expect(t).toBeCloseTo(0.4, 3);
+
+  // Beyond the ends, the nearest end counts
+  const before = destinationPoint(yaounde, 270, 0.2);
+  expect(pointToSegmentDistance(before, a, b)).toEqual({ distance: expect.closeTo(0.2, 4), t: 0 });
+  expect(pointToSegmentDistance(beside, a, a).distance).toBeCloseTo(calculateDistance(beside, a), 3);
+});
+
+test('finds the closest segment of a polyline', () => {
+  const line = [yaounde, destinationPoint(yaounde, 90, 1), destinationPoint(yaounde, 90, 2)];
+  const point = destinationPoint(destinationPoint(yaounde, 90, 1.5), 180, 0.03);
+
+  const result = pointToPolylineDistance(point, line);
+  expect(result.segmentIndex).toBe(1);
+  expect(result.distance).toBeCloseTo(0.03, 4);
+  expect(result.t).toBeCloseTo(0.5, 3);
+  expect(pointToPolylineDistance(point, [yaounde]).distance).toBeCloseTo(calculateDistance(point, yaounde));
+});
+
+test('encodes and decodes polylines', () => {
+  // The example from Google's polyline format documentation
+  const coordinates = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+  expect(encodePolyline(coordinates)).toBe('_p~iF~ps|U_ulLnnqC_mqNvxq`@');
+  expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual(coordinates);
+
+  const precise = [yaounde, [3.8667123, 11.5167456]];
+  expect(decodePolyline(encodePolyline(precise, 6), 6)).toEqual([[3.848, 11.502], [3.866712, 11.516746]]);
+  expect(encodePolyline([])).toBe('');
+});
+
+test('simplifies polylines within a tolerance', () => {
+  // A straight road with GPS wobble of a few metres, and one real corner
+  const corner = destinationPoint(yaounde, 90, 1);
+  const wobbly = [
+    yaounde,
+    destinationPoint(destinationPoint(yaounde, 90, 0.3), 0, 0.003),
+    destinationPoint(destinationPoint(yaounde, 90, 0.6), 180, 0.004),
+    corner,
+    destinationPoint(corner, 0, 0.5),
+    destinationPoint(corner, 0, 1),
+  ];
+
+  expect(simplifyPolyline(wobbly, 0.01)).toEqual([wobbly[0], corner, wobbly[5]]);
+  expect(simplifyPolyline(wobbly, 0.001)).toHaveLength(5);
+  expect(simplifyPolyline([yaounde, corner], 1)).toEqual([yaounde, corner]);
+});
+
+test('simplifies long tracks without running out of stack', () => {
+  const zigzag = Array.from({ length: 20000 }, (_, i) => [3.8 + i * 0.0001, 11.5 + (i % 2) * 0.0001]);
+  const simplified = simplifyPolyline(zigzag, 0.02);
+  expect(simplified).toEqual([zigzag[0], zigzag[zigzag.length - 1]]);
+});
+
+test('interpolates between points', () => {
+  expect(interpolatePoint([0, 0], [2, 4], 0.25)).toEqual([0.5, 1]);
+  expect(interpolatePoint(yaounde, douala, 0)).toEqual(yaounde);
+  expect(interpolatePoint(yaounde, douala, 1)).toEqual(douala);
+});
+
+test('builds, pads and compares bounding boxes', () => {
+  const bounds = boundsOf([yaounde, douala, [3.9, 11.0]]);
+  expect(bounds).toEqual([[3.848, 9.7679], [4.0511, 11.502]]);
+  expect(boundsOf([])).toBeNull();
+
+  expect(isInBounds([3.9, 11.0], bounds)).toBe(true);
+  expect(isInBounds([3.9, 12.0], bounds)).toBe(false);
+  // Edges count as inside
+  expect(isInBounds(yaounde, bounds)).toBe(true);
+
+  const box = [[3.8, 11.4], [3.9, 11.6]];
+  const padded = padBounds(box, 0.5);
+  expect(padded[0][0]).toBeCloseTo(3.75);
+  expect(padded[1][1]).toBeCloseTo(11.7);
+  expect(boundsContain(padded, box)).toBe(true);
+  expect(boundsContain(box, padded)).toBe(false);
+});
@@ -0,0 +1,210 @@
+// GPS file formats: routes exported as GPX or GeoJSON for other apps and
+// devices, and GPX tracks or GeoJSON files imported to show on the map.
+// Imported tracks look like
+//   { name, lines: [[[lat, lng], ...], ...], points: [{ name, coords }], skipped }
+// where `skipped` counts features that couldn't be used.
+
+// Bigger files are almost certainly not a hand-picked track and would stall the map
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+const GPX_NAMESPACE = 'http://www.topografix.com/GPX/1/1';
+
+export function escapeXml(text) {
+  return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+}
+
+// Route geometry as a GPX track, with the stops as waypoints
+export function routeToGpx({ coordinates, stops = [], name = 'Route', now = new Date() }) {
+  const waypoints = stops.map((stop) => `
+  <wpt lat="${stop.coords[0]}" lon="${stop.coords[1]}"><name>${escapeXml(stop.name || '')}</name></wpt>`).join('');
+  const points = coordinates.map(([lat, lng]) => `
+      <trkpt lat="${lat}" lon="${lng}"/>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="CV Box" xmlns="${GPX_NAMESPACE}">
+  <metadata><name>${escapeXml(name)}</name><time>${now.toISOString()}</time></metadata>${waypoints}
+  <trk>
+    <name>${escapeXml(name)}</name>
+    <trkseg>${points}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+// Route as a GeoJSON LineString plus a Point per stop
+export function routeToGeoJson({ coordinates, stops = [], name = 'Route', distance, time, provider }) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: coordinates.map(([lat, lng]) => [lng, lat]) },
+        properties: { name, distanceKm: Number(distance), timeMin: time, provider },
+      },
+      ...stops.map((stop, i) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [stop.coords[1], stop.coords[0]] },
+        properties: { name: stop.name, stop: i + 1 },
+      })),
+    ],
+  }, null, 2);
+}
+
+function validCoords(lat, lng) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+function childText(element, tag) {
+  const child = Array.from(element.children).find((node) => node.localName === tag);
+  return child ? child.textContent.trim() : '';
+}
+
+// GPX tracks (trk/trkseg) and routes (rte) become lines; waypoints become points
+export function parseGpx(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+    throw new Error('File is not valid GPX');
+  }
+
+  let skipped = 0;
+  const readPoints = (elements) => Array.from(elements).flatMap((element) => {
+    const lat = parseFloat(element.getAttribute('lat'));
+    const lng = parseFloat(element.getAttribute('lon'));
+    if (validCoords(lat, lng)) return [[lat, lng]];
+    skipped += 1;
+    return [];
+  });
+
+  const byTag = (parent, tag) => parent.getElementsByTagNameNS('*', tag);
+  const lines = [
+    ...Array.from(byTag(doc, 'trkseg')).map((segment) => readPoints(byTag(segment, 'trkpt'))),
+    ...Array.from(byTag(doc, 'rte')).map((route) => readPoints(byTag(route, 'rtept'))),
+  ].filter((line) => line.length >= 2);
+
+  const points = Array.from(byTag(doc, 'wpt')).flatMap((waypoint) => {
+    const [coords] = readPoints([waypoint]);
+    return coords ? [{ name: childText(waypoint, 'name'), coords }] : [];
+  });
+
+  const metadata = byTag(doc, 'metadata')[0];
+  const track = byTag(doc, 'trk')[0] || byTag(doc, 'rte')[0];
+  const name = (metadata && childText(metadata, 'name')) || (track && childText(track, 'name'));
+  return { name, lines, points, skipped };
+}
+
+// Every track and route point in order, with its <time> as epoch ms (null when missing),
+// for replaying a recorded drive
+export function parseGpxFixes(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.localName !== 'gpx') {
+    throw new Error('File is not valid GPX');
+  }
+
+  return Array.from(doc.getElementsByTagNameNS('*', '*'))
+      .filter((element) => element.localName === 'trkpt' || element.localName === 'rtept')
+      .flatMap((element) => {
+        const lat = parseFloat(element.getAttribute('lat'));
+        const lng = parseFloat(element.getAttribute('lon'));
+        if (!validCoords(lat, lng)) return [];
+        const time = Date.parse(childText(element, 'time'));
+        return [{ time: Number.isNaN(time) ? null : time, coords: [lat, lng] }];
+      });
+}
+
+// LineStrings and MultiLineStrings become lines, Points and MultiPoints points; other geometries are skipped
+export function parseGeoJson(data) {
+  let features;
+  if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data && data.type === 'Feature') {
+    features = [data];
+  } else if (data && typeof data.type === 'string' && data.coordinates) {
+    features = [{ type: 'Feature', geometry: data, properties: {} }];
+  } else {
+    throw new Error('File is not GeoJSON');
+  }
+
+  const lines = [];
+  const points = [];
+  let skipped = 0;
+  const toLatLng = (position) => {
+    const [lng, lat] = Array.isArray(position) ? position : [];
+    if (validCoords(lat, lng)) return [lat, lng];
+    skipped += 1;
+    return null;
+  };
+  const addLine = (positions) => {
+    const line = (Array.isArray(positions) ? positions : []).map(toLatLng).filter(Boolean);
+    if (line.length >= 2) lines.push(line);
+    else skipped += 1;
+  };
+  const addPoint = (position, name) => {
+    const coords = toLatLng(position);
+    if (coords) points.push({ name, coords });
+  };
+
+  features.forEach((feature) => {
+    const { geometry, properties } = feature || {};
+    const name = (properties && properties.name) || '';
+    switch (geometry && geometry.type) {
+      case 'LineString':
+        addLine(geometry.coordinates);
+        break;
+      case 'MultiLineString':
+        (geometry.coordinates || []).forEach(addLine);
+        break;
+      case 'Point':
+        addPoint(geometry.coordinates, name);
+        break;
+      case 'MultiPoint':
+        (geometry.coordinates || []).forEach((position) => addPoint(position, name));
+        break;
+      default:
+        skipped += 1;
+    }
+  });
+
+  return { name: (data.properties && data.properties.name) || '', lines, points, skipped };
+}
+
+// Read a GPX or GeoJSON File chosen by the user
+export async function importTrack(file) {
+  if (file.size > MAX_IMPORT_BYTES) {
+    throw new Error(`File is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+  }
+  const text = await file.text();
+  let track;
+  if (/\.gpx$/i.test(file.name) || text.trimStart().startsWith('<')) {
+    track = parseGpx(text);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`File is neither GPX nor valid JSON: ${e.message}`);
+    }
+    track = parseGeoJson(data);
+  }
+  if (track.lines.length === 0 && track.points.length === 0) {
+    throw new Error('File has no tracks, routes or points to show');
+  }
+  return { ...track, name: track.name || file.name.replace(/\.[^.]+$/, '') };
+}
+
+// Save `content` through the browser's download prompt
+export function downloadFile(content, filename, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Give the download a moment to start before the URL goes away
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,71 @@
+import { importTrack, parseGeoJson, parseGpx, routeToGeoJson, routeToGpx } from './geoFiles';
+
+const route = {
+  coordinates: [[3.848, 11.502], [3.85, 11.505], [3.8667, 11.5167]],
+  distance: '2.4',
+  time: 7,
+  provider: 'osrm',
+};
+const stops = [{ name: 'Marché <Central> & co', coords: [3.8667, 11.5167] }];
+
+function file(name, text) {
+  return { name, size: text.length, text: async () => text };
+}
+
+test('exports a route as GPX that imports back', () => {
+  const gpx = routeToGpx({ ...route, stops, name: 'To market', now: new Date('2025-06-01T08:00:00Z') });
+
+  expect(gpx).toContain('<name>Marché &lt;Central&gt; &amp; co</name>');
+  expect(parseGpx(gpx)).toEqual({
+    name: 'To market',
+    lines: [route.coordinates],
+    points: [{ name: 'Marché <Central> & co', coords: [3.8667, 11.5167] }],
+    skipped: 0,
+  });
+});
+
+test('exports a route as GeoJSON that imports back', () => {
+  const data = JSON.parse(routeToGeoJson({ ...route, stops, name: 'To market' }));
+
+  expect(data.features[0].properties).toEqual({ name: 'To market', distanceKm: 2.4, timeMin: 7, provider: 'osrm' });
+  expect(data.features[0].geometry.coordinates[0]).toEqual([11.502, 3.848]);
+  expect(parseGeoJson(data)).toMatchObject({ lines: [route.coordinates], points: [{ coords: [3.8667, 11.5167] }] });
+});
+
+test('reads GPX routes and skips points without valid coordinates', () => {
+  const gpx = `<?xml version="1.0"?>
+    <gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+      <rte><name>Ride</name>
+        <rtept lat="3.84" lon="11.50"/><rtept lat="north" lon="11.51"/><rtept lat="3.86" lon="11.52"/>
+      </rte>
+    </gpx>`;
+
+  expect(parseGpx(gpx)).toEqual({ name: 'Ride', lines: [[[3.84, 11.5], [3.86, 11.52]]], points: [], skipped: 1 });
+  expect(() => parseGpx('<kml></kml>')).toThrow('not valid GPX');
+  expect(() => parseGpx('<gpx><trk>')).toThrow('not valid GPX');
+});
+
+test('reads GeoJSON lines and points, skipping other geometries', () => {
+  const track = parseGeoJson({
+    type: 'FeatureCollection',
+    features: [
+      { type: 'Feature', geometry: { type: 'MultiLineString', coordinates: [[[11.5, 3.84], [11.51, 3.85]], [[11.5, 95]]] } },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [11.52, 3.86] }, properties: { name: 'Camp' } },
+      { type: 'Feature', geometry: { type: 'Polygon', coordinates: [] } },
+    ],
+  });
+
+  expect(track.lines).toEqual([[[3.84, 11.5], [3.85, 11.51]]]);
+  expect(track.points).toEqual([{ name: 'Camp', coords: [3.86, 11.52] }]);
+  expect(track.skipped).toBe(3);
+  expect(() => parseGeoJson({ potholes: [] })).toThrow('not GeoJSON');
+});
+
+test('imports files by content and explains what is wrong with bad ones', async () => {
+  const geojson = JSON.stringify({ type: 'LineString', coordinates: [[11.5, 3.84], [11.51, 3.85]] });
+
+  await expect(importTrack(file('walk.geojson', geojson))).resolves.toMatchObject({ name: 'walk', lines: [[[3.84, 11.5], [3.85, 11.51]]] });
+  await expect(importTrack(file('walk.json', '{ nope'))).rejects.toThrow('neither GPX nor valid JSON');
+  await expect(importTrack(file('empty.geojson', '{"type":"FeatureCollection","features":[]}'))).rejects.toThrow('no tracks');
+  await expect(importTrack({ ...file('huge.gpx', ''), size: 50 * 1024 * 1024 })).rejects.toThrow('larger than 10 MB');
+});
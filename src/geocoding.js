@@ -0,0 +1,124 @@
+// Geocoding providers. Every provider exposes
+//   search(query, { bounds, signal, limit }) -> [{ name, address, coords: [lat, lng] }]
+//   reverse(coords, { signal })               -> { name, address, coords } or null
+// `bounds` ([[south, west], [north, east]]) biases results towards the visible map.
+// `autocomplete` says whether it may be asked on every keystroke, or only when the
+// user submits a search.
+
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+
+// Known places around Yaoundé, offered before the user types and used when no geocoder answers
+export const popularPlaces = [
+  { name: 'Yaoundé Nsimalen International Airport', coords: [3.723, 11.553] },
+  { name: 'Monument de la Réunification', coords: [3.865, 11.518] },
+  { name: 'Cameroon National Museum', coords: [3.866, 11.518] },
+  { name: 'Central Market (Marché Central)', coords: [3.870, 11.512] },
+  { name: 'Hotel Hilton Yaoundé', coords: [3.873, 11.519] },
+];
+
+async function fetchJson(url, { signal, timeout }) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = timeout ? setTimeout(abort, timeout) : null;
+  if (signal) {
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+  }
+
+  try {
+    const response = await fetch(url, { signal: controller.signal, headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+      throw new Error(`Geocoding request failed with HTTP ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+// "Rue 1.750, Bastos, Yaoundé" from Nominatim's address parts, skipping the country and postcode
+function shortAddress(address = {}) {
+  const street = [address.house_number, address.road || address.pedestrian || address.footway]
+      .filter(Boolean)
+      .join(' ');
+  const area = address.suburb || address.neighbourhood || address.quarter;
+  const city = address.city || address.town || address.village;
+  return [street, area, city].filter(Boolean).join(', ');
+}
+
+function fromNominatim(place) {
+  const address = shortAddress(place.address) || place.display_name;
+  return {
+    name: place.name || address.split(',')[0],
+    address,
+    coords: [Number(place.lat), Number(place.lon)],
+  };
+}
+
+export function createNominatimGeocoder({ url, email, countryCodes, language, timeout } = {}) {
+  const base = (url || DEFAULT_NOMINATIM_URL).replace(/\/+$/, '');
+
+  const params = (extra) => {
+    const query = new URLSearchParams({ format: 'jsonv2', addressdetails: '1', ...extra });
+    if (email) query.set('email', email);
+    if (language) query.set('accept-language', language);
+    return query;
+  };
+
+  return {
+    name: 'nominatim',
+    // The public instance's usage policy forbids search-as-you-type; your own server is fine
+    autocomplete: Boolean(url),
+
+    async search(text, { bounds, signal, limit = 5 } = {}) {
+      const query = params({ q: text, limit: String(limit) });
+      if (countryCodes) query.set('countrycodes', countryCodes);
+      if (bounds) {
+        const [[south, west], [north, east]] = bounds;
+        // Prefer, but don't restrict to, the visible area
+        query.set('viewbox', [west, north, east, south].join(','));
+      }
+      const results = await fetchJson(`${base}/search?${query}`, { signal, timeout });
+      return results.map(fromNominatim);
+    },
+
+    async reverse([lat, lng], { signal } = {}) {
+      const query = params({ lat: String(lat), lon: String(lng), zoom: '18' });
+      const result = await fetchJson(`${base}/reverse?${query}`, { signal, timeout });
+      if (!result || result.error) return null;
+      return fromNominatim(result);
+    },
+  };
+}
+
+// Offline geocoder that only knows `places`; reverse lookups aren't possible
+export function createLocalGeocoder(places = popularPlaces) {
+  return {
+    name: 'local',
+    autocomplete: true,
+
+    async search(text, { limit = 5 } = {}) {
+      const needle = text.trim().toLowerCase();
+      return places
+          .filter((place) => place.name.toLowerCase().includes(needle))
+          .slice(0, limit)
+          .map((place) => ({ ...place, address: place.address || place.name }));
+    },
+
+    async reverse() {
+      return null;
+    },
+  };
+}
+
+export function createGeocoder({ provider, ...options } = {}) {
+  switch (provider || 'nominatim') {
+    case 'nominatim':
+      return createNominatimGeocoder(options);
+    case 'local':
+      return createLocalGeocoder();
+    default:
+      throw new Error(`Unknown geocoding provider: ${provider}`);
+  }
+}
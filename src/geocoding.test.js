@@ -0,0 +1,62 @@
+import { createGeocoder, createLocalGeocoder, createNominatimGeocoder } from './geocoding';
+
+function mockFetch(body, status = 200) {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('Nominatim search is biased to the visible map and returns short addresses', async () => {
+  mockFetch([{
+    lat: '3.8667',
+    lon: '11.5167',
+    name: 'Hôpital Central',
+    display_name: 'Hôpital Central, Avenue Henri Dunant, Messa, Yaoundé, Centre, Cameroun',
+    address: { road: 'Avenue Henri Dunant', suburb: 'Messa', city: 'Yaoundé', country: 'Cameroun' },
+  }]);
+  const geocoder = createNominatimGeocoder({ url: 'http://localhost:8080/', countryCodes: 'cm' });
+
+  const [place] = await geocoder.search('hopital', { bounds: [[3.8, 11.4], [3.9, 11.6]] });
+
+  const url = new URL(global.fetch.mock.calls[0][0]);
+  expect(url.pathname).toBe('/search');
+  expect(url.searchParams.get('q')).toBe('hopital');
+  expect(url.searchParams.get('viewbox')).toBe('11.4,3.9,11.6,3.8');
+  expect(url.searchParams.get('countrycodes')).toBe('cm');
+  expect(place).toEqual({
+    name: 'Hôpital Central',
+    address: 'Avenue Henri Dunant, Messa, Yaoundé',
+    coords: [3.8667, 11.5167],
+  });
+});
+
+test('Nominatim reverse geocoding returns null when nothing is found', async () => {
+  mockFetch({ error: 'Unable to geocode' });
+
+  await expect(createNominatimGeocoder().reverse([0, 0])).resolves.toBeNull();
+  expect(global.fetch.mock.calls[0][0]).toContain('/reverse?');
+});
+
+test('HTTP errors reject so the search box can fall back to known places', async () => {
+  mockFetch([], 429);
+
+  await expect(createNominatimGeocoder().search('marché')).rejects.toThrow('HTTP 429');
+});
+
+test('local geocoder matches known places by name', async () => {
+  const results = await createLocalGeocoder().search('museum');
+  expect(results.map((place) => place.name)).toEqual(['Cameroon National Museum']);
+  expect(() => createGeocoder({ provider: 'google' })).toThrow('Unknown geocoding provider');
+});
+
+test('only self-hosted Nominatim and the local geocoder search as you type', () => {
+  expect(createNominatimGeocoder().autocomplete).toBe(false);
+  expect(createNominatimGeocoder({ url: 'http://localhost:8080' }).autocomplete).toBe(true);
+  expect(createLocalGeocoder().autocomplete).toBe(true);
+});
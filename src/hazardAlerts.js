@@ -0,0 +1,150 @@
+// Proximity alerts for potholes ahead of the driver. Warning distance grows
+// with severity and speed; each pothole alerts at most once per session and
+// its alert is dropped once the driver has passed it.
+import { calculateBearing, calculateDistance } from './geo';
+
+// Seconds of warning the driver gets before reaching a pothole, by severity
+export const WARNING_SECONDS = {
+  high: 8,
+  medium: 6,
+  low: 4,
+};
+
+// Minimum warning distance when moving slowly or standing still (km)
+export const MIN_WARNING_DISTANCE = {
+  high: 0.1,
+  medium: 0.07,
+  low: 0.04,
+};
+
+// Outside navigation, new alerts need a heading and at least this speed (km/h), so
+// someone standing or strolling near a pothole isn't beeped at
+export const MIN_ALERT_SPEED = 8;
+
+// Potholes further than this off the direction of travel are not "ahead" (degrees)
+const AHEAD_ANGLE = 60;
+
+// Moving this far back out from the closest approach counts as passed (km)
+const PASSED_MARGIN = 0.015;
+
+// Distance (km) at which to warn about a pothole of `severity` at `speed` km/h
+export function warningDistance(severity, speed = 0) {
+  const seconds = WARNING_SECONDS[severity] || WARNING_SECONDS.low;
+  const minimum = MIN_WARNING_DISTANCE[severity] || MIN_WARNING_DISTANCE.low;
+  return Math.max(minimum, (speed / 3600) * seconds);
+}
+
+// Speed (km/h) and heading (degrees) between two timestamped fixes { coords, time }
+export function motionBetween(previous, current) {
+  if (!previous) return { speed: null, heading: null };
+  const distance = calculateDistance(previous.coords, current.coords);
+  const hours = (current.time - previous.time) / 3600000;
+  return {
+    speed: hours > 0 ? distance / hours : null,
+    // Below ~5 m the bearing is mostly GPS noise
+    heading: distance > 0.005 ? calculateBearing(previous.coords, current.coords) : null,
+  };
+}
+
+function isAhead(position, heading, target) {
+  if (heading === null || heading === undefined) return true;
+  const diff = Math.abs(((calculateBearing(position, target) - heading + 540) % 360) - 180);
+  return diff <= AHEAD_ANGLE;
+}
+
+export function createAlertState(alerted = []) {
+  return { alerted: new Set(alerted), active: [] };
+}
+
+// Advance the alert state with a new position. Returns the new state and the
+// alerts triggered by this update (to be announced). New alerts only trigger
+// while `navigating` or moving with a known heading.
+export function updateAlerts(state, { position, heading = null, speed = 0, potholes, navigating = false }) {
+  const alerted = new Set(state.alerted);
+  const triggered = [];
+  const moving = heading !== null && heading !== undefined && (speed || 0) >= MIN_ALERT_SPEED;
+
+  // Keep active alerts until the pothole is behind us
+  const active = state.active
+      .map((alert) => {
+        const distance = calculateDistance(position, alert.pothole.coords);
+        return { ...alert, distance, closest: Math.min(alert.closest, distance) };
+      })
+      .filter((alert) => alert.distance <= alert.closest + PASSED_MARGIN &&
+          (alert.distance < PASSED_MARGIN || isAhead(position, heading, alert.pothole.coords)));
+
+  potholes.forEach((pothole) => {
+    if (!moving && !navigating) return;
+    if (alerted.has(pothole.id)) return;
+    const distance = calculateDistance(position, pothole.coords);
+    if (distance > warningDistance(pothole.severity, speed || 0)) return;
+    if (!isAhead(position, heading, pothole.coords)) return;
+
+    const alert = { pothole, distance, closest: distance };
+    alerted.add(pothole.id);
+    active.push(alert);
+    triggered.push(alert);
+  });
+
+  // Closest first
+  active.sort((a, b) => a.distance - b.distance);
+  return { state: { alerted, active }, triggered };
+}
+
+// Short beep through the Web Audio API, higher pitched for worse potholes
+export function playAlertSound(severity) {
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContext) return;
+  const context = new AudioContext();
+  const oscillator = context.createOscillator();
+  const gain = context.createGain();
+  oscillator.frequency.value = { high: 1200, medium: 900, low: 700 }[severity] || 700;
+  gain.gain.value = 0.2;
+  oscillator.connect(gain).connect(context.destination);
+  oscillator.start();
+  oscillator.stop(context.currentTime + 0.3);
+  oscillator.onended = () => context.close();
+}
+
+export function vibrateAlert(severity) {
+  if (typeof navigator === 'undefined' || !navigator.vibrate) return;
+  navigator.vibrate(severity === 'high' ? [300, 100, 300] : [200]);
+}
+
+const SESSION_KEY = 'cvbox.alertedPotholes';
+const SETTINGS_KEY = 'cvbox.alertSettings';
+
+export const defaultAlertSettings = { enabled: true, sound: true, vibrate: true, voice: false };
+
+// Potholes already alerted this browser session, so a reload doesn't repeat them
+export function loadSessionAlerts() {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(SESSION_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveSessionAlerts(ids) {
+  try {
+    window.sessionStorage.setItem(SESSION_KEY, JSON.stringify(Array.from(ids)));
+  } catch (e) {
+    console.warn('Could not save alerted potholes:', e);
+  }
+}
+
+export function loadAlertSettings() {
+  try {
+    return { ...defaultAlertSettings, ...JSON.parse(window.localStorage.getItem(SETTINGS_KEY)) };
+  } catch (e) {
+    return defaultAlertSettings;
+  }
+}
+
+export function saveAlertSettings(settings) {
+  try {
+    window.localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save alert settings:', e);
+  }
+}
@@ -0,0 +1,62 @@
+import { createAlertState, updateAlerts, warningDistance } from './hazardAlerts';
+import { destinationPoint } from './geo';
+
+const start = [3.848, 11.502];
+const pothole = (id, km, severity = 'high', bearing = 0) => ({
+  id,
+  severity,
+  coords: destinationPoint(start, bearing, km),
+});
+
+test('warning distance grows with speed and severity', () => {
+  expect(warningDistance('high', 0)).toBeCloseTo(0.1);
+  expect(warningDistance('high', 90)).toBeCloseTo(0.2);
+  expect(warningDistance('low', 90)).toBeLessThan(warningDistance('high', 90));
+});
+
+test('each pothole alerts once per session', () => {
+  const potholes = [pothole('a', 0.08)];
+  const first = updateAlerts(createAlertState(), { position: start, heading: 0, speed: 30, potholes });
+  expect(first.triggered.map((alert) => alert.pothole.id)).toEqual(['a']);
+
+  const again = updateAlerts(first.state, { position: start, heading: 0, speed: 30, potholes });
+  expect(again.triggered).toHaveLength(0);
+
+  const reloaded = updateAlerts(createAlertState(['a']), { position: start, heading: 0, speed: 30, potholes });
+  expect(reloaded.triggered).toHaveLength(0);
+});
+
+test('potholes behind the driver or out of range are ignored', () => {
+  const potholes = [pothole('behind', 0.05, 'high', 180), pothole('far', 0.5)];
+  const { triggered } = updateAlerts(createAlertState(), { position: start, heading: 0, speed: 30, potholes });
+  expect(triggered).toHaveLength(0);
+});
+
+test('alert is dropped once the pothole has been passed', () => {
+  const potholes = [pothole('a', 0.06)];
+  const { state } = updateAlerts(createAlertState(), { position: start, heading: 0, speed: 30, potholes });
+  expect(state.active).toHaveLength(1);
+
+  const closer = updateAlerts(state, {
+    position: destinationPoint(start, 0, 0.04), heading: 0, speed: 30, potholes,
+  });
+  expect(closer.state.active).toHaveLength(1);
+
+  const past = updateAlerts(closer.state, {
+    position: destinationPoint(start, 0, 0.1), heading: 0, speed: 30, potholes,
+  });
+  expect(past.state.active).toHaveLength(0);
+});
+
+test('a user standing near a pothole is not alerted unless navigating', () => {
+  const potholes = [pothole('a', 0.05)];
+
+  const standing = updateAlerts(createAlertState(), { position: start, heading: null, speed: 0, potholes });
+  expect(standing.triggered).toHaveLength(0);
+  // GPS jitter gives a heading but no real speed
+  const jitter = updateAlerts(standing.state, { position: start, heading: 0, speed: 2, potholes });
+  expect(jitter.triggered).toHaveLength(0);
+
+  const navigating = updateAlerts(jitter.state, { position: start, heading: null, speed: 0, potholes, navigating: true });
+  expect(navigating.triggered.map((alert) => alert.pothole.id)).toEqual(['a']);
+});
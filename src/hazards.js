@@ -0,0 +1,117 @@
+// Pothole hazard scoring for routes: which potholes lie on a route, how bad
+// they are, and how to pick or build a route that avoids them.
+import { calculateBearing, destinationPoint, pointToPolylineDistance } from './geo';
+
+export const SEVERITY_WEIGHTS = {
+  high: 3,
+  medium: 2,
+  low: 1,
+};
+
+// A pothole closer than this to the route line is considered "on route" (km)
+export const HAZARD_RADIUS = 0.025;
+
+// Most routes offered to choose from, including the chosen one
+export const MAX_ALTERNATIVES = 3;
+
+// Score a route against the pothole set. Each pothole within `radius` of the
+// polyline contributes its severity weight, scaled down the further it sits
+// from the line. Travel modes bring their own `weights`.
+export function scoreRouteHazards(coordinates, potholes, { radius = HAZARD_RADIUS, weights = SEVERITY_WEIGHTS } = {}) {
+  const hazards = [];
+  const counts = { high: 0, medium: 0, low: 0 };
+  let score = 0;
+
+  if (coordinates && coordinates.length > 0) {
+    potholes.forEach((pothole) => {
+      const { distance, segmentIndex } = pointToPolylineDistance(pothole.coords, coordinates);
+      if (distance > radius) return;
+
+      const weight = weights[pothole.severity] || weights.low;
+      hazards.push({ pothole, distance, segmentIndex });
+      counts[pothole.severity] = (counts[pothole.severity] || 0) + 1;
+      score += weight * (1 - distance / radius / 2);
+    });
+  }
+
+  // Order hazards along the route
+  hazards.sort((a, b) => a.segmentIndex - b.segmentIndex);
+
+  return { hazards, counts, score, total: hazards.length };
+}
+
+// Human readable summary, e.g. "2 high, 1 medium on route"
+export function summarizeHazards({ counts, total }) {
+  if (!total) return 'No reported potholes on route';
+  return ['high', 'medium', 'low']
+      .filter((severity) => counts[severity] > 0)
+      .map((severity) => `${counts[severity]} ${severity}`)
+      .join(', ') + ' on route';
+}
+
+// Least hazardous of several scored routes; ties go to the faster one
+export function pickSafestRoute(scoredRoutes) {
+  return scoredRoutes.reduce((best, candidate) => {
+    if (candidate.hazardScore.score < best.hazardScore.score) return candidate;
+    if (candidate.hazardScore.score === best.hazardScore.score &&
+        candidate.route.time < best.route.time) return candidate;
+    return best;
+  });
+}
+
+// Waypoint beside a pothole, perpendicular to the route, to steer the engine around it
+export function avoidanceWaypoint(hazard, coordinates, offset = 0.15) {
+  const i = Math.min(hazard.segmentIndex, coordinates.length - 2);
+  const heading = calculateBearing(coordinates[i], coordinates[i + 1]);
+  return destinationPoint(hazard.pothole.coords, (heading + 90) % 360, offset);
+}
+
+// Ask the provider for a route between `points`, with alternatives where it has
+// them, and score each against the potholes. Without `avoidHazards` the engine's
+// first route is chosen. With it, the safest is, and if that still crosses a
+// pothole a detour through an avoidance waypoint is tried. `weights` are the
+// severity weights of the travel mode. Returns the chosen { route, hazardScore },
+// how it avoids potholes, and up to MAX_ALTERNATIVES scored routes to choose from
+// (the chosen one among them).
+export async function planRoute(provider, points, potholes, { avoidHazards = false, weights = SEVERITY_WEIGHTS, signal } = {}) {
+  const score = (route) => ({ route, hazardScore: scoreRouteHazards(route.coordinates, potholes, { weights }) });
+
+  const routes = await provider.route(points, { signal, alternatives: true });
+  const scored = routes.map(score);
+  // A detour, or a safe route far down the engine's list, takes the last place
+  const offer = (best, avoidance) => {
+    const index = scored.indexOf(best);
+    const alternatives = index >= 0 && index < MAX_ALTERNATIVES
+        ? scored.slice(0, MAX_ALTERNATIVES)
+        : [...scored.filter((option) => option !== best).slice(0, MAX_ALTERNATIVES - 1), best];
+    return { ...best, avoidance, alternatives };
+  };
+
+  if (!avoidHazards) {
+    return offer(scored[0], null);
+  }
+
+  let best = pickSafestRoute(scored);
+  let avoidance = best === scored[0] ? null : 'alternative';
+
+  const worst = best.hazardScore.hazards
+      .slice()
+      .sort((a, b) => weights[b.pothole.severity] - weights[a.pothole.severity])[0];
+
+  if (worst && points.length === 2) {
+    const waypoint = avoidanceWaypoint(worst, best.route.coordinates);
+    try {
+      const [detour] = await provider.route([points[0], waypoint, points[1]], { signal });
+      const scoredDetour = score(detour);
+      if (scoredDetour.hazardScore.score < best.hazardScore.score) {
+        best = scoredDetour;
+        avoidance = 'waypoint';
+      }
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      console.warn('Avoidance detour failed, keeping best alternative:', error);
+    }
+  }
+
+  return offer(best, avoidance);
+}
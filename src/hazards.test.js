@@ -0,0 +1,91 @@
+import { planRoute, scoreRouteHazards, summarizeHazards } from './hazards';
+
+// A straight east-west road through Yaoundé
+const road = [[3.860, 11.500], [3.860, 11.530]];
+
+const potholes = [
+  { coords: [3.860, 11.510], severity: 'high' },      // on the road
+  { coords: [3.8601, 11.520], severity: 'medium' },   // ~11 m off the road
+  { coords: [3.870, 11.515], severity: 'high' },      // ~1.1 km away
+];
+
+test('counts only potholes within the hazard radius, weighted by severity', () => {
+  const result = scoreRouteHazards(road, potholes);
+
+  expect(result.total).toBe(2);
+  expect(result.counts).toEqual({ high: 1, medium: 1, low: 0 });
+  expect(result.score).toBeGreaterThan(3);
+  expect(result.score).toBeLessThan(5);
+  expect(result.hazards.map((h) => h.pothole.severity)).toEqual(['high', 'medium']);
+});
+
+test('weighs severities by the given weights', () => {
+  const heavy = scoreRouteHazards(road, potholes, { weights: { high: 1, medium: 1, low: 1 } });
+  const light = scoreRouteHazards(road, potholes, { weights: { high: 0.5, medium: 0.25, low: 0.1 } });
+
+  expect(heavy.counts).toEqual(scoreRouteHazards(road, potholes).counts);
+  expect(heavy.score).toBeGreaterThan(1.5);
+  expect(heavy.score).toBeLessThan(2);
+  expect(light.score).toBeLessThan(0.75);
+});
+
+test('summarizes hazards for the route panel', () => {
+  expect(summarizeHazards(scoreRouteHazards(road, potholes))).toBe('1 high, 1 medium on route');
+  expect(summarizeHazards(scoreRouteHazards(road, []))).toBe('No reported potholes on route');
+});
+
+test('prefers the least hazardous alternative when avoiding potholes', async () => {
+  const detour = [[3.860, 11.500], [3.855, 11.500], [3.855, 11.530], [3.860, 11.530]];
+  const provider = {
+    route: jest.fn().mockResolvedValue([
+      { coordinates: road, time: 5 },
+      { coordinates: detour, time: 7 },
+    ]),
+  };
+
+  const fastest = await planRoute(provider, [road[0], road[1]], potholes);
+  expect(fastest.route.coordinates).toBe(road);
+  expect(fastest.avoidance).toBeNull();
+
+  const safest = await planRoute(provider, [road[0], road[1]], potholes, { avoidHazards: true });
+  expect(safest.route.coordinates).toBe(detour);
+  expect(safest.hazardScore.total).toBe(0);
+  expect(safest.avoidance).toBe('alternative');
+  expect(provider.route).toHaveBeenLastCalledWith([road[0], road[1]], { signal: undefined, alternatives: true });
+});
+
+test('offers up to three scored alternatives, the chosen one among them', async () => {
+  const south = [[3.860, 11.500], [3.855, 11.500], [3.855, 11.530], [3.860, 11.530]];
+  const routes = [road, road, road, south].map((coordinates, i) => ({ coordinates, time: 5 + i }));
+  const provider = { route: jest.fn().mockResolvedValue(routes) };
+
+  const fastest = await planRoute(provider, [road[0], road[1]], potholes);
+  expect(fastest.alternatives).toHaveLength(3);
+  expect(fastest.alternatives[0].route).toBe(fastest.route);
+  expect(fastest.alternatives[0].hazardScore.total).toBe(2);
+
+  // The safe route is fourth on the engine's list, so it takes the last place
+  const safest = await planRoute(provider, [road[0], road[1]], potholes, { avoidHazards: true });
+  expect(safest.route.coordinates).toBe(south);
+  expect(safest.alternatives.map((option) => option.route)).toEqual([routes[0], routes[1], routes[3]]);
+});
+
+test('tries an avoidance waypoint when every alternative crosses a pothole', async () => {
+  const detour = [[3.860, 11.500], [3.862, 11.505], [3.862, 11.530], [3.860, 11.530]];
+  const provider = {
+    route: jest.fn()
+        .mockResolvedValueOnce([{ coordinates: road, time: 5 }])
+        .mockResolvedValueOnce([{ coordinates: detour, time: 6 }]),
+  };
+
+  const result = await planRoute(provider, [road[0], road[1]], potholes, { avoidHazards: true });
+
+  expect(result.avoidance).toBe('waypoint');
+  expect(result.route.coordinates).toBe(detour);
+  // The engine's route stays on offer next to the detour
+  expect(result.alternatives.map((option) => option.route.coordinates)).toEqual([road, detour]);
+  const [via] = provider.route.mock.calls[1];
+  expect(via).toHaveLength(3);
+  // The waypoint sits beside the high-severity pothole, not on it
+  expect(Math.abs(via[1][0] - 3.860)).toBeGreaterThan(0.001);
+});
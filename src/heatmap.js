@@ -0,0 +1,97 @@
+// Pothole density heatmap: each pothole adds heat weighted by its severity and
+// how many people reported it, drawn as blurred circles and coloured through a
+// gradient (the same technique as leaflet.heat / simpleheat).
+import { SEVERITY_WEIGHTS } from './hazards';
+
+// Cool (few, minor potholes) to hot (many, severe ones)
+export const HEAT_GRADIENT = [
+  [0.2, [33, 150, 243]],
+  [0.45, [0, 200, 83]],
+  [0.65, [255, 235, 59]],
+  [0.85, [255, 152, 0]],
+  [1, [229, 57, 53]],
+];
+
+// More reports add weight, with diminishing returns so one popular report doesn't dominate
+export function heatWeight(pothole) {
+  const severity = SEVERITY_WEIGHTS[pothole.severity] || SEVERITY_WEIGHTS.low;
+  return severity * (1 + Math.log2(Math.max(1, pothole.reportCount || 1)));
+}
+
+// Weighted points in [0, 1], scaled so the heaviest pothole is 1
+export function heatPoints(potholes) {
+  const weights = potholes.map(heatWeight);
+  const max = Math.max(...weights, 1);
+  return potholes.map((pothole, i) => ({ coords: pothole.coords, weight: weights[i] / max }));
+}
+
+// 256-entry RGBA lookup table interpolated from gradient stops [[offset, [r, g, b]], ...]
+export function createPalette(stops = HEAT_GRADIENT) {
+  const palette = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    const upper = stops.findIndex(([offset]) => offset >= t);
+    let color;
+    if (upper <= 0) {
+      color = stops[upper === 0 ? 0 : stops.length - 1][1];
+    } else {
+      const [o1, c1] = stops[upper - 1];
+      const [o2, c2] = stops[upper];
+      const f = (t - o1) / (o2 - o1);
+      color = c1.map((c, k) => c + (c2[k] - c) * f);
+    }
+    palette.set([color[0], color[1], color[2], 255], i * 4);
+  }
+  return palette;
+}
+
+// Turn the alpha channel of drawn heat into palette colours, in place
+export function colorize(pixels, palette, maxOpacity = 0.8) {
+  for (let i = 0; i < pixels.length; i += 4) {
+    const alpha = pixels[i + 3];
+    if (alpha === 0) continue;
+    const offset = alpha * 4;
+    pixels[i] = palette[offset];
+    pixels[i + 1] = palette[offset + 1];
+    pixels[i + 2] = palette[offset + 2];
+    pixels[i + 3] = Math.min(alpha * 1.5, 255 * maxOpacity);
+  }
+  return pixels;
+}
+
+// Blurred grayscale circle used as the brush for every point
+function createBrush(radius, blur) {
+  const brush = document.createElement('canvas');
+  const size = (radius + blur) * 2;
+  brush.width = size;
+  brush.height = size;
+  const ctx = brush.getContext('2d');
+  // Draw the circle off-canvas and keep only its blurred shadow
+  ctx.shadowOffsetX = size;
+  ctx.shadowBlur = blur;
+  ctx.shadowColor = 'black';
+  ctx.beginPath();
+  ctx.arc(-radius - blur, radius + blur, radius, 0, Math.PI * 2, true);
+  ctx.closePath();
+  ctx.fill();
+  return brush;
+}
+
+// Draw `points` ({ x, y, weight } in canvas pixels) as a heatmap onto `canvas`
+export function drawHeatmap(canvas, points, { radius = 25, blur = 15, palette = createPalette() } = {}) {
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  if (points.length === 0) return;
+
+  const brush = createBrush(radius, blur);
+  const offset = radius + blur;
+  points.forEach(({ x, y, weight }) => {
+    ctx.globalAlpha = Math.max(weight, 0.05);
+    ctx.drawImage(brush, x - offset, y - offset);
+  });
+  ctx.globalAlpha = 1;
+
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  colorize(image.data, palette);
+  ctx.putImageData(image, 0, 0);
+}
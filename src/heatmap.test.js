@@ -0,0 +1,42 @@
+import { colorize, createPalette, heatPoints, heatWeight } from './heatmap';
+
+test('weights potholes by severity and, with diminishing returns, by report count', () => {
+  const low = heatWeight({ severity: 'low', reportCount: 1 });
+  const high = heatWeight({ severity: 'high', reportCount: 1 });
+  const confirmed = heatWeight({ severity: 'high', reportCount: 4 });
+
+  expect(high).toBeGreaterThan(low);
+  expect(confirmed).toBe(high * 3);
+  expect(heatWeight({ severity: 'high' })).toBe(high);
+});
+
+test('scales heat points so the heaviest pothole has weight 1', () => {
+  const points = heatPoints([
+    { coords: [3.85, 11.5], severity: 'low', reportCount: 1 },
+    { coords: [3.86, 11.51], severity: 'high', reportCount: 2 },
+  ]);
+
+  expect(points[1]).toEqual({ coords: [3.86, 11.51], weight: 1 });
+  expect(points[0].weight).toBeGreaterThan(0);
+  expect(points[0].weight).toBeLessThan(1);
+  expect(heatPoints([])).toEqual([]);
+});
+
+test('palette runs through the gradient stops', () => {
+  const palette = createPalette([[0, [0, 0, 255]], [1, [255, 0, 0]]]);
+
+  expect(Array.from(palette.slice(0, 4))).toEqual([0, 0, 255, 255]);
+  expect(Array.from(palette.slice(255 * 4))).toEqual([255, 0, 0, 255]);
+  expect(palette[128 * 4]).toBeGreaterThan(120);
+  expect(palette[128 * 4]).toBeLessThan(135);
+});
+
+test('colorize maps heat alpha to palette colours and leaves empty pixels alone', () => {
+  const palette = createPalette([[0, [0, 0, 255]], [1, [255, 0, 0]]]);
+  const pixels = new Uint8ClampedArray([0, 0, 0, 0, 0, 0, 0, 255]);
+
+  colorize(pixels, palette, 0.8);
+
+  expect(Array.from(pixels.slice(0, 4))).toEqual([0, 0, 0, 0]);
+  expect(Array.from(pixels.slice(4))).toEqual([255, 0, 0, 204]);
+});
@@ -0,0 +1,231 @@
+// Where the user's position comes from. Every source has the shape of
+// navigator.geolocation (getCurrentPosition / watchPosition / clearWatch), so
+// LocationController works the same with the device GPS, a fixed point for
+// demos, or a recorded drive played back for development and tests.
+//
+// `?location=` picks the source at startup:
+//   location=fixed:3.866,11.518          stay at one position
+//   location=replay:/tracks/drive.gpx     play back a GPX track or a trip recorder trace, looping
+//   location-rate=5                      ...five times faster than it was recorded
+import { calculateDistance } from './geo';
+import { motionBetween } from './hazardAlerts';
+import { MAX_IMPORT_BYTES, parseGeoJson, parseGpxFixes } from './geoFiles';
+
+// Speed assumed between points of a track without timestamps, km/h
+export const UNTIMED_TRACK_SPEED = 30;
+
+export const PLAYBACK_RATES = [1, 2, 5, 10, 30];
+
+// GeolocationPosition-like object for a fix. Fix speeds are km/h as elsewhere in the app; the API's are m/s.
+export function toPosition(fix, timestamp = Date.now()) {
+  return {
+    coords: {
+      latitude: fix.coords[0],
+      longitude: fix.coords[1],
+      accuracy: fix.accuracy ?? 5,
+      altitude: null,
+      altitudeAccuracy: null,
+      heading: fix.heading ?? null,
+      speed: fix.speed != null ? fix.speed / 3.6 : null,
+    },
+    timestamp,
+  };
+}
+
+// The device's own location, or null where the browser has none
+export function browserLocationSource() {
+  return typeof navigator !== 'undefined' && navigator.geolocation ? navigator.geolocation : null;
+}
+
+// Always at `coords`; each watcher gets the position once
+export function createFixedLocationSource(coords, accuracy = 5) {
+  const fix = { coords, accuracy, speed: 0 };
+  const timers = new Map();
+  let nextId = 1;
+
+  return {
+    getCurrentPosition(success) {
+      setTimeout(() => success(toPosition(fix)), 0);
+    },
+    watchPosition(success) {
+      const id = nextId++;
+      timers.set(id, setTimeout(() => success(toPosition(fix)), 0));
+      return id;
+    },
+    clearWatch(id) {
+      clearTimeout(timers.get(id));
+      timers.delete(id);
+    },
+  };
+}
+
+// Give every fix a time, spacing untimed ones at UNTIMED_TRACK_SPEED, and a speed worked out
+// from the track where it wasn't recorded
+export function timedFixes(fixes) {
+  const result = [];
+  fixes.forEach((fix) => {
+    const previous = result[result.length - 1];
+    const time = fix.time ?? (previous
+        ? previous.time + (calculateDistance(previous.coords, fix.coords) / UNTIMED_TRACK_SPEED) * 3600000
+        : 0);
+    const timed = { ...fix, time };
+    timed.speed = fix.speed ?? (previous ? motionBetween(previous, timed).speed : null);
+    result.push(timed);
+  });
+  return result;
+}
+
+// Plays `fixes` back at their recorded pace, `rate` times faster. Playback starts when the first
+// watcher subscribes and pauses while nobody is watching; it stops on the last fix unless `loop`.
+export function createReplayLocationSource(fixes, { rate = 1, loop = false } = {}) {
+  const track = timedFixes(fixes);
+  if (track.length === 0) throw new Error('Track has no positions to replay');
+
+  const watchers = new Map();
+  let nextId = 1;
+  let index = 0;
+  let timer = null;
+  let playbackRate = rate;
+
+  const scheduleNext = () => {
+    timer = null;
+    if (watchers.size === 0) return;
+    let next = index + 1;
+    if (next >= track.length) {
+      if (!loop) return;
+      next = 0;
+    }
+    // Loop back after a second's pause rather than jumping straight to the start
+    const gap = next === 0 ? 1000 : track[next].time - track[index].time;
+    timer = setTimeout(() => {
+      index = next;
+      const position = toPosition(track[index]);
+      watchers.forEach((success) => success(position));
+      scheduleNext();
+    }, Math.max(0, gap / playbackRate));
+  };
+
+  return {
+    getCurrentPosition(success) {
+      setTimeout(() => success(toPosition(track[index])), 0);
+    },
+    watchPosition(success) {
+      const id = nextId++;
+      watchers.set(id, success);
+      setTimeout(() => {
+        if (watchers.has(id)) success(toPosition(track[index]));
+      }, 0);
+      if (!timer) scheduleNext();
+      return id;
+    },
+    clearWatch(id) {
+      watchers.delete(id);
+      if (watchers.size === 0 && timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    },
+    // Restarts the wait for the next fix at the new rate, so a slow gap doesn't hold it up
+    setRate(newRate) {
+      playbackRate = newRate;
+      if (timer) {
+        clearTimeout(timer);
+        scheduleNext();
+      }
+    },
+    rate: () => playbackRate,
+    progress: () => ({ index, count: track.length }),
+  };
+}
+
+// Fixes from a GPX file, a trip recorder trace ({ fixes }), an array of fixes or a GeoJSON line
+export function parseLocationTrack(text) {
+  let fixes;
+  if (text.trimStart().startsWith('<')) {
+    fixes = parseGpxFixes(text);
+  } else {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Track is neither GPX nor valid JSON: ${e.message}`);
+    }
+    if (Array.isArray(data)) {
+      fixes = data;
+    } else if (data && Array.isArray(data.fixes)) {
+      fixes = data.fixes;
+    } else {
+      fixes = parseGeoJson(data).lines.flat().map((coords) => ({ time: null, coords }));
+    }
+  }
+
+  const valid = fixes.filter((fix) => fix && Array.isArray(fix.coords) && fix.coords.every(Number.isFinite));
+  if (valid.length === 0) throw new Error('Track has no positions to replay');
+  return valid;
+}
+
+async function readTrack(spec) {
+  if (spec.file) {
+    if (spec.file.size > MAX_IMPORT_BYTES) {
+      throw new Error(`File is larger than ${MAX_IMPORT_BYTES / 1024 / 1024} MB`);
+    }
+    return spec.file.text();
+  }
+  const response = await fetch(spec.url);
+  if (!response.ok) throw new Error(`Could not load ${spec.url}: ${response.status}`);
+  return response.text();
+}
+
+function isSameOrigin(url, origin) {
+  try {
+    return new URL(url, origin).origin === origin;
+  } catch (e) {
+    return false;
+  }
+}
+
+// { type: 'browser' } | { type: 'fixed', coords } | { type: 'replay', url, rate }
+// Production builds ignore the override, so a shared link can't fake the user's position,
+// and replays only load files from `origin`, so a link can't make the app fetch any URL.
+export function locationSpecFromSearch(search, {
+  production = process.env.NODE_ENV === 'production',
+  origin = window.location.origin,
+} = {}) {
+  const params = new URLSearchParams(search);
+  const value = production ? '' : params.get('location') || '';
+
+  if (value.startsWith('fixed:')) {
+    const coords = value.slice('fixed:'.length).split(',').map(Number);
+    if (coords.length === 2 && coords.every(Number.isFinite)) return { type: 'fixed', coords };
+  }
+  if (value.startsWith('replay:') && value.length > 'replay:'.length) {
+    const url = value.slice('replay:'.length);
+    const rate = parseFloat(params.get('location-rate'));
+    if (isSameOrigin(url, origin)) return { type: 'replay', url, rate: rate > 0 ? rate : 1 };
+  }
+  return { type: 'browser' };
+}
+
+// Source for a spec; a replay spec may name a `file` chosen by the user instead of a `url`.
+// Replays loop so a demo keeps going.
+export async function openLocationSource(spec) {
+  switch (spec.type) {
+    case 'fixed':
+      return createFixedLocationSource(spec.coords);
+    case 'replay':
+      return createReplayLocationSource(parseLocationTrack(await readTrack(spec)), { rate: spec.rate, loop: true });
+    default:
+      return browserLocationSource();
+  }
+}
+
+export function describeLocationSpec(spec) {
+  switch (spec.type) {
+    case 'fixed':
+      return `Fixed at ${spec.coords.map((value) => value.toFixed(5)).join(', ')}`;
+    case 'replay':
+      return `Replaying ${spec.file ? spec.file.name : spec.url}`;
+    default:
+      return 'Device location';
+  }
+}
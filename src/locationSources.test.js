@@ -0,0 +1,133 @@
+import {
+  createFixedLocationSource,
+  createReplayLocationSource,
+  locationSpecFromSearch,
+  parseLocationTrack,
+  timedFixes,
+} from './locationSources';
+import { createTripRecorder } from './tripRecorder';
+import { destinationPoint } from './geo';
+
+const start = [3.848, 11.502];
+// A fix a second, driving north at 36 km/h
+const drive = Array.from({ length: 11 }, (_, s) => ({
+  time: 1717228800000 + s * 1000,
+  coords: destinationPoint(start, 0, 0.01 * s),
+  speed: 36,
+}));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('the location source is picked from the query string', () => {
+  expect(locationSpecFromSearch('')).toEqual({ type: 'browser' });
+  expect(locationSpecFromSearch('?location=fixed:3.866,11.518')).toEqual({ type: 'fixed', coords: [3.866, 11.518] });
+  expect(locationSpecFromSearch('?location=replay:/drive.gpx&location-rate=5'))
+      .toEqual({ type: 'replay', url: '/drive.gpx', rate: 5 });
+  expect(locationSpecFromSearch('?location=fixed:north')).toEqual({ type: 'browser' });
+});
+
+test('production builds and other sites cannot override the location', () => {
+  expect(locationSpecFromSearch('?location=fixed:3.866,11.518', { production: true })).toEqual({ type: 'browser' });
+  expect(locationSpecFromSearch('?location=replay:/drive.gpx', { production: true })).toEqual({ type: 'browser' });
+
+  const origin = 'https://potholes.example';
+  expect(locationSpecFromSearch('?location=replay:https://evil.example/track.gpx', { origin })).toEqual({ type: 'browser' });
+  expect(locationSpecFromSearch('?location=replay:https://potholes.example/drive.gpx', { origin }))
+      .toEqual({ type: 'replay', url: 'https://potholes.example/drive.gpx', rate: 1 });
+  expect(locationSpecFromSearch('?location=replay:http://', { origin })).toEqual({ type: 'browser' });
+});
+
+test('a fixed source reports its position to each watcher', () => {
+  const source = createFixedLocationSource([3.866, 11.518]);
+  const seen = [];
+  source.watchPosition((position) => seen.push([position.coords.latitude, position.coords.longitude]));
+  const cleared = source.watchPosition(() => seen.push('cleared'));
+  source.clearWatch(cleared);
+
+  jest.runAllTimers();
+  expect(seen).toEqual([[3.866, 11.518]]);
+});
+
+test('a replay plays the track at its recorded pace, faster when asked', () => {
+  const source = createReplayLocationSource(drive, { rate: 2 });
+  const seen = [];
+  const id = source.watchPosition((position) => seen.push(position));
+
+  jest.advanceTimersByTime(0);
+  expect(seen).toHaveLength(1);
+  expect(seen[0].coords.speed).toBeCloseTo(10);
+
+  // Two track seconds per real second
+  jest.advanceTimersByTime(1000);
+  expect(source.progress().index).toBe(2);
+
+  source.setRate(10);
+  jest.advanceTimersByTime(500);
+  expect(source.progress().index).toBe(7);
+
+  // Nobody watching pauses playback
+  source.clearWatch(id);
+  jest.advanceTimersByTime(10000);
+  expect(source.progress().index).toBe(7);
+});
+
+test('a replay stops on the last fix unless it loops', () => {
+  const once = createReplayLocationSource(drive);
+  once.watchPosition(() => {});
+  jest.advanceTimersByTime(60000);
+  expect(once.progress()).toEqual({ index: 10, count: 11 });
+
+  const looping = createReplayLocationSource(drive, { loop: true });
+  looping.watchPosition(() => {});
+  jest.advanceTimersByTime(11000);
+  expect(looping.progress().index).toBe(0);
+});
+
+test('tracks without times are spaced at a driving pace', () => {
+  const [first, second] = timedFixes([{ coords: start }, { coords: destinationPoint(start, 0, 0.25) }]);
+  expect(first.time).toBe(0);
+  expect(second.time).toBeCloseTo(30000, -2);
+  expect(second.speed).toBeCloseTo(30);
+});
+
+test('reads GPX tracks, trip traces and GeoJSON lines', () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>
+  <trkpt lat="3.848" lon="11.502"><time>2025-06-01T08:00:00Z</time></trkpt>
+  <trkpt lat="3.849" lon="11.502"><time>2025-06-01T08:00:10Z</time></trkpt>
+  <trkpt lat="3.850" lon="11.502"/>
+</trkseg></trk></gpx>`;
+  expect(parseLocationTrack(gpx)).toEqual([
+    { time: Date.parse('2025-06-01T08:00:00Z'), coords: [3.848, 11.502] },
+    { time: Date.parse('2025-06-01T08:00:10Z'), coords: [3.849, 11.502] },
+    { time: null, coords: [3.85, 11.502] },
+  ]);
+
+  expect(parseLocationTrack(JSON.stringify({ startedAt: 0, fixes: drive, samples: [] }))).toEqual(drive);
+
+  const line = { type: 'LineString', coordinates: [[11.502, 3.848], [11.502, 3.849]] };
+  expect(parseLocationTrack(JSON.stringify(line)).map((fix) => fix.coords)).toEqual([[3.848, 11.502], [3.849, 11.502]]);
+
+  expect(() => parseLocationTrack('{"fixes": []}')).toThrow('Track has no positions to replay');
+});
+
+test('a replayed drive can feed the trip recorder like the device would', () => {
+  const source = createReplayLocationSource(drive);
+  const recorder = createTripRecorder({ startedAt: drive[0].time });
+  let fixes = 0;
+  source.watchPosition((position) => {
+    const time = drive[0].time + fixes * 1000;
+    fixes += 1;
+    recorder.addFix({ time, coords: [position.coords.latitude, position.coords.longitude] });
+  });
+
+  jest.runAllTimers();
+  expect(fixes).toBe(11);
+  expect(recorder.summary().distance).toBeCloseTo(0.1, 3);
+});
@@ -0,0 +1,45 @@
+// Grid-based marker clustering. Points are projected to pixels at the current
+// zoom and bucketed into square cells; each non-empty cell becomes a cluster.
+// Using absolute pixel coordinates keeps clusters stable while panning.
+import { SEVERITIES } from './potholes';
+import { boundsOf, isInBounds } from './geo';
+
+// Worst severity among the given potholes
+export function worstSeverity(potholes) {
+  return SEVERITIES.find((severity) => potholes.some((p) => p.severity === severity)) || 'low';
+}
+
+// Cluster the potholes that fall inside `bounds`. `project` maps [lat, lng] to
+// [x, y] pixels at the current zoom. From `maxClusterZoom` on every pothole is
+// returned on its own.
+export function clusterMarkers(potholes, { bounds, zoom, project, cellSize = 60, maxClusterZoom = 16 }) {
+  const visible = bounds ? potholes.filter((p) => isInBounds(p.coords, bounds)) : potholes;
+
+  if (zoom >= maxClusterZoom) {
+    return visible.map((pothole) => ({ key: pothole.id, coords: pothole.coords, potholes: [pothole] }));
+  }
+
+  const cells = new Map();
+  visible.forEach((pothole) => {
+    const [x, y] = project(pothole.coords);
+    const key = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(pothole);
+  });
+
+  return Array.from(cells, ([key, members]) => {
+    if (members.length === 1) {
+      return { key: members[0].id, coords: members[0].coords, potholes: members };
+    }
+    return {
+      key: `cluster-${zoom}-${key}`,
+      coords: [
+        members.reduce((sum, p) => sum + p.coords[0], 0) / members.length,
+        members.reduce((sum, p) => sum + p.coords[1], 0) / members.length,
+      ],
+      potholes: members,
+      severity: worstSeverity(members),
+      bounds: boundsOf(members.map((p) => p.coords)),
+    };
+  });
+}
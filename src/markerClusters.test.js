@@ -0,0 +1,33 @@
+import { clusterMarkers } from './markerClusters';
+
+// 1 pixel per 0.001 degree keeps the arithmetic readable
+const project = ([lat, lng]) => [lng * 1000, -lat * 1000];
+
+function pothole(id, coords, severity = 'low') {
+  return { id, coords, severity };
+}
+
+const potholes = [
+  pothole('a', [3.8651, 11.5012], 'low'),
+  pothole('b', [3.8653, 11.5014], 'high'),
+  pothole('c', [3.8655, 11.5016], 'medium'),
+  pothole('d', [3.9500, 11.6000], 'medium'),
+  pothole('far', [4.5000, 12.0000], 'high'),
+];
+const bounds = [[3.8, 11.4], [4.0, 11.7]];
+
+test('groups nearby potholes and badges the cluster with the worst severity', () => {
+  const clusters = clusterMarkers(potholes, { bounds, zoom: 12, project, cellSize: 10 });
+
+  expect(clusters).toHaveLength(2);
+  const cluster = clusters.find((c) => c.potholes.length === 3);
+  expect(cluster.severity).toBe('high');
+  expect(cluster.bounds).toEqual([[3.8651, 11.5012], [3.8655, 11.5016]]);
+  expect(clusters.find((c) => c.potholes.length === 1).key).toBe('d');
+});
+
+test('skips potholes outside the viewport', () => {
+  const clusters = clusterMarkers(potholes, { bounds, zoom: 17, project });
+
+  expect(clusters.map((c) => c.key)).toEqual(['a', 'b', 'c', 'd']);
+});
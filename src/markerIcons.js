@@ -0,0 +1,126 @@
+// Map marker icons drawn as inline SVG: bundled with the app (no hotlinked
+// images, so they work offline), sharp on high-density screens and in any colour.
+import L from 'leaflet';
+
+// Marker colours by role; change them with setMarkerColors
+export const markerColors = {
+  user: '#43a047',
+  destination: '#e53935',
+  place: '#1e88e5',
+  stop: '#e53935',
+};
+
+export const severityColors = {
+  high: '#ff4444',
+  medium: '#ff9800',
+  low: '#ffeb3b'
+};
+
+// Icons are shared by every marker of the same kind instead of being rebuilt on each render
+const iconCache = new Map();
+
+function cachedIcon(key, create) {
+  if (!iconCache.has(key)) iconCache.set(key, create());
+  return iconCache.get(key);
+}
+
+export function setMarkerColors(colors) {
+  Object.assign(markerColors, colors);
+  iconCache.clear();
+  applyDefaultIcon();
+}
+
+// Teardrop pin, 2:3 aspect ratio, with a white dot or a short label in its head
+export function pinSvg(color, { label = '', height = 36 } = {}) {
+  const width = (height * 2) / 3;
+  const head = label
+      ? `<text x="12" y="16" text-anchor="middle" font-family="sans-serif" font-size="11" font-weight="bold" fill="white">${label}</text>`
+      : '<circle cx="12" cy="12" r="4.5" fill="white"/>';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 24 36">` +
+      '<path d="M12 1C6 1 1 6 1 12c0 8.3 11 22.5 11 22.5S23 20.3 23 12C23 6 18 1 12 1z" ' +
+      `fill="${color}" stroke="white" stroke-width="2"/>${head}</svg>`;
+}
+
+export function createPinIcon({ color, label = '', height = 36 }) {
+  const width = (height * 2) / 3;
+  return new L.DivIcon({
+    html: pinSvg(color, { label, height }),
+    className: 'svg-marker',
+    iconSize: [width, height],
+    iconAnchor: [width / 2, height],
+    popupAnchor: [0, -height + 4]
+  });
+}
+
+// Pin for one of the roles in markerColors: 'user', 'destination', 'place' or 'stop'
+export function markerIcon(role) {
+  return cachedIcon(`pin-${role}`, () => createPinIcon({ color: markerColors[role] || markerColors.place }));
+}
+
+// The user's pin, with the travel mode's icon in its head
+export function userIcon(label = '') {
+  return cachedIcon(`user-${label}`, () => createPinIcon({ color: markerColors.user, label }));
+}
+
+// Numbered pin for each stop of a multi-stop trip
+export function stopIcon(number) {
+  return cachedIcon(`stop-${number}`, () => createPinIcon({ color: markerColors.stop, label: String(number) }));
+}
+
+export function getPotholeIcon(severity, pending = false) {
+  return cachedIcon(`pothole-${severity}-${pending}`, () => new L.DivIcon({
+    html: `<div style="
+      background: ${severityColors[severity]};
+      border: 2px ${pending ? 'dashed #333' : 'solid white'};
+      opacity: ${pending ? 0.7 : 1};
+      border-radius: 50%;
+      width: 20px;
+      height: 20px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 12px;
+      color: white;
+      font-weight: bold;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+      animation: pulse 2s infinite;
+    ">${pending ? '⏳' : '⚠️'}</div>`,
+    className: 'pothole-marker',
+    iconSize: [20, 20],
+    iconAnchor: [10, 10],
+    popupAnchor: [0, -10]
+  }));
+}
+
+// Cluster badges are cached per severity and count
+export function getClusterIcon(severity, count) {
+  const size = count < 10 ? 30 : count < 100 ? 36 : 44;
+  return cachedIcon(`cluster-${severity}-${count}`, () => new L.DivIcon({
+    html: `<div style="
+      background: ${severityColors[severity]};
+      border: 3px solid rgba(255,255,255,0.8);
+      border-radius: 50%;
+      width: ${size}px;
+      height: ${size}px;
+      box-sizing: border-box;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      font-size: 12px;
+      color: ${severity === 'low' ? '#333' : 'white'};
+      font-weight: bold;
+      box-shadow: 0 2px 6px rgba(0,0,0,0.35);
+    ">${count}</div>`,
+    className: 'pothole-cluster',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  }));
+}
+
+// Markers created without an icon (e.g. by plugins) use the bundled pin
+// instead of Leaflet's default PNG, which it would try to load from a guessed URL
+function applyDefaultIcon() {
+  L.Marker.prototype.options.icon = markerIcon('place');
+}
+
+applyDefaultIcon();
@@ -0,0 +1,31 @@
+import L from 'leaflet';
+import { markerColors, markerIcon, pinSvg, setMarkerColors, stopIcon, userIcon } from './markerIcons';
+
+afterEach(() => {
+  setMarkerColors({ user: '#43a047' });
+});
+
+test('pins are inline SVG in the role colour, anchored at the tip', () => {
+  const icon = markerIcon('user');
+
+  expect(icon.options.html).toContain(`fill="${markerColors.user}"`);
+  expect(icon.options.html).not.toMatch(/https?:\/\/(?!www\.w3\.org)/);
+  expect(icon.options.iconAnchor).toEqual([12, 36]);
+  expect(markerIcon('user')).toBe(icon);
+});
+
+test('stop pins carry their number and colours can be themed', () => {
+  expect(stopIcon(3).options.html).toContain('>3</text>');
+  expect(userIcon('🚶').options.html).toContain('>🚶</text>');
+  expect(userIcon('🚶').options.html).toContain(`fill="${markerColors.user}"`);
+  expect(pinSvg('#123456')).toContain('fill="#123456"');
+
+  const before = markerIcon('user');
+  setMarkerColors({ user: '#000000' });
+  expect(markerIcon('user')).not.toBe(before);
+  expect(markerIcon('user').options.html).toContain('fill="#000000"');
+});
+
+test('markers without an explicit icon use the bundled pin', () => {
+  expect(L.Marker.prototype.options.icon).toBe(markerIcon('place'));
+});
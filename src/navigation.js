@@ -0,0 +1,96 @@
+// Turn-by-turn navigation: where the user is along the planned route, what the
+// next maneuver is, when they've left the route, and when to announce turns.
+import { calculateDistance, pointToPolylineDistance } from './geo';
+
+// Further than this from the route line counts as off route (km)
+export const OFF_ROUTE_DISTANCE = 0.05;
+
+// Distances before a maneuver at which it is announced (km)
+export const ANNOUNCE_DISTANCES = [0.5, 0.2, 0.05];
+
+// Within this distance of the end of the route counts as arrived (km)
+export const ARRIVAL_DISTANCE = 0.03;
+
+// Distance from the start of the route to each of its coordinates
+export function cumulativeDistances(coordinates) {
+  const distances = [0];
+  for (let i = 1; i < coordinates.length; i++) {
+    distances.push(distances[i - 1] + calculateDistance(coordinates[i - 1], coordinates[i]));
+  }
+  return distances;
+}
+
+// Progress of `position` along `route` ({ coordinates, time, instructions })
+export function trackProgress(route, position, cumulative = cumulativeDistances(route.coordinates)) {
+  const { distance, segmentIndex, t } = pointToPolylineDistance(position, route.coordinates);
+  const total = cumulative[cumulative.length - 1];
+  const segmentStart = cumulative[Math.max(0, segmentIndex)];
+  const segmentLength = (cumulative[segmentIndex + 1] ?? segmentStart) - segmentStart;
+  const travelled = segmentStart + segmentLength * t;
+  const distanceRemaining = Math.max(0, total - travelled);
+
+  // Next maneuver still ahead of us (a few metres of slack so we don't flicker past it)
+  const instructions = route.instructions || [];
+  const nextInstructionIndex = instructions.findIndex(
+      (instruction) => cumulative[instruction.pointIndex] > travelled + 0.005
+  );
+  const distanceToNext = nextInstructionIndex >= 0
+      ? cumulative[instructions[nextInstructionIndex].pointIndex] - travelled
+      : distanceRemaining;
+
+  return {
+    distanceFromRoute: distance,
+    travelled,
+    distanceRemaining,
+    timeRemaining: total > 0 ? route.time * (distanceRemaining / total) : 0,
+    nextInstructionIndex,
+    distanceToNext,
+    arrived: distanceRemaining <= ARRIVAL_DISTANCE,
+  };
+}
+
+// Off route when further from the line than the GPS accuracy can explain
+export function isOffRoute(progress, accuracy = 0) {
+  return progress.distanceFromRoute > Math.max(OFF_ROUTE_DISTANCE, (accuracy / 1000) * 1.5);
+}
+
+// "350 m" / "1.2 km"
+export function formatDistance(km) {
+  // Round first so 995 m and up reads "1.0 km", not "1000 m"
+  const metres = Math.round((km * 1000) / 10) * 10;
+  if (metres < 1000) return `${metres} m`;
+  return `${km.toFixed(1)} km`;
+}
+
+// Announcement due for the upcoming maneuver, or null. `announced` is a Set of
+// keys already spoken; the returned key should be added to it.
+export function dueAnnouncement(progress, instructions, announced) {
+  const index = progress.nextInstructionIndex;
+  if (index < 0) return null;
+
+  const threshold = ANNOUNCE_DISTANCES
+      .filter((distance) => progress.distanceToNext <= distance)
+      .pop();
+  if (threshold === undefined) return null;
+
+  const key = `${index}:${threshold}`;
+  if (announced.has(key)) return null;
+
+  const text = instructions[index].text;
+  const closest = ANNOUNCE_DISTANCES[ANNOUNCE_DISTANCES.length - 1];
+  return {
+    key,
+    // Keys for the longer distances too, so a late fix doesn't trigger them afterwards
+    skipKeys: ANNOUNCE_DISTANCES.filter((distance) => distance > threshold).map((d) => `${index}:${d}`),
+    text: threshold === closest
+        ? text
+        : `In ${formatDistance(threshold)}, ${text.charAt(0).toLowerCase()}${text.slice(1)}`,
+  };
+}
+
+// Speak a maneuver out loud where the browser supports speech synthesis
+export function speak(text) {
+  if (typeof window === 'undefined' || !window.speechSynthesis || !window.SpeechSynthesisUtterance) return;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(new window.SpeechSynthesisUtterance(text));
+}
@@ -0,0 +1,54 @@
+import { dueAnnouncement, formatDistance, isOffRoute, trackProgress } from './navigation';
+
+// East along a street for ~1.1 km, then north for ~1.1 km
+const route = {
+  coordinates: [[3.850, 11.500], [3.850, 11.510], [3.860, 11.510]],
+  time: 10,
+  instructions: [
+    { text: 'Head east on Rue A', modifier: 'straight', pointIndex: 0 },
+    { text: 'Turn left onto Rue B', modifier: 'left', pointIndex: 1 },
+    { text: 'Arrive at your destination', modifier: 'arrive', pointIndex: 2 },
+  ],
+};
+
+test('tracks distance to the next maneuver and what is left of the route', () => {
+  const progress = trackProgress(route, [3.8501, 11.508]);
+
+  expect(progress.nextInstructionIndex).toBe(1);
+  expect(progress.distanceToNext).toBeCloseTo(0.222, 2);
+  expect(progress.distanceRemaining).toBeCloseTo(1.334, 2);
+  expect(progress.timeRemaining).toBeCloseTo(6, 0);
+  expect(progress.arrived).toBe(false);
+  expect(isOffRoute(progress)).toBe(false);
+});
+
+test('detects leaving the route, allowing for GPS accuracy', () => {
+  const progress = trackProgress(route, [3.8510, 11.505]); // ~110 m north of the street
+
+  expect(isOffRoute(progress)).toBe(true);
+  expect(isOffRoute(progress, 100)).toBe(false);
+});
+
+test('announces each maneuver once per distance threshold', () => {
+  const announced = new Set();
+  const at180m = trackProgress(route, [3.850, 11.5084]);
+
+  const first = dueAnnouncement(at180m, route.instructions, announced);
+  expect(first.text).toBe('In 200 m, turn left onto Rue B');
+  announced.add(first.key);
+  first.skipKeys.forEach((key) => announced.add(key));
+
+  expect(dueAnnouncement(at180m, route.instructions, announced)).toBeNull();
+  expect(dueAnnouncement(trackProgress(route, [3.850, 11.5085]), route.instructions, announced)).toBeNull();
+  expect(dueAnnouncement(trackProgress(route, [3.850, 11.5097]), route.instructions, announced).text)
+      .toBe('Turn left onto Rue B');
+});
+
+test('formats distances for the panel', () => {
+  expect(formatDistance(0.234)).toBe('230 m');
+  expect(formatDistance(2.46)).toBe('2.5 km');
+  // Just under a kilometre rounds up into kilometres
+  expect(formatDistance(0.994)).toBe('990 m');
+  expect(formatDistance(0.999)).toBe('1.0 km');
+  expect(formatDistance(1)).toBe('1.0 km');
+});
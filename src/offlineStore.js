@@ -0,0 +1,98 @@
+// Small promise wrapper around IndexedDB for data the app keeps across
+// sessions and connectivity gaps: the pothole dataset, the report outbox and
+// the downloaded map regions.
+
+const DB_NAME = 'cvbox';
+const DB_VERSION = 1;
+
+export const STORES = {
+  potholes: 'potholes',
+  outbox: 'outbox',
+  regions: 'regions',
+};
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.values(STORES).forEach((name) => {
+        if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+      });
+    };
+    dbPromise = promisify(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+}
+
+// Run `work(store)` in a transaction and resolve once it has committed
+async function withStore(name, mode, work) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    let result;
+    Promise.resolve(work(transaction.objectStore(name))).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export function getAll(name) {
+  return withStore(name, 'readonly', (store) => promisify(store.getAll()));
+}
+
+export function put(name, value) {
+  return withStore(name, 'readwrite', (store) => {
+    store.put(value);
+  });
+}
+
+export function remove(name, id) {
+  return withStore(name, 'readwrite', (store) => {
+    store.delete(id);
+  });
+}
+
+// Replace everything in the store with `values` in one transaction
+export function replaceAll(name, values) {
+  return withStore(name, 'readwrite', (store) => {
+    store.clear();
+    values.forEach((value) => store.put(value));
+  });
+}
+
+// A { getAll, put, remove } view of one store, as used by the outbox
+export function objectStore(name) {
+  return {
+    getAll: () => getAll(name),
+    put: (value) => put(name, value),
+    remove: (id) => remove(name, id),
+  };
+}
+
+// Last known pothole dataset, so the map has data when starting offline
+export function loadCachedPotholes() {
+  return getAll(STORES.potholes);
+}
+
+export function saveCachedPotholes(potholes) {
+  return replaceAll(STORES.potholes, potholes);
+}
@@ -0,0 +1,140 @@
+// Map areas saved for offline use. Tiles go into a Cache Storage cache that the
+// service worker answers tile requests from; the list of saved areas lives in IndexedDB.
+import { STORES, getAll, put, remove } from './offlineStore';
+
+// Shared with the service worker, which serves tiles from this cache first
+export const OFFLINE_TILE_CACHE = 'offline-tiles';
+
+// Typical size of an OpenStreetMap raster tile in a city, used for estimates (bytes)
+export const AVERAGE_TILE_BYTES = 18 * 1024;
+
+export function lngToTileX(lng, zoom) {
+  return Math.floor(((lng + 180) / 360) * 2 ** zoom);
+}
+
+export function latToTileY(lat, zoom) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** zoom);
+}
+
+// Tile index ranges covering `bounds` ([[south, west], [north, east]]) at each zoom
+function tileRanges([[south, west], [north, east]], minZoom, maxZoom) {
+  const ranges = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    ranges.push({
+      z,
+      minX: lngToTileX(west, z),
+      maxX: lngToTileX(east, z),
+      // Tile rows count down from the north
+      minY: latToTileY(north, z),
+      maxY: latToTileY(south, z),
+    });
+  }
+  return ranges;
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  return tileRanges(bounds, minZoom, maxZoom)
+      .reduce((total, r) => total + (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1), 0);
+}
+
+export function tilesInBounds(bounds, minZoom, maxZoom) {
+  const tiles = [];
+  tileRanges(bounds, minZoom, maxZoom).forEach(({ z, minX, maxX, minY, maxY }) => {
+    for (let x = minX; x <= maxX; x++) {
+      for (let y = minY; y <= maxY; y++) tiles.push({ z, x, y });
+    }
+  });
+  return tiles;
+}
+
+export function estimateRegion(bounds, minZoom, maxZoom) {
+  const tiles = countTiles(bounds, minZoom, maxZoom);
+  return { tiles, bytes: tiles * AVERAGE_TILE_BYTES };
+}
+
+// URL of a tile, picking the subdomain the same way Leaflet does so cached tiles match its requests
+export function tileUrl(template, { z, x, y }, subdomains = 'abc', retina = false) {
+  const s = subdomains ? subdomains[Math.abs(x + y) % subdomains.length] : '';
+  return template
+      .replace('{s}', s)
+      .replace('{z}', z)
+      .replace('{x}', x)
+      .replace('{y}', y)
+      .replace('{r}', retina ? '@2x' : '');
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+export function listRegions() {
+  return getAll(STORES.regions);
+}
+
+// Fetch every tile of the area into the offline cache and record the area.
+// `onProgress(done, total)` is called as tiles arrive; abort with `signal`.
+export async function downloadRegion({
+  name,
+  bounds,
+  minZoom,
+  maxZoom,
+  urlTemplate,
+  subdomains,
+  retina = false,
+  signal,
+  onProgress,
+  concurrency = 4,
+}) {
+  const urls = tilesInBounds(bounds, minZoom, maxZoom).map((tile) => tileUrl(urlTemplate, tile, subdomains, retina));
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  let done = 0;
+  let bytes = 0;
+  let failed = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < urls.length) {
+      if (signal && signal.aborted) throw new DOMException('Download cancelled', 'AbortError');
+      const url = urls[next++];
+      try {
+        const response = await fetch(url, { mode: 'cors', signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        bytes += Number(response.headers.get('content-length')) || AVERAGE_TILE_BYTES;
+        await cache.put(url, response);
+      } catch (error) {
+        if (signal && signal.aborted) throw error;
+        failed += 1;
+      }
+      done += 1;
+      if (onProgress) onProgress(done, urls.length);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, urls.length) }, worker));
+
+  const region = {
+    id: `region-${Date.now().toString(36)}`,
+    name,
+    bounds,
+    minZoom,
+    maxZoom,
+    urls,
+    tiles: urls.length - failed,
+    failed,
+    bytes,
+    savedAt: new Date().toISOString(),
+  };
+  await put(STORES.regions, region);
+  return region;
+}
+
+// Forget an area, keeping tiles that another saved area still needs
+export async function deleteRegion(region) {
+  const others = (await listRegions()).filter((other) => other.id !== region.id);
+  const stillNeeded = new Set(others.flatMap((other) => other.urls));
+  const cache = await caches.open(OFFLINE_TILE_CACHE);
+  await Promise.all(region.urls.filter((url) => !stillNeeded.has(url)).map((url) => cache.delete(url)));
+  await remove(STORES.regions, region.id);
+}
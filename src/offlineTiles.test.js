@@ -0,0 +1,27 @@
+import { countTiles, estimateRegion, latToTileY, lngToTileX, tileUrl, tilesInBounds } from './offlineTiles';
+
+// Central Yaoundé, roughly the area around the Marché Central
+const bounds = [[3.860, 11.505], [3.875, 11.525]];
+
+test('converts coordinates to slippy map tile indices', () => {
+  expect(lngToTileX(0, 1)).toBe(1);
+  expect(latToTileY(0, 1)).toBe(1);
+  expect(lngToTileX(11.502, 12)).toBe(2178);
+  expect(latToTileY(3.848, 12)).toBe(2004);
+});
+
+test('counts the tiles of an area across zoom levels', () => {
+  const tiles = tilesInBounds(bounds, 14, 16);
+
+  expect(tiles).toHaveLength(countTiles(bounds, 14, 16));
+  expect(new Set(tiles.map((t) => t.z))).toEqual(new Set([14, 15, 16]));
+  // Each zoom level has at least as many tiles as the one above it
+  expect(countTiles(bounds, 16, 16)).toBeGreaterThanOrEqual(countTiles(bounds, 15, 15));
+  expect(estimateRegion(bounds, 14, 16).bytes).toBeGreaterThan(0);
+});
+
+test('builds tile URLs with the same subdomain Leaflet would use', () => {
+  const template = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}{r}.png';
+  expect(tileUrl(template, { z: 12, x: 2178, y: 2004 })).toBe('https://a.tile.openstreetmap.org/12/2178/2004.png');
+  expect(tileUrl(template, { z: 12, x: 2179, y: 2004 })).toBe('https://b.tile.openstreetmap.org/12/2179/2004.png');
+});
@@ -0,0 +1,60 @@
+// Pothole reports and votes made without a connection wait in the
+// outbox (IndexedDB) and are sent, oldest first, once the app is back online.
+import { STORES, objectStore } from './offlineStore';
+
+// Tags an error from fetch() itself, which means the request never got an answer
+export function markNetworkError(error) {
+  error.network = true;
+  return error;
+}
+
+// A failed send worth retrying later, as opposed to the server rejecting the report
+// or a bug in the client. Only errors tagged by markNetworkError() count.
+export function isNetworkError(error) {
+  return (typeof navigator !== 'undefined' && navigator.onLine === false) || Boolean(error && error.network);
+}
+
+function send(client, entry) {
+  switch (entry.type) {
+    case 'confirm':
+      return client.confirmPothole(entry.potholeId);
+    case 'fixed':
+      return client.reportFixed(entry.potholeId);
+    default:
+      return client.submitReport(entry.report);
+  }
+}
+
+// `store` is anything with promise-returning getAll/put/remove; IndexedDB by default
+export function createOutbox(store = objectStore(STORES.outbox)) {
+  const list = async () => (await store.getAll())
+      .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+
+  return {
+    list,
+
+    // Entries are { id, type: 'report', report } or { id, type: 'confirm' | 'fixed', potholeId }
+    add(entry) {
+      return store.put({ ...entry, queuedAt: new Date().toISOString() });
+    },
+
+    // Send everything queued through `client`. Stops at the first network
+    // failure; entries the server rejects are dropped and passed to `onFailed`.
+    async flush(client, { onSent, onFailed } = {}) {
+      let sent = 0;
+      for (const entry of await list()) {
+        try {
+          const record = await send(client, entry);
+          await store.remove(entry.id);
+          sent += 1;
+          if (onSent) onSent(entry, record);
+        } catch (error) {
+          if (isNetworkError(error)) break;
+          await store.remove(entry.id);
+          if (onFailed) onFailed(entry, error);
+        }
+      }
+      return sent;
+    },
+  };
+}
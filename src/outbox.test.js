@@ -0,0 +1,67 @@
+import { createOutbox, markNetworkError } from './outbox';
+
+function memoryStore() {
+  const entries = new Map();
+  return {
+    getAll: async () => Array.from(entries.values()),
+    put: async (entry) => {
+      entries.set(entry.id, entry);
+    },
+    remove: async (id) => {
+      entries.delete(id);
+    },
+  };
+}
+
+test('sends queued reports oldest first and empties the outbox', async () => {
+  const outbox = createOutbox(memoryStore());
+  await outbox.add({ id: 'local-1', type: 'report', report: { severity: 'high' } });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await outbox.add({ id: 'confirm-1', type: 'confirm', potholeId: 'yde-0001' });
+
+  const client = {
+    submitReport: jest.fn().mockResolvedValue({ id: 'srv-1' }),
+    confirmPothole: jest.fn().mockResolvedValue(null),
+  };
+  const onSent = jest.fn();
+
+  await expect(outbox.flush(client, { onSent })).resolves.toBe(2);
+  expect(onSent.mock.calls.map(([entry, record]) => [entry.id, record])).toEqual([
+    ['local-1', { id: 'srv-1' }],
+    ['confirm-1', null],
+  ]);
+  expect(await outbox.list()).toHaveLength(0);
+});
+
+test('keeps entries while the network is down and drops ones the server rejects', async () => {
+  const outbox = createOutbox(memoryStore());
+  await outbox.add({ id: 'local-1', type: 'report', report: {} });
+
+  const offline = { submitReport: jest.fn().mockRejectedValue(markNetworkError(new TypeError('Failed to fetch'))) };
+  await expect(outbox.flush(offline)).resolves.toBe(0);
+  expect(await outbox.list()).toHaveLength(1);
+
+  const rejecting = { submitReport: jest.fn().mockRejectedValue(new Error('Report server answered HTTP 400')) };
+  const onFailed = jest.fn();
+  await outbox.flush(rejecting, { onFailed });
+  expect(onFailed).toHaveBeenCalledTimes(1);
+  expect(await outbox.list()).toHaveLength(0);
+});
+
+test('drops an entry the client fails on with a bug instead of blocking the queue', async () => {
+  const outbox = createOutbox(memoryStore());
+  await outbox.add({ id: 'local-1', type: 'report', report: {} });
+  await new Promise((resolve) => setTimeout(resolve, 2));
+  await outbox.add({ id: 'confirm-1', type: 'confirm', potholeId: 'yde-0001' });
+
+  const client = {
+    submitReport: jest.fn().mockRejectedValue(new TypeError("Cannot read properties of undefined (reading 'coords')")),
+    confirmPothole: jest.fn().mockResolvedValue(null),
+  };
+  const onFailed = jest.fn();
+
+  await expect(outbox.flush(client, { onFailed })).resolves.toBe(1);
+  expect(onFailed).toHaveBeenCalledTimes(1);
+  expect(client.confirmPothole).toHaveBeenCalledWith('yde-0001');
+  expect(await outbox.list()).toHaveLength(0);
+});
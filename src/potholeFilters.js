@@ -0,0 +1,94 @@
+// Pothole filters: which severities, how recently updated, how many
+// confirmations and which stage of repair to show. The active filter is kept
+// in the page URL so a filtered map can be reloaded or shared.
+import { potholeStatus, SEVERITIES } from './potholes';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// "Last updated" windows in days; null means any age
+export const AGE_WINDOWS = [
+  { days: null, label: 'Any time' },
+  { days: 7, label: 'Past week' },
+  { days: 30, label: 'Past month' },
+  { days: 90, label: 'Past 3 months' },
+  { days: 365, label: 'Past year' },
+];
+
+export const MIN_REPORT_OPTIONS = [1, 2, 5, 10];
+
+// The filter groups lifecycle statuses the way road users think of them
+export const STATUS_GROUPS = {
+  open: { label: 'Open', statuses: ['reported', 'verified'] },
+  in_repair: { label: 'In repair', statuses: ['scheduled'] },
+  fixed: { label: 'Fixed or expired', statuses: ['repaired', 'closed'] },
+};
+
+export function statusGroup(pothole) {
+  const status = potholeStatus(pothole);
+  return Object.keys(STATUS_GROUPS).find((group) => STATUS_GROUPS[group].statuses.includes(status));
+}
+
+export const defaultFilter = {
+  severities: SEVERITIES,
+  maxAgeDays: null,
+  minReports: 1,
+  // Repaired and expired potholes are history, not hazards
+  statuses: ['open', 'in_repair'],
+};
+
+export function matchesFilter(pothole, filter, now = Date.now()) {
+  // The user's own reports that haven't reached the server yet always show
+  if (pothole.pending || pothole.queued) return true;
+  return filter.severities.includes(pothole.severity) &&
+      filter.statuses.includes(statusGroup(pothole)) &&
+      pothole.reportCount >= filter.minReports &&
+      (filter.maxAgeDays === null || now - Date.parse(pothole.updatedAt) <= filter.maxAgeDays * DAY);
+}
+
+export function filterPotholes(potholes, filter, now = Date.now()) {
+  return potholes.filter((pothole) => matchesFilter(pothole, filter, now));
+}
+
+// Potholes per severity that pass the rest of the filter, for the legend counts
+export function countBySeverity(potholes, filter, now = Date.now()) {
+  const counts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  filterPotholes(potholes, { ...filter, severities: SEVERITIES }, now).forEach((pothole) => {
+    counts[pothole.severity] += 1;
+  });
+  return counts;
+}
+
+export function isDefaultFilter(filter) {
+  return filterToParams(filter).toString() === '';
+}
+
+function sameSet(a, b) {
+  return a.length === b.length && a.every((item) => b.includes(item));
+}
+
+// Only the parts that differ from the default go into the URL, e.g. ?severity=high,medium&updated=30
+export function filterToParams(filter) {
+  const params = new URLSearchParams();
+  if (!sameSet(filter.severities, defaultFilter.severities)) params.set('severity', filter.severities.join(','));
+  if (filter.maxAgeDays !== null) params.set('updated', String(filter.maxAgeDays));
+  if (filter.minReports > 1) params.set('reports', String(filter.minReports));
+  if (!sameSet(filter.statuses, defaultFilter.statuses)) params.set('status', filter.statuses.join(','));
+  return params;
+}
+
+function listParam(params, name, allowed, fallback) {
+  if (!params.has(name)) return fallback;
+  return params.get(name).split(',').filter((value) => allowed.includes(value));
+}
+
+// Read a filter back from URL parameters, ignoring anything unrecognised
+export function filterFromParams(params) {
+  const maxAgeDays = Number(params.get('updated'));
+  const minReports = Number(params.get('reports'));
+  return {
+    severities: listParam(params, 'severity', SEVERITIES, defaultFilter.severities),
+    maxAgeDays: maxAgeDays > 0 ? maxAgeDays : null,
+    minReports: Number.isInteger(minReports) && minReports > 1 ? minReports : 1,
+    statuses: listParam(params, 'status', Object.keys(STATUS_GROUPS), defaultFilter.statuses),
+  };
+}
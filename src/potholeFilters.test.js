@@ -0,0 +1,55 @@
+import {
+  countBySeverity,
+  defaultFilter,
+  filterFromParams,
+  filterPotholes,
+  filterToParams,
+} from './potholeFilters';
+
+const now = Date.parse('2025-07-01T00:00:00Z');
+
+function pothole(id, severity, { reportCount = 1, updatedAt = '2025-06-28T00:00:00Z', ...rest } = {}) {
+  return { id, coords: [3.86, 11.51], severity, reportCount, reportedAt: updatedAt, updatedAt, ...rest };
+}
+
+const potholes = [
+  pothole('a', 'high', { reportCount: 12 }),
+  pothole('b', 'medium', { updatedAt: '2025-04-01T00:00:00Z' }),
+  pothole('c', 'low', { reportCount: 3, status: 'scheduled' }),
+  pothole('d', 'high', { status: 'repaired' }),
+  pothole('e', 'low', { pending: true }),
+];
+
+const ids = (list) => list.map((p) => p.id);
+
+test('the default filter shows everything except fixed potholes', () => {
+  expect(ids(filterPotholes(potholes, defaultFilter, now))).toEqual(['a', 'b', 'c', 'e']);
+});
+
+test('filters by severity, age, confirmations and status', () => {
+  expect(ids(filterPotholes(potholes, { ...defaultFilter, severities: ['high'] }, now))).toEqual(['a', 'e']);
+  expect(ids(filterPotholes(potholes, { ...defaultFilter, maxAgeDays: 30 }, now))).toEqual(['a', 'c', 'e']);
+  expect(ids(filterPotholes(potholes, { ...defaultFilter, minReports: 2 }, now))).toEqual(['a', 'c', 'e']);
+  expect(ids(filterPotholes(potholes, { ...defaultFilter, statuses: ['fixed'] }, now))).toEqual(['d', 'e']);
+});
+
+test('counts severities that pass the rest of the filter', () => {
+  const filter = { ...defaultFilter, severities: ['high'], minReports: 2 };
+
+  expect(countBySeverity(potholes, filter, now)).toEqual({ high: 1, medium: 0, low: 2 });
+});
+
+test('round-trips through URL parameters and leaves the default filter out', () => {
+  const filter = { severities: ['high', 'medium'], maxAgeDays: 30, minReports: 5, statuses: ['open'] };
+
+  expect(filterToParams(defaultFilter).toString()).toBe('');
+  expect(filterToParams(filter).toString()).toBe('severity=high%2Cmedium&updated=30&reports=5&status=open');
+  expect(filterFromParams(filterToParams(filter))).toEqual(filter);
+  expect(filterFromParams(new URLSearchParams(''))).toEqual(defaultFilter);
+});
+
+test('ignores unknown values in the URL', () => {
+  const filter = filterFromParams(new URLSearchParams('severity=high,huge&updated=soon&reports=-3&status='));
+
+  expect(filter).toEqual({ ...defaultFilter, severities: ['high'], statuses: [] });
+});
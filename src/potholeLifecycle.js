@@ -0,0 +1,107 @@
+// Pothole lifecycle: reported -> verified -> scheduled -> repaired -> closed.
+// Every transition is recorded with its time and who made it. Road users move
+// potholes along with "still there" and "fixed" votes, and reports nobody
+// confirms fade out and expire so the map doesn't fill up with stale hazards.
+import { potholeStatus } from './potholes';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Allowed moves from each status; anything else is a mistake by the caller
+export const TRANSITIONS = {
+  reported: ['verified', 'scheduled', 'repaired', 'closed'],
+  verified: ['scheduled', 'repaired', 'closed'],
+  scheduled: ['verified', 'repaired', 'closed'],
+  repaired: ['closed', 'reported'],
+  closed: ['reported'],
+};
+
+// Statuses in which a pothole is no longer on the road
+export const RESOLVED_STATUSES = ['repaired', 'closed'];
+
+export const defaultLifecycleOptions = {
+  // Reports (including confirmations) after which a pothole counts as verified
+  verifyReports: 3,
+  // "Fixed" votes after which a pothole counts as repaired
+  fixedVotes: 3,
+  // Days after its last update that an unverified report expires
+  expiryDays: 30,
+};
+
+export function canTransition(from, to) {
+  return TRANSITIONS[from].includes(to);
+}
+
+// Move a pothole to `status`, recording when, by whom and optionally why
+export function transitionPothole(pothole, status, { by, reason, now = new Date() }) {
+  const from = potholeStatus(pothole);
+  if (!canTransition(from, status)) {
+    throw new Error(`Pothole ${pothole.id} cannot go from ${from} to ${status}`);
+  }
+  const entry = { status, at: now.toISOString(), by };
+  if (reason) entry.reason = reason;
+  return {
+    ...pothole,
+    status,
+    statusHistory: [...(pothole.statusHistory || []), entry],
+  };
+}
+
+// A road user's vote: 'present' (still there) or 'fixed'. `votesSoFar` is how many
+// "fixed" votes the pothole already has; for a report merged with others, pass the
+// merged pothole's total so the threshold counts every report's votes.
+export function recordVote(pothole, vote, {
+  now = new Date(),
+  fixedVotes = defaultLifecycleOptions.fixedVotes,
+  votesSoFar = pothole.fixedVotes || 0,
+} = {}) {
+  const status = potholeStatus(pothole);
+  const updated = { ...pothole, updatedAt: now.toISOString() };
+
+  if (vote === 'present') {
+    updated.reportCount = pothole.reportCount + 1;
+    // Seeing the pothole again outweighs earlier claims that it was fixed
+    updated.fixedVotes = 0;
+    return RESOLVED_STATUSES.includes(status)
+        ? transitionPothole(updated, 'reported', { by: 'community', reason: 'reported again', now })
+        : updated;
+  }
+  if (vote === 'fixed') {
+    updated.fixedVotes = (pothole.fixedVotes || 0) + 1;
+    return votesSoFar + 1 >= fixedVotes && !RESOLVED_STATUSES.includes(status)
+        ? transitionPothole(updated, 'repaired', { by: 'community', reason: 'reported fixed', now })
+        : updated;
+  }
+  throw new Error(`Unknown pothole vote: ${vote}`);
+}
+
+// How much of an unverified report's lifetime is left: 1 when fresh, 0 when expired.
+// Verified potholes and the user's own unsent reports don't fade.
+export function freshness(pothole, { now = Date.now(), expiryDays = defaultLifecycleOptions.expiryDays } = {}) {
+  if (potholeStatus(pothole) !== 'reported' || pothole.pending || pothole.queued) return 1;
+  const age = now - Date.parse(pothole.updatedAt);
+  return Math.min(1, Math.max(0, 1 - age / (expiryDays * DAY)));
+}
+
+// Bring potholes up to date: enough reports verify a pothole, and unverified
+// reports past their expiry are closed. Adds `freshness` for fading markers.
+export function applyLifecycle(potholes, options = {}) {
+  const { verifyReports, expiryDays } = { ...defaultLifecycleOptions, ...options };
+  const now = options.now ?? Date.now();
+
+  return potholes.map((pothole) => {
+    let current = { ...pothole, status: potholeStatus(pothole) };
+    if (current.status === 'reported' && current.reportCount >= verifyReports) {
+      current = transitionPothole(current, 'verified', {
+        by: 'community',
+        reason: `${current.reportCount} reports`,
+        now: new Date(current.updatedAt)
+      });
+    }
+    const remaining = freshness(current, { now, expiryDays });
+    if (remaining === 0) {
+      const expiredAt = new Date(Date.parse(current.updatedAt) + expiryDays * DAY);
+      current = transitionPothole(current, 'closed', { by: 'system', reason: 'expired unconfirmed', now: expiredAt });
+    }
+    return { ...current, freshness: remaining };
+  });
+}
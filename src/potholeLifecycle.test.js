@@ -0,0 +1,75 @@
+import { applyLifecycle, freshness, recordVote, transitionPothole } from './potholeLifecycle';
+
+const DAY = 24 * 60 * 60 * 1000;
+const now = Date.parse('2025-07-01T00:00:00Z');
+
+function pothole(overrides = {}) {
+  return {
+    id: 'p1',
+    coords: [3.86, 11.515],
+    severity: 'high',
+    reportCount: 1,
+    reportedAt: '2025-06-20T00:00:00Z',
+    updatedAt: '2025-06-20T00:00:00Z',
+    ...overrides,
+  };
+}
+
+test('records each transition with its time and actor, and rejects skipped steps backwards', () => {
+  const scheduled = transitionPothole(pothole({ status: 'verified' }), 'scheduled', {
+    by: 'roads department',
+    now: new Date(now),
+  });
+
+  expect(scheduled.status).toBe('scheduled');
+  expect(scheduled.statusHistory).toEqual([{ status: 'scheduled', at: '2025-07-01T00:00:00.000Z', by: 'roads department' }]);
+  expect(() => transitionPothole(scheduled, 'reported', { by: 'someone' })).toThrow('cannot go from scheduled to reported');
+});
+
+test('enough fixed votes repair a pothole and a later sighting reopens it', () => {
+  let current = pothole({ status: 'verified' });
+  current = recordVote(current, 'fixed', { now: new Date(now), fixedVotes: 2 });
+  expect(current).toMatchObject({ status: 'verified', fixedVotes: 1 });
+
+  current = recordVote(current, 'fixed', { now: new Date(now), fixedVotes: 2 });
+  expect(current).toMatchObject({ status: 'repaired', fixedVotes: 2 });
+  expect(current.statusHistory[0]).toMatchObject({ status: 'repaired', by: 'community' });
+
+  current = recordVote(current, 'present', { now: new Date(now) });
+  expect(current).toMatchObject({ status: 'reported', fixedVotes: 0, reportCount: 2 });
+});
+
+test('fixed votes on merged reports count towards the threshold together', () => {
+  // The other reports of the same pothole already have two votes between them
+  const voted = recordVote(pothole({ status: 'verified' }), 'fixed', { now: new Date(now), fixedVotes: 3, votesSoFar: 2 });
+  expect(voted).toMatchObject({ status: 'repaired', fixedVotes: 1 });
+});
+
+test('unverified reports fade and then expire', () => {
+  const fresh = pothole({ updatedAt: '2025-06-30T00:00:00Z' });
+  const old = pothole({ updatedAt: '2025-06-01T00:00:00Z' });
+
+  expect(freshness(fresh, { now, expiryDays: 10 })).toBeCloseTo(0.9);
+  expect(freshness(pothole({ updatedAt: '2025-06-25T00:00:00Z', pending: true }), { now, expiryDays: 1 })).toBe(1);
+
+  const [stillOpen, expired] = applyLifecycle([fresh, old], { now, expiryDays: 10 });
+  expect(stillOpen.status).toBe('reported');
+  expect(expired.status).toBe('closed');
+  expect(expired.statusHistory).toEqual([{
+    status: 'closed',
+    at: new Date(Date.parse(old.updatedAt) + 10 * DAY).toISOString(),
+    by: 'system',
+    reason: 'expired unconfirmed',
+  }]);
+});
+
+test('enough reports verify a pothole so it no longer expires', () => {
+  const [verified] = applyLifecycle([pothole({ reportCount: 3, updatedAt: '2025-01-01T00:00:00Z' })], {
+    now,
+    verifyReports: 3,
+    expiryDays: 10,
+  });
+
+  expect(verified).toMatchObject({ status: 'verified', freshness: 1 });
+  expect(verified.statusHistory.map((entry) => entry.by)).toEqual(['community']);
+});
@@ -0,0 +1,97 @@
+// Merging of duplicate pothole reports. Crowd reports of the same pothole land
+// at slightly different coordinates; reports within a radius of each other are
+// combined into one pothole entity that keeps the raw reports as its history.
+import { calculateDistance } from './geo';
+import { SEVERITIES } from './potholes';
+
+// Reports closer than this to an entity's position are the same pothole (km)
+export const MERGE_RADIUS = 0.025;
+
+// Most severe of the given severities
+function maxSeverity(severities) {
+  return SEVERITIES.find((severity) => severities.includes(severity)) || 'low';
+}
+
+// Severity voted by the reports, each weighted by its report count; ties go to the more severe
+function votedSeverity(reports) {
+  const votes = {};
+  reports.forEach((report) => {
+    votes[report.severity] = (votes[report.severity] || 0) + report.reportCount;
+  });
+  return SEVERITIES.reduce((best, severity) =>
+      (votes[severity] || 0) > (votes[best] || 0) ? severity : best
+  );
+}
+
+export const severityStrategies = {
+  max: (reports) => maxSeverity(reports.map((report) => report.severity)),
+  vote: votedSeverity,
+};
+
+// Build the entity shown on the map from its raw reports
+function toEntity(reports, strategy) {
+  const totalCount = reports.reduce((sum, report) => sum + report.reportCount, 0);
+  const byDate = reports.slice().sort((a, b) => Date.parse(a.reportedAt) - Date.parse(b.reportedAt));
+  const latest = reports.reduce((a, b) => (Date.parse(b.updatedAt) > Date.parse(a.updatedAt) ? b : a));
+
+  return {
+    ...byDate[0],
+    // Position weighted by how many people stand behind each report
+    coords: [
+      reports.reduce((sum, report) => sum + report.coords[0] * report.reportCount, 0) / totalCount,
+      reports.reduce((sum, report) => sum + report.coords[1] * report.reportCount, 0) / totalCount,
+    ],
+    severity: severityStrategies[strategy](reports),
+    description: latest.description || byDate[0].description,
+    reportCount: totalCount,
+    updatedAt: latest.updatedAt,
+    // The most recent update decides where the pothole is in its lifecycle
+    status: latest.status,
+    statusHistory: latest.statusHistory,
+    fixedVotes: reports.reduce((sum, report) => sum + (report.fixedVotes || 0), 0),
+    pending: reports.every((report) => report.pending),
+    failed: reports.some((report) => report.failed),
+    queued: reports.some((report) => report.queued),
+    reports: byDate,
+  };
+}
+
+// Merge raw reports into pothole entities. Reports are visited oldest first and
+// join the nearest entity within `radius`, so the oldest report's id becomes the
+// entity id and stays stable as new reports arrive.
+export function mergePotholeReports(records, { radius = MERGE_RADIUS, strategy = 'max' } = {}) {
+  if (!severityStrategies[strategy]) {
+    throw new Error(`Unknown severity merge strategy: ${strategy}`);
+  }
+
+  const clusters = [];
+  records
+      .slice()
+      .sort((a, b) => Date.parse(a.reportedAt) - Date.parse(b.reportedAt))
+      .forEach((record) => {
+        let nearest = null;
+        let nearestDistance = radius;
+        clusters.forEach((cluster) => {
+          const distance = calculateDistance(record.coords, cluster.center);
+          if (distance <= nearestDistance) {
+            nearest = cluster;
+            nearestDistance = distance;
+          }
+        });
+
+        if (!nearest) {
+          clusters.push({ center: record.coords, weight: record.reportCount, reports: [record] });
+          return;
+        }
+
+        const weight = nearest.weight + record.reportCount;
+        nearest.center = [
+          (nearest.center[0] * nearest.weight + record.coords[0] * record.reportCount) / weight,
+          (nearest.center[1] * nearest.weight + record.coords[1] * record.reportCount) / weight,
+        ];
+        nearest.weight = weight;
+        nearest.reports.push(record);
+      });
+
+  return clusters.map((cluster) => toEntity(cluster.reports, strategy));
+}
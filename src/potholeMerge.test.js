@@ -0,0 +1,45 @@
+import { mergePotholeReports } from './potholeMerge';
+
+function report(id, coords, severity, reportCount = 1, reportedAt = '2025-06-01T08:00:00Z') {
+  return { id, coords, severity, description: id, reportCount, reportedAt, updatedAt: reportedAt };
+}
+
+const reports = [
+  report('a', [3.86000, 11.51500], 'medium', 3, '2025-06-01T08:00:00Z'),
+  report('b', [3.86005, 11.51510], 'high', 1, '2025-06-02T08:00:00Z'),   // ~12 m from a
+  report('c', [3.86010, 11.51490], 'medium', 2, '2025-06-03T08:00:00Z'), // ~16 m from a
+  report('d', [3.87000, 11.51500], 'low', 1, '2025-06-01T09:00:00Z'),    // ~1.1 km away
+];
+
+test('merges reports within the radius into one entity with history', () => {
+  const entities = mergePotholeReports(reports);
+
+  expect(entities).toHaveLength(2);
+  const [merged, single] = entities;
+  expect(merged.id).toBe('a');
+  expect(merged.reports.map((r) => r.id)).toEqual(['a', 'b', 'c']);
+  expect(merged.reportCount).toBe(6);
+  expect(merged.reportedAt).toBe('2025-06-01T08:00:00Z');
+  expect(merged.updatedAt).toBe('2025-06-03T08:00:00Z');
+  expect(merged.coords[0]).toBeCloseTo(3.860042, 5);
+  expect(single.id).toBe('d');
+  expect(single.reports).toHaveLength(1);
+});
+
+test('aggregates severity by worst report or by weighted vote', () => {
+  expect(mergePotholeReports(reports)[0].severity).toBe('high');
+  expect(mergePotholeReports(reports, { strategy: 'vote' })[0].severity).toBe('medium');
+});
+
+test('respects the configured radius', () => {
+  expect(mergePotholeReports(reports, { radius: 0.005 })).toHaveLength(4);
+});
+
+test('takes the status from the most recent report', () => {
+  const [merged] = mergePotholeReports([
+    { ...reports[0], status: 'verified' },
+    { ...reports[1], status: 'scheduled' },
+  ]);
+
+  expect(merged.status).toBe('scheduled');
+});
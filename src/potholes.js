@@ -0,0 +1,264 @@
+// Pothole data: the record schema, validation with ajv, loading datasets as
+// plain JSON or GeoJSON and exporting them as JSON, GeoJSON, CSV or KML.
+//
+// A pothole record looks like:
+//   {
+//     id: 'yde-0001',
+//     coords: [lat, lng],
+//     severity: 'high' | 'medium' | 'low',
+//     description: 'Large pothole on main road',
+//     reportCount: 12,
+//     status: 'reported' | 'verified' | 'scheduled' | 'repaired' | 'closed',   (optional)
+//     statusHistory: [{ status, at, by, reason }],                              (optional)
+//     fixedVotes: 2,                                                            (optional)
+//     reportedAt: '2025-05-28T08:15:00Z',
+//     updatedAt: '2025-06-17T09:30:00Z'
+//   }
+import Ajv from 'ajv';
+import sampleData from './data/potholes.json';
+import { escapeXml } from './geoFiles';
+
+export const SEVERITIES = ['high', 'medium', 'low'];
+
+// Repair lifecycle, in the order a pothole normally goes through it (see potholeLifecycle.js)
+export const STATUSES = ['reported', 'verified', 'scheduled', 'repaired', 'closed'];
+
+export const statusLabels = {
+  reported: 'Reported',
+  verified: 'Verified',
+  scheduled: 'Repair scheduled',
+  repaired: 'Repaired',
+  closed: 'Closed',
+};
+
+export const potholeSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    coords: {
+      type: 'array',
+      items: [
+        { type: 'number', minimum: -90, maximum: 90 },
+        { type: 'number', minimum: -180, maximum: 180 },
+      ],
+      minItems: 2,
+      maxItems: 2,
+    },
+    severity: { enum: SEVERITIES },
+    description: { type: 'string' },
+    reportCount: { type: 'integer', minimum: 1 },
+    status: { enum: STATUSES },
+    statusHistory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          status: { enum: STATUSES },
+          at: { type: 'string', format: 'date-time' },
+          by: { type: 'string' },
+          reason: { type: 'string' },
+        },
+        required: ['status', 'at', 'by'],
+      },
+    },
+    fixedVotes: { type: 'integer', minimum: 0 },
+    reportedAt: { type: 'string', format: 'date-time' },
+    updatedAt: { type: 'string', format: 'date-time' },
+  },
+  required: ['id', 'coords', 'severity', 'reportCount', 'reportedAt', 'updatedAt'],
+};
+
+const ajv = new Ajv({ allErrors: true, strictTuples: false });
+// ajv-formats isn't a dependency, so register the one format we use
+ajv.addFormat('date-time', {
+  type: 'string',
+  validate: (value) => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value) &&
+      !Number.isNaN(Date.parse(value)),
+});
+
+const validateRecord = ajv.compile(potholeSchema);
+
+// Validate a single record. Returns a list of error messages (empty when valid).
+export function validatePothole(record) {
+  if (validateRecord(record)) return [];
+  return validateRecord.errors.map((error) => `${error.instancePath || 'record'} ${error.message}`);
+}
+
+// Turn a GeoJSON Point feature into a pothole record
+function featureToRecord(feature) {
+  const { geometry, properties, id } = feature || {};
+  // GeoJSON allows "properties": null; such a feature fails validation on its own
+  const props = properties || {};
+  const coordinates = geometry && geometry.type === 'Point' ? geometry.coordinates : null;
+  return {
+    ...props,
+    id: props.id !== undefined ? props.id : id,
+    coords: coordinates ? [coordinates[1], coordinates[0]] : undefined,
+  };
+}
+
+// Import a dataset. Accepts an array of records, { potholes: [...] } or a
+// GeoJSON FeatureCollection of points. Invalid records are skipped and
+// reported individually instead of failing the whole import.
+export function importPotholes(data) {
+  let records;
+  if (Array.isArray(data)) {
+    records = data;
+  } else if (data && data.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    records = data.features.map(featureToRecord);
+  } else if (data && Array.isArray(data.potholes)) {
+    records = data.potholes;
+  } else {
+    return {
+      potholes: [],
+      errors: [{ index: null, id: null, message: 'Unrecognised pothole dataset format' }],
+    };
+  }
+
+  const potholes = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.forEach((record, index) => {
+    const messages = validatePothole(record);
+    if (messages.length === 0 && seenIds.has(record.id)) {
+      messages.push(`duplicate id "${record.id}"`);
+    }
+
+    if (messages.length > 0) {
+      errors.push({ index, id: record && record.id, message: messages.join('; ') });
+      return;
+    }
+
+    seenIds.add(record.id);
+    potholes.push(record);
+  });
+
+  return { potholes, errors };
+}
+
+// Load a dataset from a URL or a File/Blob chosen by the user
+export async function loadPotholes(source) {
+  let text;
+  if (typeof source === 'string') {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Could not load potholes from ${source}: HTTP ${response.status}`);
+    }
+    text = await response.text();
+  } else {
+    text = await source.text();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Pothole file is not valid JSON: ${e.message}`);
+  }
+  return importPotholes(data);
+}
+
+// Only the schema's fields, without what the app adds for display (merged reports, pending flags, ...)
+export function potholeRecord(pothole) {
+  return Object.fromEntries(Object.keys(potholeSchema.properties)
+      .filter((key) => pothole[key] !== undefined)
+      .map((key) => [key, pothole[key]]));
+}
+
+const CSV_COLUMNS = ['id', 'latitude', 'longitude', 'severity', 'status', 'reportCount', 'reportedAt', 'updatedAt', 'description'];
+
+function csvField(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function potholesToCsv(potholes) {
+  const rows = potholes.map((pothole) => [
+    pothole.id,
+    pothole.coords[0],
+    pothole.coords[1],
+    pothole.severity,
+    potholeStatus(pothole),
+    pothole.reportCount,
+    pothole.reportedAt,
+    pothole.updatedAt,
+    pothole.description,
+  ].map(csvField).join(','));
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// KML colours are aabbggrr
+const KML_COLORS = { high: 'ff4444ff', medium: 'ff0098ff', low: 'ff3bebff' };
+
+function potholesToKml(potholes) {
+  const styles = SEVERITIES.map((severity) => `
+    <Style id="${severity}"><IconStyle><color>${KML_COLORS[severity]}</color></IconStyle></Style>`).join('');
+  const placemarks = potholes.map((pothole) => `
+    <Placemark id="${escapeXml(pothole.id)}">
+      <name>${escapeXml(`${pothole.severity} pothole`)}</name>
+      <description>${escapeXml(pothole.description || '')}</description>
+      <styleUrl>#${pothole.severity}</styleUrl>
+      <ExtendedData>${['severity', 'reportCount', 'reportedAt', 'updatedAt'].map((key) => `
+        <Data name="${key}"><value>${escapeXml(String(pothole[key]))}</value></Data>`).join('')}
+        <Data name="status"><value>${potholeStatus(pothole)}</value></Data>
+      </ExtendedData>
+      <Point><coordinates>${pothole.coords[1]},${pothole.coords[0]}</coordinates></Point>
+    </Placemark>`).join('');
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Potholes</name>${styles}${placemarks}
+  </Document>
+</kml>
+`;
+}
+
+// Serialise potholes as 'json' (native format), 'geojson', 'csv' or 'kml'
+export function exportPotholes(potholes, format = 'json') {
+  const records = potholes.map(potholeRecord);
+  if (format === 'csv') return potholesToCsv(records);
+  if (format === 'kml') return potholesToKml(records);
+  if (format === 'geojson') {
+    return JSON.stringify({
+      type: 'FeatureCollection',
+      features: records.map(({ coords, ...properties }) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [coords[1], coords[0]] },
+        properties,
+      })),
+    }, null, 2);
+  }
+  if (format === 'json') {
+    return JSON.stringify({ version: 1, potholes: records }, null, 2);
+  }
+  throw new Error(`Unsupported pothole export format: ${format}`);
+}
+
+// Records without a status predate the lifecycle and start out as reported
+export function potholeStatus(pothole) {
+  return pothole.status || 'reported';
+}
+
+// Short human readable age, e.g. "2 days ago"
+export function formatAge(isoTimestamp, now = Date.now()) {
+  const minutes = Math.max(0, Math.round((now - Date.parse(isoTimestamp)) / 60000));
+  const units = [
+    ['year', 525600],
+    ['month', 43200],
+    ['week', 10080],
+    ['day', 1440],
+    ['hour', 60],
+    ['minute', 1],
+  ];
+  for (const [unit, size] of units) {
+    const count = Math.floor(minutes / size);
+    if (count >= 1) return `${count} ${unit}${count > 1 ? 's' : ''} ago`;
+  }
+  return 'just now';
+}
+
+// Bundled sample dataset for Yaoundé, validated like any other import
+export const samplePotholes = importPotholes(sampleData).potholes;
@@ -0,0 +1,73 @@
+import { exportPotholes, formatAge, importPotholes, samplePotholes } from './potholes';
+
+const valid = {
+  id: 'p1',
+  coords: [3.86, 11.515],
+  severity: 'high',
+  description: 'Large pothole',
+  reportCount: 4,
+  reportedAt: '2025-06-01T08:00:00Z',
+  updatedAt: '2025-06-02T08:00:00Z',
+};
+
+test('bundled sample data passes validation', () => {
+  expect(samplePotholes.length).toBeGreaterThan(0);
+  expect(importPotholes(samplePotholes).errors).toEqual([]);
+});
+
+test('reports invalid records individually and keeps the valid ones', () => {
+  const { potholes, errors } = importPotholes([
+    valid,
+    { ...valid, id: 'p2', severity: 'extreme' },
+    { ...valid, id: 'p3', reportCount: '12 users', updatedAt: '2 days ago' },
+    { ...valid },
+  ]);
+
+  expect(potholes).toEqual([valid]);
+  expect(errors.map((e) => [e.index, e.id])).toEqual([[1, 'p2'], [2, 'p3'], [3, 'p1']]);
+  expect(errors[0].message).toMatch(/severity/);
+  expect(errors[1].message).toMatch(/reportCount/);
+  expect(errors[1].message).toMatch(/updatedAt/);
+  expect(errors[2].message).toMatch(/duplicate id/);
+});
+
+test('round-trips through GeoJSON', () => {
+  const geojson = JSON.parse(exportPotholes([valid], 'geojson'));
+
+  expect(geojson.features[0].geometry).toEqual({ type: 'Point', coordinates: [11.515, 3.86] });
+  expect(importPotholes(geojson)).toEqual({ potholes: [valid], errors: [] });
+});
+
+test('reports a GeoJSON feature without properties as one invalid record', () => {
+  const geojson = JSON.parse(exportPotholes([valid], 'geojson'));
+  geojson.features.push({ type: 'Feature', id: 'p9', geometry: { type: 'Point', coordinates: [11.5, 3.85] }, properties: null });
+
+  const { potholes, errors } = importPotholes(geojson);
+  expect(potholes).toEqual([valid]);
+  expect(errors).toHaveLength(1);
+  expect(errors[0]).toMatchObject({ index: 1, id: 'p9' });
+});
+
+test('exports CSV and KML for spreadsheets and GIS tools', () => {
+  const entity = { ...valid, description: '=HYPERLINK("x"), deep', reports: [valid], freshness: 1 };
+
+  const csv = exportPotholes([entity], 'csv').split('\r\n');
+  expect(csv[0]).toBe('id,latitude,longitude,severity,status,reportCount,reportedAt,updatedAt,description');
+  expect(csv[1]).toBe('p1,3.86,11.515,high,reported,4,2025-06-01T08:00:00Z,2025-06-02T08:00:00Z,"\'=HYPERLINK(""x""), deep"');
+
+  const kml = exportPotholes([entity], 'kml');
+  expect(kml).toContain('<coordinates>11.515,3.86</coordinates>');
+  expect(kml).toContain('<styleUrl>#high</styleUrl>');
+  expect(kml).toContain('=HYPERLINK(&quot;x&quot;), deep');
+  expect(exportPotholes([entity], 'json')).not.toContain('freshness');
+});
+
+test('rejects unknown dataset shapes without throwing', () => {
+  expect(importPotholes({ foo: 1 }).errors[0].message).toMatch(/Unrecognised/);
+});
+
+test('formats record age for popups', () => {
+  const now = Date.parse('2025-06-04T08:00:00Z');
+  expect(formatAge('2025-06-02T08:00:00Z', now)).toBe('2 days ago');
+  expect(formatAge('2025-06-04T07:59:50Z', now)).toBe('just now');
+});
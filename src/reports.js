@@ -0,0 +1,164 @@
+// Citizen pothole reports: finding an existing pothole to confirm instead of
+// creating a duplicate, and sending reports/confirmations to the backend.
+//
+// REST contract (implemented by scripts/mock-server.js):
+//   POST {url}/reports               JSON report, or multipart with `report` (JSON) + `photo`
+//                                    -> 201 created pothole record
+//   POST {url}/potholes/:id/confirm  "still there" vote -> 200 updated pothole record
+//   POST {url}/potholes/:id/fixed    "fixed" vote -> 200 updated pothole record
+// Votes carry { clientId }, this browser's id, so the server counts one vote per person.
+import { calculateDistance } from './geo';
+import { validatePothole } from './potholes';
+import { recordVote } from './potholeLifecycle';
+import { markNetworkError } from './outbox';
+
+// Reports closer than this to an existing pothole confirm it instead (km)
+export const DUPLICATE_RADIUS = 0.03;
+
+// Nearest pothole within `radius` of the given position, or null
+export function findNearbyPothole(coords, potholes, radius = DUPLICATE_RADIUS) {
+  let nearest = null;
+  let nearestDistance = radius;
+  potholes.forEach((pothole) => {
+    const distance = calculateDistance(coords, pothole.coords);
+    if (distance <= nearestDistance) {
+      nearest = pothole;
+      nearestDistance = distance;
+    }
+  });
+  return nearest;
+}
+
+// Locally created record shown as a pending marker until the server answers
+export function createPendingPothole({ coords, severity, description }, now = new Date()) {
+  const timestamp = now.toISOString();
+  return {
+    id: `local-${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    coords,
+    severity,
+    description,
+    reportCount: 1,
+    reportedAt: timestamp,
+    updatedAt: timestamp,
+    status: 'reported',
+    statusHistory: [{ status: 'reported', at: timestamp, by: 'citizen' }],
+    pending: true,
+  };
+}
+
+// Same pothole with one more confirmation, reopened if it had been marked fixed
+export function confirmLocally(pothole, now = new Date()) {
+  return recordVote(pothole, 'present', { now });
+}
+
+// Same pothole with one more "fixed" vote, repaired once there are `fixedVotes` of them
+// counting `votesSoFar`
+export function markFixedLocally(pothole, { now = new Date(), fixedVotes, votesSoFar } = {}) {
+  return recordVote(pothole, 'fixed', { now, fixedVotes, votesSoFar });
+}
+
+const VOTED_KEY = 'cvbox.votedPotholes';
+const CLIENT_ID_KEY = 'cvbox.clientId';
+
+// Potholes voted on from this browser. Each person gets one vote per pothole,
+// so tapping a button repeatedly can't verify or repair it.
+export function loadVotedPotholes() {
+  try {
+    return JSON.parse(window.localStorage.getItem(VOTED_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+export function saveVotedPotholes(ids) {
+  try {
+    window.localStorage.setItem(VOTED_KEY, JSON.stringify(Array.from(ids)));
+  } catch (e) {
+    console.warn('Could not save pothole votes:', e);
+  }
+}
+
+function randomId() {
+  return window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Random id for this browser, created on first use. The report server uses it to
+// ignore repeated votes, which clearing the list above can't get around.
+export function loadClientId() {
+  try {
+    let id = window.localStorage.getItem(CLIENT_ID_KEY);
+    if (!id) {
+      id = randomId();
+      window.localStorage.setItem(CLIENT_ID_KEY, id);
+    }
+    return id;
+  } catch (e) {
+    return randomId();
+  }
+}
+
+async function postJson(url, body) {
+  const init = body instanceof FormData
+      ? { method: 'POST', body }
+      : { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) };
+
+  let response;
+  try {
+    response = await fetch(url, init);
+  } catch (error) {
+    throw markNetworkError(error);
+  }
+  if (!response.ok) {
+    throw new Error(`Report server answered HTTP ${response.status}`);
+  }
+  const record = await response.json();
+  const errors = validatePothole(record);
+  if (errors.length > 0) {
+    throw new Error(`Report server returned an invalid pothole: ${errors.join('; ')}`);
+  }
+  return record;
+}
+
+// Client for the REST endpoint configured in REACT_APP_REPORTS_URL
+export function createReportClient({ url }) {
+  const baseUrl = url.replace(/\/+$/, '');
+
+  return {
+    name: 'rest',
+    submitReport({ coords, severity, description, photo }) {
+      const report = { coords, severity, description };
+      if (!photo) {
+        return postJson(`${baseUrl}/reports`, report);
+      }
+      const form = new FormData();
+      form.append('report', JSON.stringify(report));
+      form.append('photo', photo, photo.name);
+      return postJson(`${baseUrl}/reports`, form);
+    },
+    confirmPothole(id) {
+      return postJson(`${baseUrl}/potholes/${encodeURIComponent(id)}/confirm`, { clientId: loadClientId() });
+    },
+    reportFixed(id) {
+      return postJson(`${baseUrl}/potholes/${encodeURIComponent(id)}/fixed`, { clientId: loadClientId() });
+    },
+  };
+}
+
+// Development fallback when no endpoint is configured: reports stay in this browser
+export function createLocalReportClient() {
+  return {
+    name: 'local',
+    async submitReport(report) {
+      const { pending, ...record } = createPendingPothole(report);
+      return record;
+    },
+    async confirmPothole() {
+      return null;
+    },
+    async reportFixed() {
+      return null;
+    },
+  };
+}
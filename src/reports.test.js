@@ -0,0 +1,95 @@
+import {
+  confirmLocally,
+  createReportClient,
+  findNearbyPothole,
+  loadClientId,
+  loadVotedPotholes,
+  markFixedLocally,
+  saveVotedPotholes,
+} from './reports';
+import { isNetworkError } from './outbox';
+
+const pothole = {
+  id: 'p1',
+  coords: [3.860, 11.515],
+  severity: 'high',
+  description: '',
+  reportCount: 2,
+  reportedAt: '2025-06-01T08:00:00Z',
+  updatedAt: '2025-06-01T08:00:00Z',
+};
+
+afterEach(() => {
+  delete global.fetch;
+  window.localStorage.clear();
+});
+
+test('finds an existing pothole within the duplicate radius only', () => {
+  expect(findNearbyPothole([3.8601, 11.5151], [pothole])).toBe(pothole);
+  expect(findNearbyPothole([3.862, 11.515], [pothole])).toBeNull();
+});
+
+test('confirming increments the report count', () => {
+  const confirmed = confirmLocally(pothole, new Date('2025-06-03T00:00:00Z'));
+  expect(confirmed.reportCount).toBe(3);
+  expect(confirmed.updatedAt).toBe('2025-06-03T00:00:00.000Z');
+});
+
+test('fixed votes are sent to the server and repair the pothole locally at the threshold', async () => {
+  const voted = markFixedLocally({ ...pothole, fixedVotes: 1 }, { fixedVotes: 2 });
+  expect(voted).toMatchObject({ fixedVotes: 2, status: 'repaired' });
+
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(voted) });
+  await expect(createReportClient({ url: 'http://x' }).reportFixed('p1')).resolves.toEqual(voted);
+  expect(global.fetch.mock.calls[0][0]).toBe('http://x/potholes/p1/fixed');
+});
+
+test('sends the same client id with every vote', async () => {
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: () => Promise.resolve(pothole) });
+  const client = createReportClient({ url: 'http://x' });
+
+  await client.reportFixed('p1');
+  await client.confirmPothole('p2');
+
+  const [first, second] = global.fetch.mock.calls.map(([, init]) => JSON.parse(init.body).clientId);
+  expect(first).toBeTruthy();
+  expect(second).toBe(first);
+  expect(loadClientId()).toBe(first);
+});
+
+test('tags failed requests as network errors', async () => {
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const error = await createReportClient({ url: 'http://x' }).confirmPothole('p1').catch((e) => e);
+  expect(isNetworkError(error)).toBe(true);
+  expect(isNetworkError(new TypeError('x is undefined'))).toBe(false);
+});
+
+test('remembers the potholes voted on from this browser', () => {
+  expect(loadVotedPotholes()).toEqual([]);
+  saveVotedPotholes(new Set(['p1', 'p2']));
+  expect(loadVotedPotholes()).toEqual(['p1', 'p2']);
+});
+
+test('submits reports as JSON and validates the created record', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve(pothole),
+  });
+  const client = createReportClient({ url: 'http://localhost:5050/' });
+
+  const record = await client.submitReport({ coords: pothole.coords, severity: 'high', description: '' });
+
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:5050/reports');
+  expect(JSON.parse(init.body)).toEqual({ coords: pothole.coords, severity: 'high', description: '' });
+  expect(record).toEqual(pothole);
+});
+
+test('rejects server records that do not match the pothole schema', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    json: () => Promise.resolve({ id: 'p2', severity: 'huge' }),
+  });
+
+  await expect(createReportClient({ url: 'http://x' }).confirmPothole('p2')).rejects.toThrow('invalid pothole');
+});
@@ -0,0 +1,99 @@
+// Road-condition overlay: road geometry for the visible area from an Overpass
+// API server, cut into short segments, each scored by the potholes along it.
+import { calculateDistance, calculateRouteDistance } from './geo';
+import { HAZARD_RADIUS, scoreRouteHazards } from './hazards';
+
+const DEFAULT_OVERPASS_URL = 'https://overpass-api.de/api/interpreter';
+
+// Roads drivers use; footpaths, tracks and the like are left out
+const ROAD_TYPES = 'motorway|trunk|primary|secondary|tertiary|unclassified|residential|living_street|service';
+
+// Segments longer than this are split so one bad stretch doesn't colour a whole avenue (km)
+export const SEGMENT_LENGTH = 0.2;
+
+// Condition score (0 bad - 100 good) thresholds and colours, worst first
+export const CONDITION_LEVELS = [
+  { min: 0, label: 'Very poor', color: '#b71c1c' },
+  { min: 40, label: 'Poor', color: '#f4511e' },
+  { min: 70, label: 'Fair', color: '#fdd835' },
+  { min: 90, label: 'Good', color: '#43a047' },
+];
+
+// Hazard points per km that bring a road down to a score of 0
+const WORST_HAZARD_DENSITY = 30;
+
+export function conditionLevel(score) {
+  return CONDITION_LEVELS.filter((level) => score >= level.min).pop();
+}
+
+// Roads inside `bounds` as [{ id, name, highway, coordinates: [[lat, lng], ...] }], `highway` being the OSM road class
+export async function fetchRoads(bounds, { url, signal } = {}) {
+  const [[south, west], [north, east]] = bounds;
+  const query = `[out:json][timeout:25];way["highway"~"^(${ROAD_TYPES})$"](${south},${west},${north},${east});out geom;`;
+  const response = await fetch(url || DEFAULT_OVERPASS_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: `data=${encodeURIComponent(query)}`,
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Road data request failed with HTTP ${response.status}`);
+  }
+  const data = await response.json();
+  return (data.elements || [])
+      .filter((element) => element.type === 'way' && element.geometry)
+      .map((way) => ({
+        id: way.id,
+        name: (way.tags && way.tags.name) || '',
+        highway: (way.tags && way.tags.highway) || null,
+        coordinates: way.geometry.map(({ lat, lon }) => [lat, lon]),
+      }));
+}
+
+// Cut a polyline into consecutive pieces of at most `maxLength` km (split at vertices)
+export function splitLine(coordinates, maxLength = SEGMENT_LENGTH) {
+  const pieces = [];
+  let current = [coordinates[0]];
+  let length = 0;
+  for (let i = 1; i < coordinates.length; i++) {
+    const step = calculateDistance(coordinates[i - 1], coordinates[i]);
+    if (length + step > maxLength && current.length > 1) {
+      pieces.push(current);
+      current = [coordinates[i - 1]];
+      length = 0;
+    }
+    current.push(coordinates[i]);
+    length += step;
+  }
+  if (current.length > 1) pieces.push(current);
+  return pieces;
+}
+
+// Potholes within the segment's bounding box (grown by the hazard radius), a cheap
+// prefilter before the exact distance checks
+function nearbyPotholes(coordinates, potholes) {
+  // km to degrees; treating longitude like latitude is close enough this near the equator
+  const margin = HAZARD_RADIUS / 111;
+  const lats = coordinates.map(([lat]) => lat);
+  const lngs = coordinates.map(([, lng]) => lng);
+  const [south, north] = [Math.min(...lats) - margin, Math.max(...lats) + margin];
+  const [west, east] = [Math.min(...lngs) - margin, Math.max(...lngs) + margin];
+  return potholes.filter(({ coords: [lat, lng] }) => lat >= south && lat <= north && lng >= west && lng <= east);
+}
+
+// Score every road segment: 100 with no potholes, falling with the
+// severity-weighted hazard per km of road
+export function scoreRoadSegments(roads, potholes, { maxLength = SEGMENT_LENGTH } = {}) {
+  return roads.flatMap((road) => splitLine(road.coordinates, maxLength).map((coordinates, i) => {
+    const length = Math.max(calculateRouteDistance(coordinates), 0.05);
+    const hazards = scoreRouteHazards(coordinates, nearbyPotholes(coordinates, potholes));
+    const score = Math.max(0, Math.round(100 - (hazards.score / length / WORST_HAZARD_DENSITY) * 100));
+    return {
+      id: `${road.id}-${i}`,
+      name: road.name,
+      coordinates,
+      score,
+      potholes: hazards.total,
+    };
+  }));
+}
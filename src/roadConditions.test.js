@@ -0,0 +1,74 @@
+import { calculateRouteDistance } from './geo';
+import { conditionLevel, fetchRoads, scoreRoadSegments, splitLine } from './roadConditions';
+
+// A straight road running north, about 1.1 km long
+const road = {
+  id: 42,
+  name: 'Avenue Kennedy',
+  coordinates: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((i) => [3.86 + i * 0.001, 11.5]),
+};
+
+test('splits roads into segments no longer than the limit', () => {
+  const pieces = splitLine(road.coordinates, 0.25);
+
+  expect(pieces.length).toBe(5);
+  pieces.forEach((piece) => expect(calculateRouteDistance(piece)).toBeLessThanOrEqual(0.25));
+  // Consecutive pieces share their end points, so nothing is lost
+  expect(pieces[1][0]).toEqual(pieces[0][pieces[0].length - 1]);
+  expect(pieces[pieces.length - 1].pop()).toEqual(road.coordinates[10]);
+});
+
+test('scores segments by the potholes along them', () => {
+  const potholes = [
+    { coords: [3.8605, 11.5001], severity: 'high' },
+    { coords: [3.8606, 11.5], severity: 'high' },
+    { coords: [3.87, 11.52], severity: 'high' },
+  ];
+  const segments = scoreRoadSegments([road], potholes, { maxLength: 0.25 });
+
+  expect(segments[0]).toMatchObject({ id: '42-0', name: 'Avenue Kennedy', potholes: 2 });
+  expect(segments[0].score).toBeLessThan(90);
+  segments.slice(1).forEach((segment) => expect(segment).toMatchObject({ score: 100, potholes: 0 }));
+});
+
+test('maps scores to condition levels', () => {
+  expect(conditionLevel(100).label).toBe('Good');
+  expect(conditionLevel(75).label).toBe('Fair');
+  expect(conditionLevel(40).label).toBe('Poor');
+  expect(conditionLevel(0).label).toBe('Very poor');
+});
+
+describe('fetchRoads', () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('queries Overpass for the bounds and converts ways to roads', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      json: async () => ({
+        elements: [
+          { type: 'way', id: 7, tags: { name: 'Rue 1.750', highway: 'secondary' }, geometry: [{ lat: 3.86, lon: 11.5 }, { lat: 3.87, lon: 11.5 }] },
+          { type: 'way', id: 8, geometry: [{ lat: 3.86, lon: 11.51 }, { lat: 3.86, lon: 11.52 }] },
+          { type: 'node', id: 9, lat: 3.86, lon: 11.5 },
+        ],
+      }),
+    });
+
+    const roads = await fetchRoads([[3.85, 11.49], [3.88, 11.53]], { url: 'https://overpass.test/api' });
+
+    expect(roads).toEqual([
+      { id: 7, name: 'Rue 1.750', highway: 'secondary', coordinates: [[3.86, 11.5], [3.87, 11.5]] },
+      { id: 8, name: '', highway: null, coordinates: [[3.86, 11.51], [3.86, 11.52]] },
+    ]);
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('https://overpass.test/api');
+    expect(decodeURIComponent(options.body)).toContain('(3.85,11.49,3.88,11.53)');
+  });
+
+  test('rejects on HTTP errors', async () => {
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 429 });
+
+    await expect(fetchRoads([[0, 0], [1, 1]])).rejects.toThrow('HTTP 429');
+  });
+});
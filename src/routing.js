@@ -0,0 +1,328 @@
+// Routing providers. Every provider exposes `route(points, options)` which
+// resolves to a list of routes (best first) in a common shape:
+//   { coordinates: [[lat, lng], ...], distance: km, time: minutes, provider, type, instructions }
+// where each instruction is
+//   { text, distance: km to the next one, time: minutes, modifier, pointIndex }
+// and `pointIndex` is the index in `coordinates` where the maneuver happens.
+// Pass { alternatives: true } to ask the engine for alternative routes as well;
+// engines only offer them between two points.
+import { calculateRouteDistance, decodePolyline } from './geo';
+import { roadClassMinutes } from './eta';
+
+const DEFAULT_URLS = {
+  osrm: 'https://router.project-osrm.org',
+  graphhopper: 'https://graphhopper.com/api/1',
+  valhalla: 'https://valhalla1.openstreetmap.de',
+};
+
+// Fetch JSON with a timeout, honouring an optional caller AbortSignal
+async function fetchJson(url, { signal, timeout, ...init } = {}) {
+  const controller = new AbortController();
+  const abort = () => controller.abort();
+  const timer = timeout ? setTimeout(abort, timeout) : null;
+  if (signal) {
+    if (signal.aborted) abort();
+    signal.addEventListener('abort', abort);
+  }
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`Routing request failed with HTTP ${response.status}`);
+    }
+    return await response.json();
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', abort);
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+// Index of the route coordinate closest to `point`, searching from `fromIndex` on
+function nearestIndex(coordinates, point, fromIndex = 0) {
+  let best = fromIndex;
+  let bestDistance = Infinity;
+  for (let i = fromIndex; i < coordinates.length; i++) {
+    const distance = (coordinates[i][0] - point[0]) ** 2 + (coordinates[i][1] - point[1]) ** 2;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+const CARDINALS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+// OSRM steps carry maneuver types rather than text, so phrase them ourselves
+function osrmInstructionText({ maneuver, name }) {
+  const road = name ? ` onto ${name}` : '';
+  const { type, modifier } = maneuver;
+
+  if (type === 'depart') {
+    return `Head ${CARDINALS[Math.round((maneuver.bearing_after || 0) / 45) % 8]}${name ? ` on ${name}` : ''}`;
+  }
+  if (type === 'arrive') return 'Arrive at your destination';
+  if (type === 'roundabout' || type === 'rotary') {
+    return `At the roundabout, take exit ${maneuver.exit || 1}${road}`;
+  }
+  if (type === 'continue' || type === 'new name' || !modifier || modifier === 'straight') {
+    return `Continue${road}`;
+  }
+  if (modifier === 'uturn') return `Make a U-turn${road}`;
+  if (modifier.startsWith('slight')) return `Bear ${modifier.replace('slight ', '')}${road}`;
+  return `Turn ${modifier}${road}`;
+}
+
+function osrmInstructions(legs = [], coordinates) {
+  let fromIndex = 0;
+  // Each leg arrives at and departs from its waypoint; only the trip's own start and end are maneuvers
+  const steps = legs.flatMap((leg, i) => (leg.steps || []).filter(({ maneuver }) => (
+    !(maneuver.type === 'arrive' && i < legs.length - 1) && !(maneuver.type === 'depart' && i > 0)
+  )));
+  return steps.map((step) => {
+    const [lng, lat] = step.maneuver.location;
+    fromIndex = nearestIndex(coordinates, [lat, lng], fromIndex);
+    return {
+      text: osrmInstructionText(step),
+      distance: step.distance / 1000,
+      time: step.duration / 60,
+      modifier: step.maneuver.type === 'arrive' ? 'arrive' : (step.maneuver.modifier || 'straight'),
+      pointIndex: fromIndex,
+    };
+  });
+}
+
+const GRAPHHOPPER_SIGNS = {
+  '-98': 'uturn', '-8': 'uturn', '-7': 'slight left', '-3': 'sharp left', '-2': 'left', '-1': 'slight left',
+  0: 'straight', 1: 'slight right', 2: 'right', 3: 'sharp right', 4: 'arrive',
+  6: 'roundabout', 7: 'slight right', 8: 'uturn',
+};
+
+// Sign of GraphHopper's "waypoint reached" instruction, which we drop like the other engines' intermediate arrivals
+const GRAPHHOPPER_VIA_SIGN = 5;
+
+// Valhalla maneuver type numbers, see https://valhalla.github.io/valhalla/api/turn-by-turn/api-reference/
+const VALHALLA_TYPES = {
+  4: 'arrive', 5: 'arrive', 6: 'arrive', 9: 'slight right', 10: 'right', 11: 'sharp right',
+  12: 'uturn', 13: 'uturn', 14: 'sharp left', 15: 'left', 16: 'slight left',
+  26: 'roundabout', 27: 'roundabout',
+};
+
+// OSRM (project-osrm.org or a self-hosted osrm-routed)
+export function createOsrmProvider({ url, profile = 'driving', timeout } = {}) {
+  const baseUrl = trimSlash(url || DEFAULT_URLS.osrm);
+
+  return {
+    name: 'osrm',
+    async route(points, { signal, alternatives = false } = {}) {
+      const path = points.map(([lat, lng]) => `${lng},${lat}`).join(';');
+      const query = `overview=full&geometries=polyline6&steps=true${alternatives ? '&alternatives=true' : ''}`;
+      const data = await fetchJson(
+          `${baseUrl}/route/v1/${profile}/${path}?${query}`,
+          { signal, timeout }
+      );
+
+      if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
+        throw new Error(`OSRM could not find a route: ${data.message || data.code}`);
+      }
+
+      return data.routes.map((route) => {
+        const coordinates = decodePolyline(route.geometry, 6);
+        return {
+          coordinates,
+          distance: route.distance / 1000,
+          time: route.duration / 60,
+          provider: 'osrm',
+          type: 'road-route',
+          instructions: osrmInstructions(route.legs, coordinates),
+        };
+      });
+    },
+  };
+}
+
+// GraphHopper Directions API (hosted, needs an API key) or a self-hosted GraphHopper
+export function createGraphHopperProvider({ url, apiKey, profile = 'car', timeout } = {}) {
+  const baseUrl = trimSlash(url || DEFAULT_URLS.graphhopper);
+
+  return {
+    name: 'graphhopper',
+    async route(points, { signal, alternatives = false } = {}) {
+      const params = new URLSearchParams({
+        profile,
+        locale: 'en',
+        calc_points: 'true',
+        points_encoded: 'true',
+        instructions: 'true',
+      });
+      points.forEach(([lat, lng]) => params.append('point', `${lat},${lng}`));
+      if (apiKey) params.set('key', apiKey);
+      if (alternatives && points.length === 2) {
+        params.set('algorithm', 'alternative_route');
+        params.set('alternative_route.max_paths', '3');
+      }
+
+      const data = await fetchJson(`${baseUrl}/route?${params}`, { signal, timeout });
+
+      if (!data.paths || data.paths.length === 0) {
+        throw new Error(`GraphHopper could not find a route: ${data.message || 'no paths'}`);
+      }
+
+      return data.paths.map((path) => ({
+        coordinates: typeof path.points === 'string'
+            ? decodePolyline(path.points, 5)
+            : path.points.coordinates.map(([lng, lat]) => [lat, lng]),
+        distance: path.distance / 1000,
+        time: path.time / 60000,
+        provider: 'graphhopper',
+        type: 'road-route',
+        instructions: (path.instructions || [])
+            .filter((instruction) => instruction.sign !== GRAPHHOPPER_VIA_SIGN)
+            .map((instruction) => ({
+              text: instruction.text,
+              distance: instruction.distance / 1000,
+              time: instruction.time / 60000,
+              modifier: GRAPHHOPPER_SIGNS[instruction.sign] || 'straight',
+              pointIndex: instruction.interval[0],
+            })),
+      }));
+    },
+  };
+}
+
+// Valhalla-style JSON API (also used by Stadia Maps and other hosted services)
+export function createValhallaProvider({ url, apiKey, costing = 'auto', timeout } = {}) {
+  const baseUrl = trimSlash(url || DEFAULT_URLS.valhalla);
+
+  const toRoute = (trip) => {
+    const coordinates = [];
+    const instructions = [];
+    trip.legs.forEach((leg, i) => {
+      const shape = decodePolyline(leg.shape, 6);
+      // Consecutive legs share their joining point
+      const offset = i === 0 ? 0 : coordinates.length - 1;
+      coordinates.push(...(i === 0 ? shape : shape.slice(1)));
+      (leg.maneuvers || []).forEach((maneuver) => {
+        const modifier = VALHALLA_TYPES[maneuver.type] || 'straight';
+        // Intermediate arrivals are just waypoints on a multi-leg trip
+        if (modifier === 'arrive' && i < trip.legs.length - 1) return;
+        instructions.push({
+          text: maneuver.instruction,
+          distance: maneuver.length,
+          time: maneuver.time / 60,
+          modifier,
+          pointIndex: offset + maneuver.begin_shape_index,
+        });
+      });
+    });
+
+    return {
+      coordinates,
+      distance: trip.summary.length,
+      time: trip.summary.time / 60,
+      provider: 'valhalla',
+      type: 'road-route',
+      instructions,
+    };
+  };
+
+  return {
+    name: 'valhalla',
+    async route(points, { signal, alternatives = false } = {}) {
+      const body = {
+        locations: points.map(([lat, lon]) => ({ lat, lon })),
+        costing,
+        directions_options: { units: 'kilometers' },
+      };
+      if (alternatives && points.length === 2) body.alternates = 2;
+      const query = apiKey ? `?api_key=${encodeURIComponent(apiKey)}` : '';
+
+      const data = await fetchJson(`${baseUrl}/route${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+        timeout,
+      });
+
+      if (!data.trip || !data.trip.legs) {
+        throw new Error(`Valhalla could not find a route: ${data.error || 'no trip'}`);
+      }
+
+      return [data.trip, ...(data.alternates || []).map((alt) => alt.trip)].map(toRoute);
+    },
+  };
+}
+
+// Generate a simulated route that follows major streets
+export function generateSimulatedRoute(start, end) {
+  const waypoints = [];
+  waypoints.push(start);
+
+  // Add intermediate waypoints to simulate following roads
+  const latDiff = end[0] - start[0];
+  const lngDiff = end[1] - start[1];
+  const segments = 5;
+
+  for (let i = 1; i < segments; i++) {
+    const factor = i / segments;
+    // Add some variation to make it look like it follows roads
+    const variation = 0.001 * Math.sin(factor * Math.PI * 4);
+    waypoints.push([
+      start[0] + (latDiff * factor) + variation,
+      start[1] + (lngDiff * factor) + (variation * 0.5)
+    ]);
+  }
+
+  waypoints.push(end);
+  return waypoints;
+}
+
+// Offline fallback: no network, just a rough road-like line timed at typical city speeds
+export function createSimulatedProvider() {
+  return {
+    name: 'simulated',
+    async route(points) {
+      const coordinates = points.slice(1).reduce((line, point, i) => {
+        const leg = generateSimulatedRoute(points[i], point);
+        return line.concat(i === 0 ? leg : leg.slice(1));
+      }, []);
+      const distance = calculateRouteDistance(coordinates);
+      const time = roadClassMinutes(coordinates);
+
+      return [{
+        coordinates,
+        distance,
+        time,
+        provider: 'simulated',
+        type: 'simulated-offline',
+        instructions: [
+          { text: 'Head towards your destination', distance, time, modifier: 'straight', pointIndex: 0 },
+          { text: 'Arrive at your destination', distance: 0, time: 0, modifier: 'arrive', pointIndex: coordinates.length - 1 },
+        ],
+      }];
+    },
+  };
+}
+
+// Build the provider named in the routing config; `profile` is the engine's name for
+// the travel mode (see travelModes.js), or its car profile if not given
+export function createRoutingProvider({ provider, url, apiKey, timeout, profile } = {}) {
+  switch (provider) {
+    case 'graphhopper':
+      return createGraphHopperProvider({ url, apiKey, timeout, profile });
+    case 'valhalla':
+      return createValhallaProvider({ url, apiKey, timeout, costing: profile });
+    case 'simulated':
+      return createSimulatedProvider();
+    case 'osrm':
+    case undefined:
+      return createOsrmProvider({ url, timeout, profile });
+    default:
+      throw new Error(`Unknown routing provider: ${provider}`);
+  }
+}
@@ -0,0 +1,179 @@
+import {
+  createGraphHopperProvider,
+  createOsrmProvider,
+  createRoutingProvider,
+  createSimulatedProvider,
+  createValhallaProvider,
+} from './routing';
+import { DEFAULT_SPEED } from './eta';
+
+// Google's reference polyline: (38.5, -120.2), (40.7, -120.95), (43.252, -126.453)
+const POLYLINE5 = '_p~iF~ps|U_ulLnnqC_mqNvxq`@';
+const POLYLINE6 = '_izlhA~rlgdF_{geC~ywl@_kwzCn`{nI';
+const EXPECTED = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+
+function mockFetch(body, status = 200) {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body),
+  });
+}
+
+function expectCoordinates(actual, expected) {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach(([lat, lng], i) => {
+    expect(lat).toBeCloseTo(expected[i][0], 5);
+    expect(lng).toBeCloseTo(expected[i][1], 5);
+  });
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+test('OSRM provider decodes polyline6 geometry and engine distance/duration', async () => {
+  mockFetch({ code: 'Ok', routes: [{ geometry: POLYLINE6, distance: 4200, duration: 600 }] });
+  const provider = createOsrmProvider({ url: 'http://localhost:5050/' });
+
+  const [route] = await provider.route([[3.848, 11.502], [3.866, 11.518]]);
+
+  expect(global.fetch.mock.calls[0][0]).toBe(
+      'http://localhost:5050/route/v1/driving/11.502,3.848;11.518,3.866?overview=full&geometries=polyline6&steps=true'
+  );
+  expectCoordinates(route.coordinates, EXPECTED);
+  expect(route.distance).toBeCloseTo(4.2);
+  expect(route.time).toBeCloseTo(10);
+  expect(route.type).toBe('road-route');
+});
+
+test('OSRM steps become instructions anchored to the route geometry', async () => {
+  mockFetch({
+    code: 'Ok',
+    routes: [{
+      geometry: POLYLINE6,
+      distance: 4200,
+      duration: 600,
+      legs: [{
+        steps: [
+          { name: 'Avenue Kennedy', distance: 1200, duration: 120, maneuver: { type: 'depart', bearing_after: 2, location: [-120.2, 38.5] } },
+          { name: 'Rue Nachtigal', distance: 3000, duration: 480, maneuver: { type: 'turn', modifier: 'left', location: [-120.95, 40.7] } },
+          { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [-126.453, 43.252] } },
+        ],
+      }],
+    }],
+  });
+
+  const [route] = await createOsrmProvider().route([[38.5, -120.2], [43.252, -126.453]]);
+
+  expect(route.instructions.map((i) => [i.text, i.modifier, i.pointIndex])).toEqual([
+    ['Head north on Avenue Kennedy', 'straight', 0],
+    ['Turn left onto Rue Nachtigal', 'left', 1],
+    ['Arrive at your destination', 'arrive', 2],
+  ]);
+  expect(route.instructions[1].distance).toBeCloseTo(3);
+});
+
+test('OSRM multi-stop routes only keep the first departure and final arrival', async () => {
+  mockFetch({
+    code: 'Ok',
+    routes: [{
+      geometry: POLYLINE6,
+      distance: 4200,
+      duration: 600,
+      legs: [
+        {
+          steps: [
+            { name: 'Avenue Kennedy', distance: 1200, duration: 120, maneuver: { type: 'depart', bearing_after: 0, location: [-120.2, 38.5] } },
+            { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [-120.95, 40.7] } },
+          ],
+        },
+        {
+          steps: [
+            { name: 'Avenue Kennedy', distance: 3000, duration: 480, maneuver: { type: 'depart', bearing_after: 0, location: [-120.95, 40.7] } },
+            { name: '', distance: 0, duration: 0, maneuver: { type: 'arrive', location: [-126.453, 43.252] } },
+          ],
+        },
+      ],
+    }],
+  });
+
+  const [route] = await createOsrmProvider().route([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+
+  expect(route.instructions.map((i) => i.modifier)).toEqual(['straight', 'arrive']);
+  expect(route.instructions[1].pointIndex).toBe(2);
+});
+
+test('OSRM provider rejects when no route is found', async () => {
+  mockFetch({ code: 'NoRoute', message: 'Impossible route between points' });
+  const provider = createOsrmProvider();
+
+  await expect(provider.route([[0, 0], [1, 1]])).rejects.toThrow('Impossible route');
+});
+
+test('GraphHopper provider sends points and key, decodes encoded points', async () => {
+  mockFetch({ paths: [{ points: POLYLINE5, distance: 1500, time: 180000 }] });
+  const provider = createGraphHopperProvider({ apiKey: 'secret' });
+
+  const [route] = await provider.route([[3.848, 11.502], [3.866, 11.518]]);
+
+  const url = new URL(global.fetch.mock.calls[0][0]);
+  expect(url.searchParams.getAll('point')).toEqual(['3.848,11.502', '3.866,11.518']);
+  expect(url.searchParams.get('key')).toBe('secret');
+  expectCoordinates(route.coordinates, EXPECTED);
+  expect(route.distance).toBeCloseTo(1.5);
+  expect(route.time).toBeCloseTo(3);
+});
+
+test('Valhalla provider posts locations and joins leg shapes', async () => {
+  mockFetch({
+    trip: {
+      legs: [{ shape: POLYLINE6 }, { shape: POLYLINE6 }],
+      summary: { length: 12.5, time: 900 },
+    },
+  });
+  const provider = createValhallaProvider({ url: 'http://localhost:8002' });
+
+  const [route] = await provider.route([[1, 2], [3, 4], [5, 6]]);
+
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('http://localhost:8002/route');
+  expect(JSON.parse(init.body).locations).toEqual([
+    { lat: 1, lon: 2 }, { lat: 3, lon: 4 }, { lat: 5, lon: 6 },
+  ]);
+  expect(route.coordinates).toHaveLength(5);
+  expect(route.distance).toBe(12.5);
+  expect(route.time).toBe(15);
+});
+
+test('HTTP errors reject so callers can fall back', async () => {
+  mockFetch({}, 503);
+
+  await expect(createOsrmProvider().route([[0, 0], [1, 1]])).rejects.toThrow('HTTP 503');
+});
+
+test('simulated provider labels its routes as an offline estimate', async () => {
+  const [route] = await createSimulatedProvider().route([[3.848, 11.502], [3.866, 11.518]]);
+
+  expect(route.type).toBe('simulated-offline');
+  expect(route.coordinates[0]).toEqual([3.848, 11.502]);
+  expect(route.coordinates[route.coordinates.length - 1]).toEqual([3.866, 11.518]);
+  // Without road data every segment is timed at the default city speed
+  expect(route.time).toBeCloseTo((route.distance / DEFAULT_SPEED) * 60);
+});
+
+test('createRoutingProvider picks the configured engine', () => {
+  expect(createRoutingProvider({ provider: 'valhalla' }).name).toBe('valhalla');
+  expect(createRoutingProvider({}).name).toBe('osrm');
+  expect(() => createRoutingProvider({ provider: 'here' })).toThrow('Unknown routing provider');
+});
+
+test('createRoutingProvider asks the engine for the travel mode profile', async () => {
+  mockFetch({ code: 'Ok', routes: [{ geometry: POLYLINE6, distance: 4200, duration: 3000 }] });
+  await createRoutingProvider({ profile: 'foot' }).route([[3.848, 11.502], [3.866, 11.518]]);
+  expect(global.fetch.mock.calls[0][0]).toContain('/route/v1/foot/');
+
+  mockFetch({ trip: { legs: [], summary: { length: 4.2, time: 600 } } });
+  await createRoutingProvider({ provider: 'valhalla', profile: 'motorcycle' }).route([[3.848, 11.502], [3.866, 11.518]]);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).costing).toBe('motorcycle');
+});
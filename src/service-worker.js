@@ -0,0 +1,62 @@
+/* eslint-disable no-restricted-globals */
+// Service worker, built by react-scripts (Workbox InjectManifest). Keeps the
+// app shell, map tiles and recent routes available when the network drops.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { OFFLINE_TILE_CACHE } from './offlineTiles';
+
+clientsClaim();
+
+// App shell: everything webpack emitted
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations get index.html, except for files and service routes
+const fileExtension = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+    ({ request, url }) => request.mode === 'navigate' &&
+        !url.pathname.startsWith('/_') &&
+        !url.pathname.match(fileExtension),
+    createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Raster tiles end in three numbers: .../{z}/{x}/{y}.png, ...{y}@2x.png, or .../{z}/{y}/{x} for Esri imagery
+const tilePath = /\/\d+\/\d+\/\d+(@2x)?(\.(png|jpe?g|webp))?$/;
+
+const tileStrategy = new CacheFirst({
+  cacheName: 'map-tiles',
+  plugins: [
+    // Every tile layer asks for CORS; opaque responses would count as megabytes of quota each
+    new CacheableResponsePlugin({ statuses: [200] }),
+    new ExpirationPlugin({ maxEntries: 2000, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+  ],
+});
+
+// Tiles from downloaded areas first, then whatever was seen while browsing
+registerRoute(
+    ({ url }) => tilePath.test(url.pathname),
+    async (options) => {
+      const saved = await caches.open(OFFLINE_TILE_CACHE).then((cache) => cache.match(options.request.url));
+      return saved || tileStrategy.handle(options);
+    }
+);
+
+// Route requests (OSRM /route/v1/..., GraphHopper /route?...) fall back to the last answer
+registerRoute(
+    ({ url, request }) => request.method === 'GET' && /\/route(\/v1\/|$)/.test(url.pathname),
+    new NetworkFirst({
+      cacheName: 'routes',
+      networkTimeoutSeconds: 10,
+      plugins: [new ExpirationPlugin({ maxEntries: 50, maxAgeSeconds: 7 * 24 * 60 * 60 })],
+    })
+);
+
+// Lets the page activate a new version straight away
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,38 @@
+// Registers the service worker (src/service-worker.js) in production builds.
+// In development the worker would cache stale bundles, so it is left out.
+
+export function register({ onUpdate, onReady } = {}) {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+
+  // The worker can only control pages under its own origin
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+        .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+        .then((registration) => {
+          registration.onupdatefound = () => {
+            const installing = registration.installing;
+            if (!installing) return;
+            installing.onstatechange = () => {
+              if (installing.state !== 'installed') return;
+              // With an existing controller this is an update; otherwise the first install
+              if (navigator.serviceWorker.controller) {
+                if (onUpdate) onUpdate(registration);
+              } else if (onReady) {
+                onReady(registration);
+              }
+            };
+          };
+        })
+        .catch((error) => console.error('Service worker registration failed:', error));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+      .then((registration) => registration.unregister())
+      .catch((error) => console.error(error.message));
+}
@@ -3,3 +3,9 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom has no SVG geometry, so Leaflet would find no renderer for routes and other
+// vector layers; this is the one method it checks for
+if (typeof window.SVGSVGElement !== 'undefined' && !window.SVGSVGElement.prototype.createSVGRect) {
+  window.SVGSVGElement.prototype.createSVGRect = () => ({});
+}
@@ -0,0 +1,119 @@
+// Multi-stop trips: ordering the stops, splitting a route into per-stop legs
+// and marking stop arrivals in the instruction list. Stops are { name, address, coords }.
+import { calculateDistance } from './geo';
+import { cumulativeDistances } from './navigation';
+
+// Identifies a stop by position, so a stop restored from a link matches the place it came from
+export function coordsKey([lat, lng]) {
+  return `${lat},${lng}`;
+}
+
+// Move the item at `from` to position `to`
+export function moveItem(list, from, to) {
+  if (to < 0 || to >= list.length || from === to) return list;
+  const next = list.slice();
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+function pathLength(start, stops) {
+  return stops.reduce(
+      (total, stop, i) => total + calculateDistance(i === 0 ? start : stops[i - 1].coords, stop.coords),
+      0
+  );
+}
+
+// Visit order that roughly minimises straight-line driving from `start`:
+// nearest neighbour first, then 2-opt until no reversal shortens the trip.
+// Every stop may move, including the last one.
+export function optimizeStopOrder(start, stops) {
+  if (stops.length < 3) {
+    // Two stops: just pick the shorter of the two orders
+    return stops.length === 2 && pathLength(start, [stops[1], stops[0]]) < pathLength(start, stops)
+        ? [stops[1], stops[0]]
+        : stops;
+  }
+
+  const remaining = stops.slice();
+  let order = [];
+  let current = start;
+  while (remaining.length > 0) {
+    let nearest = 0;
+    for (let i = 1; i < remaining.length; i++) {
+      if (calculateDistance(current, remaining[i].coords) < calculateDistance(current, remaining[nearest].coords)) {
+        nearest = i;
+      }
+    }
+    const [stop] = remaining.splice(nearest, 1);
+    order.push(stop);
+    current = stop.coords;
+  }
+
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        // Small epsilon so floating point noise can't loop forever
+        if (pathLength(start, candidate) < pathLength(start, order) - 1e-9) {
+          order = candidate;
+          improved = true;
+        }
+      }
+    }
+  }
+  return order;
+}
+
+// One leg per stop: where it ends on the route, and its share of distance and time.
+// Works from the geometry so detour waypoints added by hazard avoidance don't count as stops.
+export function routeLegs(route, stops, cumulative = cumulativeDistances(route.coordinates)) {
+  const total = cumulative[cumulative.length - 1];
+  let fromIndex = 0;
+
+  return stops.map((stop, i) => {
+    let pointIndex = route.coordinates.length - 1;
+    if (i < stops.length - 1) {
+      let best = Infinity;
+      for (let k = fromIndex; k < route.coordinates.length; k++) {
+        const distance = calculateDistance(route.coordinates[k], stop.coords);
+        if (distance < best) {
+          best = distance;
+          pointIndex = k;
+        }
+      }
+    }
+
+    const distance = cumulative[pointIndex] - cumulative[fromIndex];
+    const leg = {
+      stop,
+      pointIndex,
+      distance,
+      time: total > 0 ? route.time * (distance / total) : 0,
+    };
+    fromIndex = pointIndex;
+    return leg;
+  });
+}
+
+// Insert "Arrive at stop" instructions where the intermediate legs end
+export function withStopInstructions(instructions, legs) {
+  const arrivals = legs.slice(0, -1).map((leg, i) => ({
+    text: `Arrive at stop ${i + 1}: ${leg.stop.name}`,
+    distance: 0,
+    time: 0,
+    modifier: 'waypoint',
+    pointIndex: leg.pointIndex,
+  }));
+  // Stable sort keeps an arrival ahead of the maneuver that leaves from the same point
+  return [...arrivals, ...instructions].sort((a, b) => a.pointIndex - b.pointIndex);
+}
+
+// Stops not yet reached after travelling `travelled` km along the route
+export function remainingStops(legs, travelled, cumulative, slack = 0.03) {
+  return legs
+      .filter((leg, i) => i === legs.length - 1 || cumulative[leg.pointIndex] > travelled + slack)
+      .map((leg) => leg.stop);
+}
@@ -0,0 +1,62 @@
+import { coordsKey, moveItem, optimizeStopOrder, remainingStops, routeLegs, withStopInstructions } from './stops';
+import { cumulativeDistances } from './navigation';
+import { deepLinkSearch, parseDeepLink } from './deepLinks';
+import { popularPlaces } from './geocoding';
+
+const stop = (name, coords) => ({ name, address: '', coords });
+
+test('moveItem reorders without mutating and ignores moves off the ends', () => {
+  const list = ['a', 'b', 'c'];
+  expect(moveItem(list, 2, 0)).toEqual(['c', 'a', 'b']);
+  expect(moveItem(list, 0, -1)).toBe(list);
+  expect(list).toEqual(['a', 'b', 'c']);
+});
+
+test('optimizeStopOrder visits stops along a line in order', () => {
+  const start = [3.80, 11.50];
+  const stops = [
+    stop('far', [3.84, 11.50]),
+    stop('near', [3.81, 11.50]),
+    stop('middle', [3.83, 11.50]),
+    stop('second', [3.82, 11.50]),
+  ];
+
+  expect(optimizeStopOrder(start, stops).map((s) => s.name)).toEqual(['near', 'second', 'middle', 'far']);
+  expect(optimizeStopOrder(start, stops.slice(0, 2)).map((s) => s.name)).toEqual(['near', 'far']);
+});
+
+test('routeLegs splits the route at each stop and shares out the time', () => {
+  const route = {
+    coordinates: [[3.80, 11.50], [3.81, 11.50], [3.82, 11.50], [3.83, 11.50]],
+    time: 30,
+  };
+  const stops = [stop('A', [3.81, 11.5001]), stop('B', [3.83, 11.50])];
+  const cumulative = cumulativeDistances(route.coordinates);
+
+  const legs = routeLegs(route, stops, cumulative);
+
+  expect(legs.map((leg) => leg.pointIndex)).toEqual([1, 3]);
+  expect(legs[0].time).toBeCloseTo(10);
+  expect(legs[1].time).toBeCloseTo(20);
+
+  const instructions = withStopInstructions([
+    { text: 'Head north', modifier: 'straight', pointIndex: 0 },
+    { text: 'Continue', modifier: 'straight', pointIndex: 1 },
+    { text: 'Arrive at your destination', modifier: 'arrive', pointIndex: 3 },
+  ], legs);
+  expect(instructions.map((i) => i.text)).toEqual([
+    'Head north', 'Arrive at stop 1: A', 'Continue', 'Arrive at your destination',
+  ]);
+
+  expect(remainingStops(legs, 0.5, cumulative).map((s) => s.name)).toEqual(['A', 'B']);
+  expect(remainingStops(legs, 1.5, cumulative).map((s) => s.name)).toEqual(['B']);
+});
+
+test('coordsKey matches a place with its copy restored from a link', () => {
+  const place = popularPlaces[3];
+  const [restored] = parseDeepLink(deepLinkSearch({ stops: [place] })).stops;
+
+  expect(restored).not.toBe(place);
+  expect(coordsKey(restored.coords)).toBe(coordsKey(place.coords));
+  expect(coordsKey([3.87, 11.5])).not.toBe(coordsKey(place.coords));
+});
@@ -0,0 +1,91 @@
+// How people get around: by car, moto-taxi, bicycle or on foot. Each mode picks the
+// routing engine's profile, the speeds behind offline time estimates, how much traffic
+// and potholes slow it down, how much potholes count against a route, and its icon.
+export const TRAVEL_MODES = {
+  car: {
+    id: 'car',
+    label: 'Car',
+    icon: '🚗',
+    profiles: { osrm: 'driving', graphhopper: 'car', valhalla: 'auto' },
+    // One speed everywhere (km/h), or null for the road-class speeds in eta.js
+    speed: null,
+    // Fastest believable average (km/h); engines without this profile may answer with car times
+    maxSpeed: null,
+    // Share of the rush-hour slowdown it suffers
+    traffic: 1,
+    // How much a pothole of each severity counts against a route
+    severityWeights: { high: 3, medium: 2, low: 1 },
+    // Seconds lost slowing down for a pothole of each severity
+    potholeDelay: { high: 25, medium: 12, low: 5 },
+  },
+  moto: {
+    id: 'moto',
+    label: 'Moto-taxi',
+    icon: '🏍️',
+    // OSRM has no motorbike profile; its car routes are the closest
+    profiles: { osrm: 'driving', graphhopper: 'scooter', valhalla: 'motorcycle' },
+    speed: null,
+    maxSpeed: null,
+    // Weaves through queues
+    traffic: 0.4,
+    // Even small potholes can throw a motorbike
+    severityWeights: { high: 4, medium: 3, low: 2 },
+    potholeDelay: { high: 20, medium: 10, low: 6 },
+  },
+  bike: {
+    id: 'bike',
+    label: 'Cycling',
+    icon: '🚲',
+    profiles: { osrm: 'cycling', graphhopper: 'bike', valhalla: 'bicycle' },
+    speed: 14,
+    maxSpeed: 25,
+    traffic: 0.2,
+    severityWeights: { high: 4, medium: 3, low: 2 },
+    potholeDelay: { high: 10, medium: 6, low: 3 },
+  },
+  foot: {
+    id: 'foot',
+    label: 'Walking',
+    icon: '🚶',
+    profiles: { osrm: 'foot', graphhopper: 'foot', valhalla: 'pedestrian' },
+    speed: 4.5,
+    maxSpeed: 6,
+    traffic: 0,
+    // Pedestrians step round most potholes; deep ones still fill with water
+    severityWeights: { high: 1, medium: 0.5, low: 0.25 },
+    potholeDelay: { high: 4, medium: 2, low: 0 },
+  },
+};
+
+export const DEFAULT_TRAVEL_MODE = 'car';
+
+const STORAGE_KEY = 'cvbox.travelMode';
+
+// The mode with `id`, falling back to the default for unknown ids
+export function travelMode(id) {
+  return TRAVEL_MODES[id] || TRAVEL_MODES[DEFAULT_TRAVEL_MODE];
+}
+
+// Profile name for `mode` on routing engine `provider` ('osrm', 'graphhopper' or 'valhalla')
+export function routingProfile(mode, provider) {
+  return mode.profiles[provider] || TRAVEL_MODES[DEFAULT_TRAVEL_MODE].profiles[provider];
+}
+
+// The user's last choice if it still exists, else the default
+export function loadTravelModeId() {
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(STORAGE_KEY);
+  } catch (e) {
+    // Storage can be blocked (private mode); the default will do
+  }
+  return TRAVEL_MODES[saved] ? saved : DEFAULT_TRAVEL_MODE;
+}
+
+export function saveTravelModeId(id) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, id);
+  } catch (e) {
+    console.warn('Could not save travel mode:', e);
+  }
+}
@@ -0,0 +1,67 @@
+import {
+  DEFAULT_TRAVEL_MODE,
+  TRAVEL_MODES,
+  loadTravelModeId,
+  routingProfile,
+  saveTravelModeId,
+  travelMode,
+} from './travelModes';
+import { estimateEta } from './eta';
+import { calculateRouteDistance, destinationPoint } from './geo';
+
+const line = [0, 1, 2, 3].map((km) => destinationPoint([3.848, 11.502], 90, km));
+const offline = { coordinates: line, distance: calculateRouteDistance(line), time: 0, type: 'simulated-offline' };
+// Weekday evening rush hour
+const rushHour = new Date(2026, 9, 19, 17, 30);
+
+afterEach(() => {
+  window.localStorage.clear();
+});
+
+test('each mode routes with its own profile on every engine', () => {
+  expect(routingProfile(TRAVEL_MODES.foot, 'osrm')).toBe('foot');
+  expect(routingProfile(TRAVEL_MODES.bike, 'graphhopper')).toBe('bike');
+  expect(routingProfile(TRAVEL_MODES.moto, 'valhalla')).toBe('motorcycle');
+  expect(routingProfile(TRAVEL_MODES.car, 'valhalla')).toBe('auto');
+
+  Object.values(TRAVEL_MODES).forEach((mode) => {
+    expect(Object.keys(mode.profiles)).toEqual(['osrm', 'graphhopper', 'valhalla']);
+    expect(mode.icon).toBeTruthy();
+  });
+});
+
+test('motorbikes mind small potholes more than cars, pedestrians least', () => {
+  const { car, moto, foot } = TRAVEL_MODES;
+  expect(moto.severityWeights.low / moto.severityWeights.high)
+      .toBeGreaterThan(car.severityWeights.low / car.severityWeights.high);
+  expect(foot.severityWeights.high).toBeLessThanOrEqual(car.severityWeights.low);
+});
+
+test('times offline routes by mode', () => {
+  const walk = estimateEta(offline, { now: rushHour, mode: TRAVEL_MODES.foot });
+  const moto = estimateEta(offline, { now: rushHour, mode: TRAVEL_MODES.moto });
+  const car = estimateEta(offline, { now: rushHour, mode: TRAVEL_MODES.car });
+
+  // Walking ignores traffic: 3 km at 4.5 km/h
+  expect(walk.minutes).toBeCloseTo(40);
+  expect(walk.traffic).toBeNull();
+  // Moto-taxis get through the rush hour faster than cars on the same roads
+  expect(moto.minutes).toBeLessThan(car.minutes);
+  expect(car.traffic).toBe('rush hour');
+});
+
+test('does not believe car times for a walk', () => {
+  // An engine without a foot profile answers 3 km in 6 minutes
+  const route = { coordinates: line, distance: 3, time: 6, type: 'road-route' };
+  expect(estimateEta(route, { now: rushHour, mode: TRAVEL_MODES.foot }).minutes).toBeCloseTo(30);
+  expect(estimateEta(route, { now: rushHour, mode: TRAVEL_MODES.moto }).source).toBe('provider');
+});
+
+test('remembers the chosen mode', () => {
+  expect(loadTravelModeId()).toBe(DEFAULT_TRAVEL_MODE);
+  saveTravelModeId('bike');
+  expect(loadTravelModeId()).toBe('bike');
+  window.localStorage.setItem('cvbox.travelMode', 'hovercraft');
+  expect(loadTravelModeId()).toBe(DEFAULT_TRAVEL_MODE);
+  expect(travelMode('hovercraft')).toBe(TRAVEL_MODES.car);
+});
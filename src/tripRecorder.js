@@ -0,0 +1,177 @@
+// Trip recording: the GPS track of a drive plus accelerometer readings, with
+// sharp vertical jolts picked out as candidate potholes.
+//
+// A recording is a plain trace that can be saved and replayed later, which is
+// how detection is tested without a device:
+//   {
+//     startedAt: 1717228800000,
+//     fixes: [{ time, coords: [lat, lng], accuracy, speed }],   speed in km/h or null
+//     samples: [[time, x, y, z], ...]                           accelerationIncludingGravity, m/s²
+//   }
+import { calculateDistance, calculateRouteDistance, interpolatePoint } from './geo';
+import { motionBetween } from './hazardAlerts';
+
+const GRAVITY = 9.81;
+
+export const defaultDetectionOptions = {
+  // Vertical acceleration (beyond gravity) that counts as a jolt, m/s²
+  threshold: 4,
+  // Below this speed (km/h) jolts are more likely the phone being handled than the road
+  minSpeed: 10,
+  // Readings closer together than this (ms) belong to the same jolt
+  joltGap: 300,
+  // Jolts closer together than this (km) are the same pothole
+  mergeDistance: 0.025,
+  // How quickly the gravity estimate follows the phone's orientation (0-1, per reading)
+  gravitySmoothing: 0.05,
+};
+
+// Raw accelerometer readings kept for saving the trace; about an hour and a half at 60 Hz
+export const MAX_TRACE_SAMPLES = 300000;
+
+// Severity suggested for a jolt of this peak vertical acceleration, in g
+export function joltSeverity(magnitude) {
+  if (magnitude >= 1) return 'high';
+  if (magnitude >= 0.6) return 'medium';
+  return 'low';
+}
+
+// Position and speed at `time`, interpolated between the surrounding GPS fixes
+export function positionAt(fixes, time) {
+  if (fixes.length === 0) return null;
+  const next = fixes.findIndex((fix) => fix.time >= time);
+  if (next === 0) return fixes[0];
+  if (next === -1) return fixes[fixes.length - 1];
+
+  const before = fixes[next - 1];
+  const after = fixes[next];
+  const f = (time - before.time) / (after.time - before.time);
+  return {
+    time,
+    coords: interpolatePoint(before.coords, after.coords, f),
+    speed: f < 0.5 ? before.speed : after.speed,
+  };
+}
+
+export function createTripRecorder(options = {}) {
+  const settings = { ...defaultDetectionOptions, ...options };
+  const trace = { startedAt: options.startedAt ?? Date.now(), fixes: [], samples: [] };
+  const jolts = [];
+  let gravity = null;
+  let current = null;
+
+  const finishJolt = () => {
+    if (current) jolts.push(current);
+    current = null;
+  };
+
+  return {
+    addFix({ time, coords, accuracy = null, speed = null }) {
+      const previous = trace.fixes[trace.fixes.length - 1];
+      // Fill in the speed from the distance covered when the device doesn't report it
+      const fixSpeed = speed ?? (previous ? motionBetween(previous, { coords, time }).speed : null);
+      trace.fixes.push({ time, coords, accuracy, speed: fixSpeed });
+    },
+
+    addMotion([time, x, y, z]) {
+      if (trace.samples.length < MAX_TRACE_SAMPLES) trace.samples.push([time, x, y, z]);
+
+      // Gravity is the slow-moving part of the signal; its direction is "down" whichever way the phone sits
+      gravity = gravity
+          ? gravity.map((g, i) => g + ([x, y, z][i] - g) * settings.gravitySmoothing)
+          : [x, y, z];
+      const g = Math.hypot(...gravity) || GRAVITY;
+      const vertical = (x * gravity[0] + y * gravity[1] + z * gravity[2]) / g - g;
+
+      if (current && time - current.lastTime > settings.joltGap) finishJolt();
+      if (Math.abs(vertical) < settings.threshold) return;
+
+      if (!current) current = { time, lastTime: time, peak: 0 };
+      current.lastTime = time;
+      if (Math.abs(vertical) > current.peak) {
+        current.peak = Math.abs(vertical);
+        current.time = time;
+      }
+    },
+
+    // Jolts detected so far (including one still in progress)
+    joltCount() {
+      return jolts.length + (current ? 1 : 0);
+    },
+
+    trace() {
+      return trace;
+    },
+
+    // The recorded track and candidate potholes: jolts placed on the track, slow
+    // ones dropped and repeats at the same spot merged
+    summary() {
+      finishJolt();
+      const track = trace.fixes.map((fix) => fix.coords);
+      const candidates = [];
+      jolts.forEach((jolt) => {
+        const position = positionAt(trace.fixes, jolt.time);
+        if (!position || position.speed === null || position.speed < settings.minSpeed) return;
+
+        const magnitude = jolt.peak / GRAVITY;
+        const same = candidates.find((c) => calculateDistance(c.coords, position.coords) <= settings.mergeDistance);
+        if (same) {
+          same.hits += 1;
+          if (magnitude > same.magnitude) Object.assign(same, { magnitude, speed: position.speed });
+          return;
+        }
+        candidates.push({
+          id: `jolt-${jolt.time}`,
+          time: jolt.time,
+          coords: position.coords,
+          magnitude,
+          speed: position.speed,
+          hits: 1,
+        });
+      });
+
+      const last = trace.fixes[trace.fixes.length - 1];
+      return {
+        startedAt: trace.startedAt,
+        duration: last ? last.time - trace.startedAt : 0,
+        distance: calculateRouteDistance(track),
+        track,
+        candidates: candidates.map((c) => ({ ...c, severity: joltSeverity(c.magnitude) })),
+      };
+    },
+  };
+}
+
+// Run a saved trace through the detector, in time order, as if it were being recorded
+export function replayTrace(trace, options = {}) {
+  const recorder = createTripRecorder({ ...options, startedAt: trace.startedAt });
+  const events = [
+    ...trace.fixes.map((fix) => ({ time: fix.time, fix })),
+    ...trace.samples.map((sample) => ({ time: sample[0], sample })),
+  ].sort((a, b) => a.time - b.time);
+  events.forEach((event) => {
+    if (event.fix) recorder.addFix(event.fix);
+    else recorder.addMotion(event.sample);
+  });
+  return recorder.summary();
+}
+
+// Listen to the accelerometer. iOS only allows it after asking from a user
+// gesture, so call this from a click handler. Resolves to a function that stops listening.
+export async function startMotionSensor(onSample) {
+  if (typeof window === 'undefined' || !('DeviceMotionEvent' in window)) {
+    throw new Error('This device has no motion sensor');
+  }
+  if (typeof window.DeviceMotionEvent.requestPermission === 'function') {
+    const permission = await window.DeviceMotionEvent.requestPermission();
+    if (permission !== 'granted') throw new Error('Motion sensor access was not allowed');
+  }
+
+  const listener = (event) => {
+    const a = event.accelerationIncludingGravity;
+    if (!a || a.x === null) return;
+    onSample([Date.now(), a.x, a.y, a.z]);
+  };
+  window.addEventListener('devicemotion', listener);
+  return () => window.removeEventListener('devicemotion', listener);
+}
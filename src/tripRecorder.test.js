@@ -0,0 +1,93 @@
+import { createTripRecorder, joltSeverity, positionAt, replayTrace } from './tripRecorder';
+import { destinationPoint } from './geo';
+
+const start = [3.848, 11.502];
+const startedAt = 1717228800000;
+// Phone in a tilted mount: gravity split between the y and z axes
+const down = [0, Math.SQRT1_2, Math.SQRT1_2];
+
+// Drive north at `speed` km/h for `seconds`, one fix a second and 50 accelerometer
+// readings a second, with extra vertical acceleration (m/s²) at the given times
+function driveTrace({ seconds = 20, speed = 36, jolts = {} } = {}) {
+  const fixes = [];
+  const samples = [];
+  for (let s = 0; s <= seconds; s += 1) {
+    fixes.push({
+      time: startedAt + s * 1000,
+      coords: destinationPoint(start, 0, (speed / 3600) * s),
+      accuracy: 5,
+      speed,
+    });
+  }
+  for (let ms = 0; ms <= seconds * 1000; ms += 20) {
+    const extra = jolts[ms] || 0;
+    samples.push([startedAt + ms, ...down.map((d) => d * (9.81 + extra))]);
+  }
+  return { startedAt, fixes, samples };
+}
+
+test('a sharp vertical jolt becomes a candidate where and when it happened', () => {
+  const summary = replayTrace(driveTrace({ jolts: { 10000: 8 } }));
+  expect(summary.candidates).toHaveLength(1);
+
+  const [candidate] = summary.candidates;
+  expect(candidate.time).toBe(startedAt + 10000);
+  expect(candidate.coords[0]).toBeCloseTo(destinationPoint(start, 0, 0.1)[0], 5);
+  expect(candidate.speed).toBe(36);
+  expect(candidate.magnitude).toBeCloseTo(0.8, 1);
+  expect(candidate.severity).toBe('medium');
+  expect(summary.distance).toBeCloseTo(0.2, 2);
+  expect(summary.duration).toBe(20000);
+});
+
+test('smooth roads, small bumps and jolts while stopped are not reported', () => {
+  expect(replayTrace(driveTrace()).candidates).toHaveLength(0);
+  expect(replayTrace(driveTrace({ jolts: { 10000: 2 } })).candidates).toHaveLength(0);
+  expect(replayTrace(driveTrace({ speed: 0, jolts: { 10000: 12 } })).candidates).toHaveLength(0);
+});
+
+test('jolts at the same spot are merged and keep the strongest reading', () => {
+  // Front and back wheels hitting the same hole half a second apart
+  const summary = replayTrace(driveTrace({ jolts: { 10000: 6, 10500: 11 } }));
+  expect(summary.candidates).toHaveLength(1);
+  expect(summary.candidates[0].hits).toBe(2);
+  expect(summary.candidates[0].severity).toBe('high');
+
+  const apart = replayTrace(driveTrace({ jolts: { 5000: 6, 15000: 6 } }));
+  expect(apart.candidates).toHaveLength(2);
+});
+
+test('speed is worked out from the track when the device does not report it', () => {
+  const trace = driveTrace({ jolts: { 10000: 8 } });
+  const recorder = createTripRecorder({ startedAt });
+  trace.fixes.forEach(({ time, coords }) => recorder.addFix({ time, coords }));
+  trace.samples.forEach((sample) => recorder.addMotion(sample));
+
+  const [candidate] = recorder.summary().candidates;
+  expect(candidate.speed).toBeCloseTo(36, 0);
+});
+
+test('a saved trace replays to the same result as the live recording', () => {
+  const trace = driveTrace({ jolts: { 4000: 7, 12000: 10 } });
+  const recorder = createTripRecorder({ startedAt });
+  trace.samples.forEach((sample) => {
+    const fix = trace.fixes.find((f) => f.time === sample[0]);
+    if (fix) recorder.addFix(fix);
+    recorder.addMotion(sample);
+  });
+
+  const saved = JSON.parse(JSON.stringify(recorder.trace()));
+  expect(replayTrace(saved)).toEqual(recorder.summary());
+});
+
+test('positions between fixes are interpolated', () => {
+  const fixes = [
+    { time: 0, coords: [0, 0], speed: 20 },
+    { time: 1000, coords: [1, 2], speed: 40 },
+  ];
+  expect(positionAt(fixes, 250)).toEqual({ time: 250, coords: [0.25, 0.5], speed: 20 });
+  expect(positionAt(fixes, 2000).coords).toEqual([1, 2]);
+  expect(positionAt([], 0)).toBeNull();
+  expect(joltSeverity(1.2)).toBe('high');
+  expect(joltSeverity(0.4)).toBe('low');
+});
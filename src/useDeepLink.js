@@ -0,0 +1,19 @@
+import { useEffect, useState } from 'react';
+import { deepLinkSearch, parseDeepLink, withLinkParams } from './deepLinks';
+
+// The map view, trip, open pothole and layers the page was opened with, read once on load
+export function useInitialLink() {
+  const [link] = useState(() => parseDeepLink(window.location.search));
+  return link;
+}
+
+// Keeps the address bar following `linkState`, so a reload keeps the same map.
+// Query parameters that aren't part of links (such as `?location=`) stay as they are.
+export function useLinkSync(linkState) {
+  const linkSearch = deepLinkSearch(linkState);
+
+  useEffect(() => {
+    const { pathname, search, hash } = window.location;
+    window.history.replaceState(window.history.state, '', `${pathname}${withLinkParams(search, linkSearch)}${hash}`);
+  }, [linkSearch]);
+}